@@ -0,0 +1,623 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+
+/**
+ * A small expression language for form data which is sent as JSON, e.g.
+ * for the conditions, validators and computed values of fields. Expressions
+ * are parsed and evaluated without `eval` or `Function`, so that they can
+ * be used under a Content Security Policy, and can only read the form data
+ * and call the functions of {@link #FUNCTIONS}.
+ *
+ * Expressions consist of
+ *
+ *   - numbers (`1.5`), strings (`"abc"` or `'abc'`), `true`, `false`,
+ *     `null` and arrays (`[1, 2]`)
+ *   - references to fields by their key or path, e.g. `quantity` or
+ *     `address.city`, and to variables provided by the caller, e.g. `value`
+ *   - arithmetic: `+` (also joins strings), `-`, `*`, `/`, `%`
+ *   - comparison: `==`, `!=`, `<`, `<=`, `>`, `>=`, and `in` for membership
+ *     in an array
+ *   - boolean logic: `&&` or `and`, `||` or `or`, `!` or `not`, and the
+ *     conditional operator `condition ? a : b`
+ *   - function calls, e.g. `len(name) > 2` or `upper(trim(code))`
+ * <pre>
+ *   let expression = new qxl.dialog.Expression("quantity * price > 100");
+ *   expression.evaluate({ quantity : 3, price : 40 }); // true
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.Expression",
+{
+  extend : qx.core.Object,
+
+  /**
+   * Parses an expression
+   * @param source {String} The expression
+   * @param key {String?} The key of the field the expression belongs to,
+   *   which is named in parse errors
+   * @param functions {Map?} Functions which can be called in addition to
+   *   {@link #FUNCTIONS}, e.g. actions in event handlers
+   * @throws {Error} If the expression is invalid
+   */
+  construct : function(source, key, functions) {
+    this.base(arguments);
+    this.__source = String(source);
+    this.__key = key || null;
+    this.__functions = functions || {};
+    this.__tokens = this.__tokenize();
+    this.__index = 0;
+    this.__tree = this.__parseConditional();
+    if (this.__peek()) {
+      this.__fail("Unexpected '" + this.__peek().value + "'", this.__peek().pos);
+    }
+    this.__tokens = null;
+  },
+
+  statics :
+  {
+    /**
+     * The functions which can be called in expressions. They must accept
+     * any values, including null, without throwing.
+     */
+    FUNCTIONS :
+    {
+      len : function(value) {
+        return value === null || value === undefined ? 0 :
+          qx.lang.Type.isArray(value) ? value.length : String(value).length;
+      },
+      lower : function(value) {
+        return qxl.dialog.Expression.toText(value).toLowerCase();
+      },
+      upper : function(value) {
+        return qxl.dialog.Expression.toText(value).toUpperCase();
+      },
+      trim : function(value) {
+        return qxl.dialog.Expression.toText(value).trim();
+      },
+      concat : function() {
+        return Array.prototype.map.call(arguments, qxl.dialog.Expression.toText).join("");
+      },
+      substr : function(value, start, length) {
+        return qxl.dialog.Expression.toText(value).substr(start || 0, length);
+      },
+      contains : function(value, part) {
+        if (qx.lang.Type.isArray(value)) {
+          return value.indexOf(part) !== -1;
+        }
+        return qxl.dialog.Expression.toText(value).indexOf(qxl.dialog.Expression.toText(part)) !== -1;
+      },
+      startsWith : function(value, part) {
+        return qxl.dialog.Expression.toText(value).startsWith(qxl.dialog.Expression.toText(part));
+      },
+      endsWith : function(value, part) {
+        return qxl.dialog.Expression.toText(value).endsWith(qxl.dialog.Expression.toText(part));
+      },
+      /*
+       * The pattern is a regular expression of JavaScript. Note that
+       * patterns from untrusted form data, such as nested quantifiers like
+       * "(a+)+$", can take exponential time on some inputs and block the
+       * browser; only use patterns from trusted sources.
+       */
+      matches : function(value, pattern) {
+        let regExp;
+        try {
+          regExp = new RegExp(qxl.dialog.Expression.toText(pattern));
+        } catch (e) {
+          // an invalid pattern matches nothing
+          return false;
+        }
+        return regExp.test(qxl.dialog.Expression.toText(value));
+      },
+      isEmpty : function(value) {
+        return value === null || value === undefined || value === "" ||
+          (qx.lang.Type.isArray(value) && value.length === 0);
+      },
+      number : function(value) {
+        return value === null || value === undefined || value === "" ? null : Number(value);
+      },
+      string : function(value) {
+        return qxl.dialog.Expression.toText(value);
+      },
+      round : function(value, digits) {
+        let factor = Math.pow(10, digits || 0);
+        return Math.round(Number(value) * factor) / factor;
+      },
+      floor : function(value) {
+        return Math.floor(Number(value));
+      },
+      ceil : function(value) {
+        return Math.ceil(Number(value));
+      },
+      abs : function(value) {
+        return Math.abs(Number(value));
+      },
+      min : function() {
+        return Math.min.apply(Math, Array.prototype.map.call(arguments, Number));
+      },
+      max : function() {
+        return Math.max.apply(Math, Array.prototype.map.call(arguments, Number));
+      },
+      sum : function(values, name) {
+        return (qx.lang.Type.isArray(values) ? values : []).reduce(function(sum, item) {
+          let value = name && item !== null && typeof item == "object" ? item[name] : item;
+          return sum + (Number(value) || 0);
+        }, 0);
+      }
+    },
+
+    /**
+     * Adds a function which can be called in expressions
+     * @param name {String} The name of the function
+     * @param func {Function} The function, which receives the evaluated
+     *   arguments and must not throw
+     */
+    registerFunction : function(name, func) {
+      qxl.dialog.Expression.FUNCTIONS[name] = func;
+    },
+
+    /**
+     * Converts a value to a string, with null as an empty string
+     * @param value {var} The value
+     * @return {String}
+     */
+    toText : function(value) {
+      return value === null || value === undefined ? "" : String(value);
+    },
+
+    /**
+     * Returns whether a string is meant as an expression, as opposed to a
+     * function source or a validator name: strings starting with "=".
+     * @param value {var} The value
+     * @return {Boolean}
+     */
+    isExpression : function(value) {
+      return typeof value == "string" && value.charAt(0) === "=";
+    }
+  },
+
+  members :
+  {
+    __source : null,
+    __key : null,
+    __functions : null,
+    __tokens : null,
+    __index : 0,
+    __tree : null,
+
+    /**
+     * Returns the source of the expression
+     * @return {String}
+     */
+    getSource : function() {
+      return this.__source;
+    },
+
+    /**
+     * Returns the paths of the fields the expression refers to
+     * @return {String[]}
+     */
+    getReferences : function() {
+      let references = [];
+      let visit = function(node) {
+        if (node.type === "ref" && references.indexOf(node.path) === -1) {
+          references.push(node.path);
+        }
+        (node.args || []).forEach(visit);
+      };
+      visit(this.__tree);
+      return references;
+    },
+
+    /**
+     * Evaluates the expression
+     * @param data {Map} The form data as a native object, in which field
+     *   references are looked up
+     * @param variables {Map?} Values which take precedence over the form
+     *   data, e.g. `value` in a validator
+     * @return {var} The result
+     */
+    evaluate : function(data, variables) {
+      return this.__evaluate(this.__tree, data || {}, variables || {});
+    },
+
+    /**
+     * Throws a parse error
+     * @param message {String} The description of the error
+     * @param pos {Integer} The position in the source
+     * @throws {Error}
+     */
+    __fail : function(message, pos) {
+      throw new Error((this.__key ? "Field '" + this.__key + "': " : "") +
+        message + " at position " + pos + " of expression '" + this.__source + "'");
+    },
+
+    /**
+     * Splits the source into tokens
+     * @return {Map[]} Maps with the `type` ("number", "string", "name",
+     *   "op"), `value` and `pos` of the tokens
+     */
+    __tokenize : function() {
+      let source = this.__source;
+      let tokens = [];
+      let pos = 0;
+      // the leading "=" marks expressions in form data
+      if (source.charAt(0) === "=") {
+        pos = 1;
+      }
+      let operators = [ "===", "!==", "==", "!=", "<=", ">=", "&&", "||",
+        "<", ">", "+", "-", "*", "/", "%", "!", "?", ":", "(", ")", "[", "]", "," ];
+      while (pos < source.length) {
+        let rest = source.substring(pos);
+        let match;
+        if ((match = /^\s+/.exec(rest))) {
+          pos += match[0].length;
+          continue;
+        }
+        if ((match = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(rest))) {
+          tokens.push({ type : "number", value : Number(match[0]), pos : pos });
+        } else if ((match = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(rest))) {
+          tokens.push({ type : "name", value : match[0], pos : pos });
+        } else if (rest.charAt(0) === "\"" || rest.charAt(0) === "'") {
+          let quote = rest.charAt(0);
+          let value = "";
+          let i = 1;
+          while (i < rest.length && rest.charAt(i) !== quote) {
+            if (rest.charAt(i) === "\\" && i + 1 < rest.length) {
+              i++;
+              value += { n : "\n", t : "\t" }[rest.charAt(i)] || rest.charAt(i);
+            } else {
+              value += rest.charAt(i);
+            }
+            i++;
+          }
+          if (i >= rest.length) {
+            this.__fail("Unterminated string", pos);
+          }
+          tokens.push({ type : "string", value : value, pos : pos });
+          match = [ rest.substring(0, i + 1) ];
+        } else {
+          let op = operators.find(function(operator) {
+            return rest.indexOf(operator) === 0;
+          });
+          if (!op) {
+            this.__fail("Unexpected character '" + rest.charAt(0) + "'", pos);
+          }
+          tokens.push({ type : "op", value : op, pos : pos });
+          match = [ op ];
+        }
+        pos += match[0].length;
+      }
+      return tokens;
+    },
+
+    /**
+     * Returns the current token
+     * @return {Map|undefined}
+     */
+    __peek : function() {
+      return this.__tokens[this.__index];
+    },
+
+    /**
+     * Consumes the current token if it is one of the given operators or
+     * keywords
+     * @param values {String[]} The operators or keywords
+     * @return {String|null} The consumed operator, or null
+     */
+    __accept : function(values) {
+      let token = this.__peek();
+      if (token && (token.type === "op" || token.type === "name") &&
+          values.indexOf(token.value) !== -1) {
+        this.__index++;
+        return token.value;
+      }
+      return null;
+    },
+
+    /**
+     * Consumes the current token, which must be the given operator
+     * @param value {String} The operator
+     */
+    __expect : function(value) {
+      if (!this.__accept([value])) {
+        let token = this.__peek();
+        this.__fail("Expected '" + value + "'",
+          token ? token.pos : this.__source.length);
+      }
+    },
+
+    /**
+     * Parses a binary operation whose operands are parsed by `next`
+     * @param operators {Map} Map of the operators to the names of the
+     *   operations
+     * @param next {Function} The parser of the operands
+     * @return {Map} The node
+     */
+    __parseBinary : function(operators, next) {
+      let node = next.call(this);
+      let op;
+      while ((op = this.__accept(Object.keys(operators)))) {
+        node = { type : "op", op : operators[op], args : [ node, next.call(this) ] };
+      }
+      return node;
+    },
+
+    // condition ? a : b
+    __parseConditional : function() {
+      let node = this.__parseOr();
+      if (this.__accept(["?"])) {
+        let yes = this.__parseConditional();
+        this.__expect(":");
+        let no = this.__parseConditional();
+        node = { type : "op", op : "?", args : [ node, yes, no ] };
+      }
+      return node;
+    },
+
+    // a || b
+    __parseOr : function() {
+      return this.__parseBinary({ "||" : "||", "or" : "||" }, this.__parseAnd);
+    },
+
+    // a && b
+    __parseAnd : function() {
+      return this.__parseBinary({ "&&" : "&&", "and" : "&&" }, this.__parseComparison);
+    },
+
+    // a == b, a < b, a in b
+    __parseComparison : function() {
+      return this.__parseBinary({
+        "==" : "==", "===" : "==", "!=" : "!=", "!==" : "!=",
+        "<" : "<", "<=" : "<=", ">" : ">", ">=" : ">=", "in" : "in"
+      }, this.__parseAdditive);
+    },
+
+    // a + b
+    __parseAdditive : function() {
+      return this.__parseBinary({ "+" : "+", "-" : "-" }, this.__parseMultiplicative);
+    },
+
+    // a * b
+    __parseMultiplicative : function() {
+      return this.__parseBinary({ "*" : "*", "/" : "/", "%" : "%" }, this.__parseUnary);
+    },
+
+    // !a, -a
+    __parseUnary : function() {
+      let op = this.__accept([ "!", "not", "-", "+" ]);
+      if (op) {
+        let name = { "!" : "!", "not" : "!", "-" : "unary-", "+" : "unary+" }[op];
+        return { type : "op", op : name, args : [ this.__parseUnary() ] };
+      }
+      return this.__parsePrimary();
+    },
+
+    // literals, references, calls and parentheses
+    __parsePrimary : function() {
+      let token = this.__peek();
+      if (!token) {
+        this.__fail("Unexpected end", this.__source.length);
+      }
+      this.__index++;
+      switch (token.type) {
+      case "number":
+      case "string":
+        return { type : "value", value : token.value };
+
+      case "name":
+        switch (token.value) {
+        case "true":
+          return { type : "value", value : true };
+
+        case "false":
+          return { type : "value", value : false };
+
+        case "null":
+          return { type : "value", value : null };
+        }
+        if (this.__accept(["("])) {
+          let name = token.value;
+          let func = this.__getFunction(name);
+          if (!func) {
+            this.__fail("Unknown function '" + name + "'", token.pos);
+          }
+          return { type : "call", func : func, args : this.__parseList(")") };
+        }
+        return { type : "ref", path : token.value };
+
+      case "op":
+        if (token.value === "(") {
+          let node = this.__parseConditional();
+          this.__expect(")");
+          return node;
+        }
+        if (token.value === "[") {
+          return { type : "array", args : this.__parseList("]") };
+        }
+        break;
+      }
+      return this.__fail("Unexpected '" + token.value + "'", token.pos);
+    },
+
+    /**
+     * Parses a comma-separated list of expressions up to the closing
+     * bracket
+     * @param close {String} The closing bracket
+     * @return {Map[]} The nodes
+     */
+    __parseList : function(close) {
+      let nodes = [];
+      if (this.__accept([close])) {
+        return nodes;
+      }
+      do {
+        nodes.push(this.__parseConditional());
+      } while (this.__accept([","]));
+      this.__expect(close);
+      return nodes;
+    },
+
+    /**
+     * Returns the function with the given name
+     * @param name {String} The name
+     * @return {Function|null} The function, or null if there is none
+     */
+    __getFunction : function(name) {
+      let has = Object.prototype.hasOwnProperty;
+      if (has.call(this.__functions, name)) {
+        return this.__functions[name];
+      }
+      if (has.call(qxl.dialog.Expression.FUNCTIONS, name)) {
+        return qxl.dialog.Expression.FUNCTIONS[name];
+      }
+      return null;
+    },
+
+    /**
+     * Evaluates a node
+     * @param node {Map} The node
+     * @param data {Map} The form data
+     * @param variables {Map} The variables
+     * @return {var} The value
+     */
+    __evaluate : function(node, data, variables) {
+      let evaluate = function(arg) {
+        return this.__evaluate(arg, data, variables);
+      }.bind(this);
+      switch (node.type) {
+      case "value":
+        return node.value;
+
+      case "ref":
+        return this.__resolve(node.path, data, variables);
+
+      case "array":
+        return node.args.map(evaluate);
+
+      case "call":
+        return node.func.apply(null, node.args.map(evaluate));
+      }
+
+      // operators, of which the logical ones short-circuit
+      let args = node.args;
+      switch (node.op) {
+      case "&&":
+        return Boolean(evaluate(args[0]) && evaluate(args[1]));
+
+      case "||":
+        return Boolean(evaluate(args[0]) || evaluate(args[1]));
+
+      case "?":
+        return evaluate(args[0]) ? evaluate(args[1]) : evaluate(args[2]);
+
+      case "!":
+        return !evaluate(args[0]);
+
+      case "unary-":
+        return -Number(evaluate(args[0]));
+
+      case "unary+":
+        return Number(evaluate(args[0]));
+      }
+      let a = evaluate(args[0]);
+      let b = evaluate(args[1]);
+      switch (node.op) {
+      case "==":
+        return this.__equals(a, b);
+
+      case "!=":
+        return !this.__equals(a, b);
+
+      case "<":
+        return a < b;
+
+      case "<=":
+        return a <= b;
+
+      case ">":
+        return a > b;
+
+      case ">=":
+        return a >= b;
+
+      case "in":
+        return qx.lang.Type.isArray(b) ? b.some(function(item) {
+          return this.__equals(a, item);
+        }, this) : qxl.dialog.Expression.FUNCTIONS.contains(b, a);
+
+      case "+":
+        if (typeof a == "string" || typeof b == "string") {
+          return qxl.dialog.Expression.toText(a) + qxl.dialog.Expression.toText(b);
+        }
+        return Number(a) + Number(b);
+
+      case "-":
+        return Number(a) - Number(b);
+
+      case "*":
+        return Number(a) * Number(b);
+
+      case "/":
+        return Number(a) / Number(b);
+
+      case "%":
+        return Number(a) % Number(b);
+      }
+      throw new Error("Unknown operator '" + node.op + "'");
+    },
+
+    /**
+     * Looks up a field or variable. Only own properties are accessible, so
+     * that expressions cannot reach prototypes.
+     * @param path {String} The path, e.g. "address.city"
+     * @param data {Map} The form data
+     * @param variables {Map} The variables
+     * @return {var} The value, or null if the path does not exist
+     */
+    __resolve : function(path, data, variables) {
+      let has = Object.prototype.hasOwnProperty;
+      let names = path.split(".");
+      let value = data;
+      if (has.call(variables, names[0])) {
+        value = variables[names.shift()];
+      }
+      for (let name of names) {
+        if (value === null || value === undefined || typeof value != "object" ||
+            !has.call(value, name)) {
+          return null;
+        }
+        value = value[name];
+      }
+      return value === undefined ? null : value;
+    },
+
+    /**
+     * Compares two values, dates by their time
+     * @param a {var} The first value
+     * @param b {var} The second value
+     * @return {Boolean}
+     */
+    __equals : function(a, b) {
+      if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+      }
+      return a === b;
+    }
+  }
+});
@@ -24,8 +24,66 @@ qx.Class.define("qxl.dialog.Form", {
   extend: qxl.dialog.Dialog,
   include: [ qxl.dialog.MForm ],
 
+  /**
+   * @param properties {Map|String?} See {@link qxl.dialog.Dialog}
+   */
+  construct: function(properties) {
+    this.base(arguments, properties);
+    // a submitted form needs no draft
+    this.addListener("ok", this.clearDraft, this);
+  },
+
+  properties :
+  {
+    /**
+     * Whether cancelling the form with the Cancel button or the Escape key
+     * asks for confirmation if fields have been changed
+     */
+    confirmDiscard :
+    {
+      check : "Boolean",
+      init : false
+    },
+
+    /**
+     * The key under which a draft of the input is stored in the local
+     * storage of the browser, or null to store no drafts. While the form is
+     * shown, changed values are stored every `persistInterval`
+     * milliseconds and when the form is closed without submitting it. The
+     * next time a form with the same key is shown, the user is offered to
+     * restore the draft. Values of password and file fields are not stored.
+     */
+    persistKey :
+    {
+      check : "String",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The interval in milliseconds in which a draft of the input is stored
+     */
+    persistInterval :
+    {
+      check : "Integer",
+      init : 5000
+    }
+  },
+
+  statics :
+  {
+    /**
+     * The prefix of the keys of drafts in the local storage
+     */
+    DRAFT_PREFIX : "qxl.dialog.draft."
+  },
+
   members :
   {
+    __confirmingDiscard : false,
+    __discardConfirmed : false,
+    __draftTimer : null,
+
     /**
      * Create OK Button
      * unlike our superclass, we do not add an appear listener to focus OK
@@ -34,6 +92,215 @@ qx.Class.define("qxl.dialog.Form", {
      */
     _createOkButton: function () {
       return this.base(arguments, true);
+    },
+
+    /**
+     * Shows the form and, if it has a `persistKey`, starts storing drafts
+     * and offers to restore a stored one
+     * @override
+     * @return {this} The widget instance
+     */
+    show: function() {
+      this.base(arguments);
+      if (this.getPersistKey() && !this.__draftTimer) {
+        this.__draftTimer = new qx.event.Timer(this.getPersistInterval());
+        this.__draftTimer.addListener("interval", this.__onDraftInterval, this);
+        this.__draftTimer.start();
+        this.__offerDraft();
+      }
+      return this;
+    },
+
+    /**
+     * Hides the form and stores a draft of the changed input
+     * @override
+     */
+    hide: function() {
+      this.base(arguments);
+      if (this.__draftTimer) {
+        this.__draftTimer.dispose();
+        this.__draftTimer = null;
+        this.__onDraftInterval();
+      }
+    },
+
+    /**
+     * Stores the current input as a draft under the `persistKey`
+     */
+    saveDraft: function() {
+      let key = this.getPersistKey();
+      if (!key) {
+        return;
+      }
+      let draft = this._getDraft();
+      // dates are stored as ISO strings and restored by the reviver
+      draft = JSON.parse(JSON.stringify(draft, function(name, value) {
+        return this[name] instanceof Date ? { $date : value } : value;
+      }));
+      try {
+        qx.bom.Storage.getLocal().setItem(qxl.dialog.Form.DRAFT_PREFIX + key, draft);
+      } catch (e) {
+        this.warn("Could not store the draft: " + e);
+      }
+    },
+
+    /**
+     * Returns the draft stored under the `persistKey`
+     * @return {Map|null} The draft, or null if none is stored
+     */
+    getDraft: function() {
+      let key = this.getPersistKey();
+      let draft = key ? qx.bom.Storage.getLocal().getItem(qxl.dialog.Form.DRAFT_PREFIX + key) : null;
+      if (!qx.lang.Type.isObject(draft)) {
+        return null;
+      }
+      return JSON.parse(JSON.stringify(draft), function(name, value) {
+        return qx.lang.Type.isObject(value) && typeof value.$date == "string" ?
+          new Date(value.$date) : value;
+      });
+    },
+
+    /**
+     * Removes the draft stored under the `persistKey`
+     */
+    clearDraft: function() {
+      let key = this.getPersistKey();
+      if (key) {
+        qx.bom.Storage.getLocal().removeItem(qxl.dialog.Form.DRAFT_PREFIX + key);
+      }
+    },
+
+    /**
+     * Returns the draft of the current input: a map whose `values` are the
+     * values of the model, without those of password and file fields, also
+     * in groups and in the entries of repeaters
+     * @return {Map}
+     */
+    _getDraft: function() {
+      let values = qx.util.Serializer.toNativeObject(this.getModel()) || {};
+      this.__removeDraftExcluded(values, this.getFormData() || {});
+      return { values : values };
+    },
+
+    /**
+     * Removes the values which are not stored in drafts
+     * @param values {Map} The values of the fields of the form data
+     * @param formData {Map} The form data
+     */
+    __removeDraftExcluded: function(values, formData) {
+      for (let name of Object.getOwnPropertyNames(formData)) {
+        let fieldData = formData[name];
+        let value = values[name];
+        if (!this._isDraftType(fieldData.type)) {
+          delete values[name];
+        } else if (qx.lang.Type.isObject(fieldData.fields)) {
+          // the entries of a repeater, or the fields of a group
+          (qx.lang.Type.isArray(value) ? value : [value]).forEach(function(entry) {
+            if (qx.lang.Type.isObject(entry)) {
+              this.__removeDraftExcluded(entry, fieldData.fields);
+            }
+          }, this);
+        }
+      }
+    },
+
+    /**
+     * Sets the fields to the values of a draft
+     * @param draft {Map} The draft, as returned by {@link #_getDraft}
+     */
+    _restoreDraft: function(draft) {
+      for (let key in this._formElements) {
+        let value = this._getValueByPath(draft.values, key);
+        if (this._isDraftField(key) && value !== undefined) {
+          this._setFieldValue(key, value);
+        }
+      }
+    },
+
+    /**
+     * Returns whether the value of a field is stored in drafts. Passwords
+     * must not be stored, and files cannot be.
+     * @param key {String} The key of the field
+     * @return {Boolean}
+     */
+    _isDraftField: function(key) {
+      return this._isDraftType(this._fieldData[key].type);
+    },
+
+    /**
+     * Returns whether the values of fields of the given type are stored in
+     * drafts
+     * @param type {String} The `type` member of the field data
+     * @return {Boolean}
+     */
+    _isDraftType: function(type) {
+      let fieldType = String(type).toLowerCase();
+      return fieldType !== "passwordfield" && fieldType !== "file";
+    },
+
+    /**
+     * Stores a draft if the input has been changed
+     */
+    __onDraftInterval: function() {
+      if (this.isDirty()) {
+        this.saveDraft();
+      }
+    },
+
+    /**
+     * Asks whether to restore the stored draft, and removes it if not
+     */
+    __offerDraft: function() {
+      let draft = this.getDraft();
+      if (!draft) {
+        return;
+      }
+      qxl.dialog.Dialog.confirm(
+        this.tr("Do you want to restore the input which has not been submitted?"),
+        function(restore) {
+          if (restore) {
+            this._restoreDraft(draft);
+          } else {
+            this.clearDraft();
+          }
+        }, this);
+    },
+
+    /**
+     * Asks whether to discard the changes before cancelling, if the form is
+     * dirty and `confirmDiscard` is set
+     * @override
+     */
+    _handleCancel: function() {
+      if (this.__confirmingDiscard || this.getBusy()) {
+        // the confirmation is still open, or the form is being submitted
+        return;
+      }
+      if (this.__discardConfirmed || !this.getConfirmDiscard() ||
+          this.getReadOnly() || !this.isDirty()) {
+        this.__discardConfirmed = false;
+        this.base(arguments);
+        return;
+      }
+      this.__confirmingDiscard = true;
+      let confirm = qxl.dialog.Dialog.confirm(
+        this.tr("Discard unsaved changes?"),
+        function(discard) {
+          this.__confirmingDiscard = false;
+          if (discard) {
+            this.__discardConfirmed = true;
+            this._handleCancel();
+            this.clearDraft();
+          }
+        }, this);
+      // the confirmation is cancelled with the Escape key
+      confirm.addListenerOnce("cancel", function() {
+        this.__confirmingDiscard = false;
+      }, this);
     }
+  },
+
+  destruct: function() {
+    this._disposeObjects("__draftTimer");
   }
 });
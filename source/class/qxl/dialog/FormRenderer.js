@@ -40,6 +40,24 @@ qx.Class.define("qxl.dialog.FormRenderer", {
     requiredSuffix :{
       refine : true,
       init : "<span style='color:#e5004b'>*</span>"
+    },
+
+    /**
+     * The text that is appended to the label while the value of the field
+     * is being validated asynchronously
+     */
+    validatingSuffix :{
+      check : "String",
+      init : " <span style='color:#808080'>&hellip;</span>"
+    },
+
+    /**
+     * The text that is appended to the label while the options of the
+     * field are being loaded
+     */
+    loadingSuffix :{
+      check : "String",
+      init : " <span style='color:#808080'>&hellip;</span>"
     }
   },
 
@@ -77,12 +95,20 @@ qx.Class.define("qxl.dialog.FormRenderer", {
           } else {
             widget = this._createWidgetForRadioGroup(item);
           }
+          // allow access to the container, e.g. to hide the group
+          item.setUserData("widget", widget);
+        } else if (item instanceof qxl.dialog.formElement.CheckBoxGroup) {
+          item.setOrientation(
+            item.getUserData("orientation") === "horizontal" ? "horizontal" : "vertical");
+          widget = item;
         } else {
           widget = item;
         }
         if (names[i] && item.getUserData("excluded")) {
           label = new qx.ui.basic.Label(names[i]);
           label.setRich(true);
+          this._labels.push(label);
+          this._connectVisibility(item, label);
           this._add(label, {
             row: this._row,
             column: 0,
@@ -95,15 +121,30 @@ qx.Class.define("qxl.dialog.FormRenderer", {
             colSpan: 2
           });
           this._getLayout().getCellWidget(this._row, 0).setAlignX("left");
+          this._addReadOnlyView(item, {
+            row: this._row,
+            column: 0,
+            colSpan: 2
+          });
         } else if (!names[i]) {
           this._add(widget, {
             row: this._row,
             column: 0,
             colSpan: 2
           });
+          this._addReadOnlyView(item, {
+            row: this._row,
+            column: 0,
+            colSpan: 2
+          });
         } else {
           label = this._createLabel(names[i], item);
           label.setRich(true);
+          let view = this._addReadOnlyView(item, {
+            row: this._row,
+            column: 1
+          });
+          this._connectVisibility(widget, label, view);
           this._add(label, {
             row: this._row,
             column: 0
@@ -117,6 +158,90 @@ qx.Class.define("qxl.dialog.FormRenderer", {
       }
     },
 
+    /**
+     * Adds a label to the cell of a form item, which is shown instead of the
+     * item while it is read-only. The label is stored in the "readOnlyView"
+     * user data of the item, and its content is set by the form.
+     * @param item {qx.ui.form.IForm} The form item
+     * @param options {Map} The layout properties of the item
+     * @return {qx.ui.basic.Label} The label
+     */
+    _addReadOnlyView: function(item, options) {
+      let view = new qx.ui.basic.Label();
+      view.set({
+        rich: true,
+        visibility: "excluded"
+      });
+      // disposed with the labels when the form is rendered again
+      this._labels.push(view);
+      this._add(view, options);
+      item.setUserData("readOnlyView", view);
+      return view;
+    },
+
+    /**
+     * Shows the label of a form item as long as the item or the label
+     * showing its read-only value is shown
+     * @param item {qx.ui.core.Widget} The widget of the form item
+     * @param label {qx.ui.basic.Label} The label
+     * @param view {qx.ui.basic.Label?} The label showing the read-only value
+     */
+    _connectVisibility: function(item, label, view) {
+      if (!view) {
+        this.base(arguments, item, label);
+        return;
+      }
+      let update = function() {
+        label.setVisibility(
+          item.isExcluded() && view.isExcluded() ? "excluded" : "visible");
+      };
+      item.addListener("changeVisibility", update);
+      view.addListener("changeVisibility", update);
+      update();
+    },
+
+    /**
+     * Creates a label for the given form item, which is updated when the
+     * required state of the item changes. A function which updates the
+     * label is stored in the "updateLabel" user data of the item.
+     * @param name {String} The content of the label without the
+     *   trailing * and :
+     * @param item {qx.ui.form.IForm} The item, which has the required state.
+     * @return {qx.ui.basic.Label} The label for the given item.
+     */
+    _createLabel: function(name, item) {
+      let label = this.base(arguments, name, item);
+      item.bind("required", label, "value", {
+        converter: function() {
+          return this._createLabelText(name, item);
+        }.bind(this)
+      });
+      item.setUserData("updateLabel", function() {
+        if (!label.isDisposed()) {
+          label.setValue(this._createLabelText(name, item));
+        }
+      }.bind(this));
+      return label;
+    },
+
+    /**
+     * Creates the label text, adding the validating indicator if the
+     * item's value is being validated asynchronously, or the loading
+     * indicator if its options are being loaded.
+     * @param name {String} The content of the label
+     * @param item {qx.ui.form.IForm} The form item
+     * @return {String} The label text
+     */
+    _createLabelText: function(name, item) {
+      let text = this.base(arguments, name, item);
+      if (item.getUserData("validating")) {
+        text += this.getValidatingSuffix();
+      } else if (item.getUserData("loading")) {
+        text += this.getLoadingSuffix();
+      }
+      return text;
+    },
+
     /**
      * Takes the items of the given RadioGroup and adds the to a Composite.
      * @param group {qx.ui.form.RadioGroup} The RadioGroup which needs to be
@@ -0,0 +1,810 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * Converts between JSON Schema documents and the form data of
+ * {@link qxl.dialog.MForm}.
+ *
+ * {@link #fromJsonSchema} creates the form data for an object schema. The
+ * properties of the schema become fields, whose types depend on the
+ * property schemas:
+ *
+ *   - `enum` (or `oneOf` with `const` and `title`): SelectBox
+ *   - string: TextField; with `format` "date": DateField, "date-time":
+ *     DateTimeField, "time" (or the {@link #TIME_PATTERN}): TimeField,
+ *     "password": PasswordField, "email" and "uri": TextField with the
+ *     corresponding validator. Dates are returned as ISO strings.
+ *   - number and integer: NumberField
+ *   - boolean: CheckBox
+ *   - array of an enum: CheckBoxGroup; of strings: TokenField; of objects:
+ *     Repeater
+ *   - object: Group
+ *
+ * `title` becomes the label, `description` the tooltip, `default` the
+ * value and `readOnly` the read-only state of the field. Properties listed
+ * in `required` are required fields, and the constraints of the schema
+ * (`minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `minItems`,
+ * `maxItems`) are checked by the validators of the fields, whose error
+ * messages are shown on the fields. Fields with such a validator keep
+ * their property schema in the `jsonSchema` member.
+ * <pre>
+ *   let formData = qxl.dialog.FormSchema.fromJsonSchema({
+ *     'type'       : "object",
+ *     'required'   : [ "name" ],
+ *     'properties' : {
+ *       "name"  : { 'type' : "string", 'title' : "Name", 'maxLength' : 50 },
+ *       "email" : { 'type' : "string", 'title' : "E-Mail", 'format' : "email" }
+ *     }
+ *   }, {
+ *     "name" : { 'placeholder' : "First and last name" }
+ *   });
+ * </pre>
+ *
+ * {@link #toJsonSchema} does the reverse: it describes the values of a form
+ * as a JSON Schema, which can be used to validate the submitted data, and
+ * which {@link #fromJsonSchema} turns into a form again. Fields with a
+ * `visibleWhen` or `requiredWhen` condition are required by an `if`/`then`
+ * clause of the object schema; such fields are imported as optional.
+ */
+qx.Class.define("qxl.dialog.FormSchema",
+{
+  type : "static",
+
+  statics :
+  {
+    /**
+     * The JSON Schema version of exported schemas
+     */
+    SCHEMA_VERSION : "http://json-schema.org/draft-07/schema#",
+
+    /**
+     * The members of property schemas which {@link #createValidator} checks
+     */
+    CONSTRAINTS : [ "minLength", "maxLength", "pattern", "minimum", "maximum",
+      "exclusiveMinimum", "exclusiveMaximum", "multipleOf" ],
+
+    /**
+     * The pattern of the values of time fields, "HH:mm". The "time" format
+     * of JSON Schema requires seconds and a time zone.
+     */
+    TIME_PATTERN : "^\\d{2}:\\d{2}$",
+
+    /**
+     * Creates form data from a JSON Schema
+     *
+     * @param schema {Map} The schema, of type "object"
+     * @param uiHints {Map?} Map of the keys of fields (paths for properties
+     *   of nested objects, e.g. "address.street") to field data members
+     *   which override or add to the converted ones, e.g.
+     *   `{ 'type' : "TextArea", 'lines' : 3 }`. The fields of the entries of
+     *   an array of objects are keyed by the path of the array, e.g.
+     *   "phones.number".
+     * @return {Map} The form data
+     */
+    fromJsonSchema : function(schema, uiHints) {
+      if (!qx.lang.Type.isObject(schema) || !qx.lang.Type.isObject(schema.properties)) {
+        throw new Error("The schema must be an object schema with 'properties'");
+      }
+      return qxl.dialog.FormSchema.__convertProperties(schema, uiHints || {}, null);
+    },
+
+    /**
+     * Describes the values of a form as a JSON Schema. Members of the form
+     * data which cannot be expressed in JSON, such as functions (event
+     * handlers, validators, conditions, option loaders) or objects like
+     * number formats, are not exported, but listed in `nonExportable`.
+     * Fields of type "File" and of types unknown to this converter are
+     * listed there as well.
+     *
+     * A field with a `visibleWhen` or `requiredWhen` condition is required
+     * only if its conditions are met. Conditions which are maps of the
+     * fields of the same group to values are exported as `if`/`then`
+     * clauses in the `allOf` list of the object schema; other conditions,
+     * such as expressions, are listed in `nonExportable`, and the field is
+     * not required by the schema.
+     *
+     * @param formData {Map} The form data
+     * @return {Map} Map with the `schema` and `nonExportable`, an array of
+     *   the paths of the members which were not exported, e.g.
+     *   "email.validation.asyncValidator"
+     */
+    toJsonSchema : function(formData) {
+      let nonExportable = [];
+      let schema = qxl.dialog.FormSchema.__exportFields(formData, null, null, nonExportable);
+      schema = Object.assign({ $schema : qxl.dialog.FormSchema.SCHEMA_VERSION }, schema);
+      return {
+        schema : schema,
+        nonExportable : nonExportable
+      };
+    },
+
+    /**
+     * Creates a validator which checks a value against the constraints of a
+     * property schema. Empty values are valid; whether a value is required
+     * is checked by the form.
+     *
+     * @param schema {Map} The property schema
+     * @return {Function|null} The validator, or null if the schema has no
+     *   constraints to check
+     */
+    createValidator : function(schema) {
+      let type = qxl.dialog.FormSchema.getType(schema);
+      if (type !== "integer" && !qxl.dialog.FormSchema.CONSTRAINTS.some(function(name) {
+        return schema[name] !== undefined;
+      })) {
+        return null;
+      }
+      let pattern = typeof schema.pattern == "string" ? new RegExp(schema.pattern) : null;
+      let fail = function(message) {
+        throw new qx.core.ValidationError("Validation Error", message);
+      };
+      return function(value) {
+        if (value === null || value === undefined || value === "") {
+          return true;
+        }
+        if (typeof value == "string") {
+          if (typeof schema.minLength == "number" && value.length < schema.minLength) {
+            fail(qx.locale.Manager.tr("At least %1 characters are required.", schema.minLength));
+          }
+          if (typeof schema.maxLength == "number" && value.length > schema.maxLength) {
+            fail(qx.locale.Manager.tr("At most %1 characters are allowed.", schema.maxLength));
+          }
+          if (pattern && !pattern.test(value)) {
+            fail(qx.locale.Manager.tr("The input does not have the required format."));
+          }
+        }
+        if (typeof value == "number") {
+          if (type === "integer" && Math.round(value) !== value) {
+            fail(qx.locale.Manager.tr("The value must be a whole number."));
+          }
+          // draft 4 uses boolean exclusive bounds, later drafts numbers
+          let min = schema.minimum;
+          let max = schema.maximum;
+          let exclusiveMin = typeof schema.exclusiveMinimum == "number" ?
+            schema.exclusiveMinimum : schema.exclusiveMinimum === true ? min : undefined;
+          let exclusiveMax = typeof schema.exclusiveMaximum == "number" ?
+            schema.exclusiveMaximum : schema.exclusiveMaximum === true ? max : undefined;
+          if (typeof min == "number" && value < min) {
+            fail(qx.locale.Manager.tr("The value must be at least %1.", min));
+          }
+          if (typeof exclusiveMin == "number" && value <= exclusiveMin) {
+            fail(qx.locale.Manager.tr("The value must be greater than %1.", exclusiveMin));
+          }
+          if (typeof max == "number" && value > max) {
+            fail(qx.locale.Manager.tr("The value must be at most %1.", max));
+          }
+          if (typeof exclusiveMax == "number" && value >= exclusiveMax) {
+            fail(qx.locale.Manager.tr("The value must be less than %1.", exclusiveMax));
+          }
+          if (typeof schema.multipleOf == "number" &&
+              Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+            fail(qx.locale.Manager.tr("The value must be a multiple of %1.", schema.multipleOf));
+          }
+        }
+        return true;
+      };
+    },
+
+    /**
+     * Returns the type of a property schema. Of a list of types, the first
+     * one other than "null" is returned.
+     *
+     * @param schema {Map} The property schema
+     * @return {String|null} The type, or null if the schema has none
+     */
+    getType : function(schema) {
+      let type = schema.type;
+      if (qx.lang.Type.isArray(type)) {
+        type = type.filter(function(item) {
+          return item !== "null";
+        })[0];
+      }
+      if (!type && qx.lang.Type.isObject(schema.properties)) {
+        type = "object";
+      }
+      return type || null;
+    },
+
+    /**
+     * Converts the properties of an object schema to form data
+     * @param schema {Map} The object schema
+     * @param uiHints {Map} The UI hints, keyed by path
+     * @param prefix {String|null} The path of the object, or null for the
+     *   schema itself
+     * @return {Map} The form data
+     */
+    __convertProperties : function(schema, uiHints, prefix) {
+      let formData = {};
+      let required = qx.lang.Type.isArray(schema.required) ? schema.required : [];
+      for (let name of Object.getOwnPropertyNames(schema.properties)) {
+        let key = prefix ? prefix + "." + name : name;
+        let fieldData = qxl.dialog.FormSchema.__convertProperty(
+          schema.properties[name], name, required.indexOf(name) !== -1, uiHints, key);
+        Object.assign(fieldData, uiHints[key] || {});
+        formData[name] = fieldData;
+      }
+      return formData;
+    },
+
+    /**
+     * Converts a property schema to the data of a field
+     * @param schema {Map} The property schema
+     * @param name {String} The name of the property
+     * @param required {Boolean} Whether the property is required
+     * @param uiHints {Map} The UI hints, keyed by path
+     * @param key {String} The path of the property
+     * @return {Map} The field data
+     */
+    __convertProperty : function(schema, name, required, uiHints, key) {
+      let FormSchema = qxl.dialog.FormSchema;
+      let type = FormSchema.getType(schema);
+      let options = FormSchema.__getOptions(schema);
+      let fieldData = {
+        label : schema.title || name
+      };
+      let validation = {};
+      if (schema.description) {
+        fieldData.toolTipText = schema.description;
+      }
+      if (schema["default"] !== undefined) {
+        fieldData.value = schema["default"];
+      }
+      if (schema.readOnly === true) {
+        fieldData.readOnly = true;
+      }
+
+      if (options) {
+        fieldData.type = "SelectBox";
+        fieldData.options = options;
+      } else {
+        switch (type) {
+        case "object":
+          fieldData.type = "Group";
+          fieldData.fields = FormSchema.__convertProperties(
+            qx.lang.Type.isObject(schema.properties) ? schema : { properties : {} },
+            uiHints, key);
+          // groups are not validated themselves
+          return fieldData;
+
+        case "array": {
+          let items = qx.lang.Type.isObject(schema.items) ? schema.items : {};
+          let itemOptions = FormSchema.__getOptions(items);
+          if (itemOptions) {
+            fieldData.type = "CheckBoxGroup";
+            fieldData.options = itemOptions;
+          } else if (FormSchema.getType(items) === "object") {
+            fieldData.type = "Repeater";
+            fieldData.fields = FormSchema.__convertProperties(
+              qx.lang.Type.isObject(items.properties) ? items : { properties : {} },
+              uiHints, key);
+          } else {
+            fieldData.type = "TokenField";
+          }
+          if (typeof schema.minItems == "number" && fieldData.type !== "TokenField") {
+            fieldData.min = schema.minItems;
+          }
+          if (typeof schema.maxItems == "number") {
+            fieldData.max = schema.maxItems;
+          }
+          break;
+        }
+
+        case "boolean":
+          fieldData.type = "CheckBox";
+          // a check box always has a value
+          required = false;
+          if (fieldData.value === undefined) {
+            fieldData.value = false;
+          }
+          break;
+
+        case "number":
+        case "integer":
+          fieldData.type = "NumberField";
+          if (type === "integer") {
+            fieldData.fractionsDigits = { min : 0, max : 0 };
+          }
+          break;
+
+        default:
+          switch (schema.pattern === FormSchema.TIME_PATTERN ? "time" : schema.format) {
+          case "date":
+            fieldData.type = "DateField";
+            fieldData.isoString = "local";
+            break;
+
+          case "date-time":
+            fieldData.type = "DateTimeField";
+            fieldData.isoString = "utc";
+            break;
+
+          case "time":
+            fieldData.type = "TimeField";
+            break;
+
+          case "password":
+            fieldData.type = "PasswordField";
+            break;
+
+          case "email":
+            fieldData.type = "TextField";
+            validation.validator = "email";
+            break;
+
+          case "uri":
+          case "url":
+            fieldData.type = "TextField";
+            validation.validator = "url";
+            break;
+
+          default:
+            fieldData.type = "TextField";
+            break;
+          }
+          break;
+        }
+      }
+
+      let validator = FormSchema.createValidator(schema);
+      if (validator) {
+        if (validation.validator) {
+          // the format and the constraints are checked by one validator
+          let format = qx.util.Validate[validation.validator]();
+          let constraints = validator;
+          validator = function(value) {
+            if (value !== null && value !== undefined && value !== "") {
+              format(value);
+            }
+            return constraints(value);
+          };
+        }
+        validation.validator = validator;
+        // allows exporting the constraints again
+        fieldData.jsonSchema = schema;
+      }
+      if (required) {
+        validation.required = true;
+      }
+      if (Object.keys(validation).length) {
+        fieldData.validation = validation;
+      }
+      return fieldData;
+    },
+
+    /**
+     * Converts the fields of form data to an object schema
+     * @param formData {Map} The form data
+     * @param prefix {String|null} The path of the group, or null
+     * @param scope {String|null} The path of the group in the data the
+     *   conditions of its fields are evaluated with, or null if the fields
+     *   are at the top level of this data, e.g. in an entry of a repeater
+     * @param nonExportable {Array} The paths of the members which cannot be
+     *   exported, to which new ones are added
+     * @return {Map} The object schema
+     */
+    __exportFields : function(formData, prefix, scope, nonExportable) {
+      let FormSchema = qxl.dialog.FormSchema;
+      let schema = {
+        type : "object",
+        properties : {}
+      };
+      let required = [];
+      let conditional = [];
+      for (let name of Object.getOwnPropertyNames(formData)) {
+        let key = prefix ? prefix + "." + name : name;
+        let fieldData = formData[name];
+        let property = FormSchema.__exportField(fieldData, key,
+          scope ? scope + "." + name : name, nonExportable);
+        if (!property) {
+          continue;
+        }
+        schema.properties[name] = property;
+        if (fieldData.visibleWhen !== undefined || fieldData.requiredWhen !== undefined) {
+          let clause = FormSchema.__exportRequiredCondition(
+            fieldData, name, key, scope, formData, nonExportable);
+          if (clause) {
+            conditional.push(clause);
+          }
+        } else if (fieldData.validation && fieldData.validation.required === true) {
+          required.push(name);
+        }
+      }
+      if (required.length) {
+        schema.required = required;
+      }
+      if (conditional.length) {
+        schema.allOf = conditional;
+      }
+      return schema;
+    },
+
+    /**
+     * Converts the `visibleWhen` and `requiredWhen` conditions of a field
+     * to a schema which requires the field if the conditions are met. Only
+     * conditions which are maps of fields of the same group to values can
+     * be converted; with other conditions, the field is not required by the
+     * schema, and the conditions are listed as not exportable.
+     * @param fieldData {Map} The field data
+     * @param name {String} The name of the field in its group
+     * @param key {String} The path of the field
+     * @param scope {String|null} The path of the group in the data the
+     *   conditions are evaluated with
+     * @param formData {Map} The form data of the group
+     * @param nonExportable {Array} The paths of the members which cannot be
+     *   exported, to which new ones are added
+     * @return {Map|null} The schema, or null if the field is never required
+     *   or its conditions cannot be converted
+     */
+    __exportRequiredCondition : function(fieldData, name, key, scope, formData, nonExportable) {
+      let requiredWhen = fieldData.requiredWhen;
+      if (requiredWhen === undefined) {
+        requiredWhen = Boolean(fieldData.validation && fieldData.validation.required === true);
+      }
+      let conditions = [];
+      for (let [member, condition] of [
+        [ "visibleWhen", fieldData.visibleWhen ], [ "requiredWhen", requiredWhen ] ]) {
+        if (condition === undefined) {
+          continue;
+        }
+        if (typeof condition != "function" && typeof condition != "string" &&
+            !qx.lang.Type.isObject(condition)) {
+          if (!condition) {
+            return null;
+          }
+          continue;
+        }
+        let schema = qxl.dialog.FormSchema.__exportCondition(condition, scope, formData);
+        if (!schema) {
+          // a field which is never required needs no condition
+          if (requiredWhen !== false) {
+            let path = key + "." + member;
+            if (nonExportable.indexOf(path) === -1) {
+              nonExportable.push(path);
+            }
+          }
+          return null;
+        }
+        conditions.push(schema);
+      }
+      if (!conditions.length) {
+        return { required : [ name ] };
+      }
+      return {
+        "if" : conditions.length === 1 ? conditions[0] : { allOf : conditions },
+        then : { required : [ name ] }
+      };
+    },
+
+    /**
+     * Converts a condition which is a map of the paths of fields to their
+     * values to a schema which matches these values
+     * @param condition {var} The condition
+     * @param scope {String|null} The path of the group in the data the
+     *   condition is evaluated with
+     * @param formData {Map} The form data of the group
+     * @return {Map|null} The schema, or null if the condition is not a map
+     *   or refers to fields outside the group
+     */
+    __exportCondition : function(condition, scope, formData) {
+      if (!qx.lang.Type.isObject(condition)) {
+        return null;
+      }
+      let schema = {
+        properties : {},
+        required : []
+      };
+      for (let path of Object.keys(condition)) {
+        if (scope && path.indexOf(scope + ".") !== 0) {
+          return null;
+        }
+        let name = scope ? path.substr(scope.length + 1) : path;
+        if (name.indexOf(".") !== -1 || !Object.prototype.hasOwnProperty.call(formData, name)) {
+          return null;
+        }
+        let expected = condition[path];
+        schema.properties[name] = qx.lang.Type.isArray(expected) ?
+          { "enum" : expected } : { "const" : expected };
+        schema.required.push(name);
+      }
+      return schema;
+    },
+
+    /**
+     * Converts the data of a field to a property schema
+     * @param fieldData {Map} The field data
+     * @param key {String} The path of the field
+     * @param scope {String} The path of the field in the data its
+     *   conditions are evaluated with
+     * @param nonExportable {Array} The paths of the members which cannot be
+     *   exported, to which new ones are added
+     * @return {Map|null} The property schema, or null if the field has no
+     *   value
+     */
+    __exportField : function(fieldData, key, scope, nonExportable) {
+      let FormSchema = qxl.dialog.FormSchema;
+      let fieldType = String(fieldData.type).toLowerCase();
+      let options = FormSchema.__exportOptions(fieldData.options);
+      let property;
+      switch (fieldType) {
+      case "label":
+      case "groupheader":
+        return null;
+
+      case "group":
+        property = FormSchema.__exportFields(fieldData.fields || {}, key, scope, nonExportable);
+        break;
+
+      case "repeater":
+        property = {
+          type : "array",
+          // the entries are evaluated on their own
+          items : FormSchema.__exportFields(fieldData.fields || {}, key, null, nonExportable)
+        };
+        break;
+
+      case "textfield":
+      case "textarea":
+      case "combobox":
+      case "maskedfield":
+        property = { type : "string" };
+        break;
+
+      case "passwordfield":
+        property = { type : "string", format : "password" };
+        break;
+
+      case "numberfield":
+      case "currencyfield":
+      case "spinner":
+      case "slider": {
+        let digits = fieldData.fractionsDigits;
+        // the bounds may also be set as properties of the widget
+        let properties = qx.lang.Type.isObject(fieldData.properties) ? fieldData.properties : {};
+        let min = typeof fieldData.min == "number" ? fieldData.min : properties.minimum;
+        let max = typeof fieldData.max == "number" ? fieldData.max : properties.maximum;
+        property = {
+          type : digits && digits.max === 0 ? "integer" : "number"
+        };
+        if (typeof min == "number") {
+          property.minimum = min;
+        }
+        if (typeof max == "number") {
+          property.maximum = max;
+        }
+        break;
+      }
+
+      case "rangeslider": {
+        let bound = { type : "number" };
+        if (typeof fieldData.min == "number") {
+          bound.minimum = fieldData.min;
+        }
+        if (typeof fieldData.max == "number") {
+          bound.maximum = fieldData.max;
+        }
+        property = {
+          type : "object",
+          properties : { min : bound, max : bound }
+        };
+        break;
+      }
+
+      case "checkbox":
+        property = { type : "boolean" };
+        break;
+
+      case "selectbox":
+      case "radiogroup":
+      case "searchselect":
+        property = options || {};
+        break;
+
+      case "list":
+      case "checkboxgroup":
+      case "duallist":
+        property = {
+          type : "array",
+          items : options || {},
+          uniqueItems : true
+        };
+        break;
+
+      case "tokenfield":
+        property = {
+          type : "array",
+          items : { type : "string" },
+          uniqueItems : true
+        };
+        break;
+
+      case "datefield":
+        // without `isoString`, dates are serialized in UTC
+        property = {
+          type : "string",
+          format : fieldData.isoString === "local" ? "date" : "date-time"
+        };
+        break;
+
+      case "datetimefield":
+        property = { type : "string", format : "date-time" };
+        break;
+
+      case "timefield":
+        property = { type : "string", pattern : FormSchema.TIME_PATTERN };
+        break;
+
+      case "daterange": {
+        let date = {
+          type : "string",
+          format : fieldData.isoString === "local" ? "date" : "date-time"
+        };
+        property = {
+          type : "object",
+          properties : { start : date, end : date }
+        };
+        break;
+      }
+
+      default:
+        // e.g. files, and types registered by applications
+        nonExportable.push(key);
+        return null;
+      }
+
+      if (property.type === "array") {
+        if (typeof fieldData.min == "number") {
+          property.minItems = fieldData.min;
+        }
+        if (typeof fieldData.max == "number") {
+          property.maxItems = fieldData.max;
+        }
+      }
+      if (fieldData.label) {
+        property.title = String(fieldData.label);
+      }
+      if (typeof fieldData.toolTipText == "string") {
+        property.description = fieldData.toolTipText;
+      }
+      // computed fields are read-only by default
+      if (fieldData.readOnly === true ||
+          (fieldData.compute !== undefined && fieldData.readOnly !== false)) {
+        property.readOnly = true;
+      }
+      if (fieldData.value !== undefined && fieldData.value !== null &&
+          fieldType !== "group" && fieldType !== "passwordfield") {
+        property["default"] = JSON.parse(JSON.stringify(fieldData.value));
+      }
+
+      // validators
+      let validation = fieldData.validation || {};
+      let validator = validation.validator;
+      if (fieldData.jsonSchema) {
+        // the constraints from which the validator has been created
+        FormSchema.CONSTRAINTS.forEach(function(name) {
+          if (fieldData.jsonSchema[name] !== undefined) {
+            property[name] = fieldData.jsonSchema[name];
+          }
+        });
+        // e.g. "email", which is checked by the same validator
+        if (property.format === undefined && fieldData.jsonSchema.format !== undefined) {
+          property.format = fieldData.jsonSchema.format;
+        }
+        validator = undefined;
+      }
+      if (validator === "email") {
+        property.format = "email";
+      } else if (validator === "url") {
+        property.format = "uri";
+      } else if (typeof validator == "string" && validator.charAt(0) === "/") {
+        property.pattern = validator.substr(1, validator.length - 2);
+      } else if (validator !== undefined && validator !== null) {
+        nonExportable.push(key + ".validation.validator");
+      }
+
+      // members which cannot be expressed in JSON
+      for (let name of Object.keys(fieldData)) {
+        if (name !== "fields" && name !== "jsonSchema" &&
+            !(name === "validation" && fieldData.jsonSchema)) {
+          FormSchema.__findNonExportable(fieldData[name], key + "." + name, nonExportable);
+        }
+      }
+      if (fieldData.jsonSchema && validation.asyncValidator) {
+        nonExportable.push(key + ".validation.asyncValidator");
+      }
+      return property;
+    },
+
+    /**
+     * Adds the paths of functions and class instances in a member of the
+     * form data to the list of non-exportable members
+     * @param value {var} The value of the member
+     * @param path {String} The path of the member
+     * @param nonExportable {Array} The paths of the non-exportable members
+     */
+    __findNonExportable : function(value, path, nonExportable) {
+      if (typeof value == "function" || value instanceof qx.core.Object ||
+          value instanceof RegExp) {
+        // validators are checked by the caller
+        if (!/\.validation\.validator$/.test(path)) {
+          nonExportable.push(path);
+        }
+      } else if (qx.lang.Type.isArray(value) || qx.lang.Type.isObject(value)) {
+        Object.keys(value).forEach(function(name) {
+          qxl.dialog.FormSchema.__findNonExportable(value[name], path + "." + name, nonExportable);
+        });
+      }
+    },
+
+    /**
+     * Converts the options of a field to a property schema: an `enum` of
+     * their values, or a `oneOf` list of schemas with a `const` value and a
+     * `title` if the labels differ from the values
+     * @param options {var} The `options` member of the field data
+     * @return {Map|null} The property schema, or null if the options are
+     *   not an array
+     */
+    __exportOptions : function(options) {
+      if (!qx.lang.Type.isArray(options)) {
+        return null;
+      }
+      let values = options.map(function(option) {
+        return option.value !== undefined ? option.value : option.label;
+      });
+      let labelled = options.some(function(option, index) {
+        return String(option.label) !== String(values[index]);
+      });
+      if (!labelled) {
+        return { "enum" : values };
+      }
+      return {
+        oneOf : options.map(function(option, index) {
+          return { "const" : values[index], title : String(option.label) };
+        })
+      };
+    },
+
+    /**
+     * Returns the options of a property schema with an `enum`, or with a
+     * `oneOf` list of schemas with a `const` value
+     * @param schema {Map} The property schema
+     * @return {Array|null} The options, maps with `label` and `value`, or
+     *   null if the schema has no fixed values
+     */
+    __getOptions : function(schema) {
+      if (qx.lang.Type.isArray(schema["enum"])) {
+        return schema["enum"].map(function(value) {
+          return { label : String(value), value : value };
+        });
+      }
+      if (qx.lang.Type.isArray(schema.oneOf) && schema.oneOf.length &&
+          schema.oneOf.every(function(item) {
+            return qx.lang.Type.isObject(item) && item["const"] !== undefined;
+          })) {
+        return schema.oneOf.map(function(item) {
+          return {
+            label : item.title || String(item["const"]),
+            value : item["const"]
+          };
+        });
+      }
+      return null;
+    }
+  }
+});
@@ -25,6 +25,7 @@
  * @require(qxl.dialog.FormRenderer)
  * @require(qx.util.Serializer)
  * @require(qx.util.Validate)
+ * @ignore(AbortController)
  */
 qx.Mixin.define("qxl.dialog.MForm", {
   construct : function(properties) {
@@ -45,12 +46,19 @@ qx.Mixin.define("qxl.dialog.MForm", {
      * Data to create a form with multiple fields.
      * So far implemented:
      *   TextField / TextArea
+     *   MaskedField / NumberField / CurrencyField
      *   ComboBox
      *   SelectBox
      *   RadioGroup
-     *   CheckBox
+     *   CheckBox / CheckBoxGroup
      *   Spinner
      *   List
+     *   DualList
+     *   SearchSelect
+     *   TokenField
+     *   File
+     *   Slider / RangeSlider
+     *   DateField / TimeField / DateTimeField / DateRange
      *
      * <pre>
      * {
@@ -89,9 +97,24 @@ qx.Mixin.define("qxl.dialog.MForm", {
      *      'maximum' : 20,
      *      'maxWidth' : 100
      *    }
+     *   },
+     *   "company" : {
+     *     'type'        : "TextField",
+     *     'label'       : "Company name",
+     *     'visibleWhen' : { 'domain' : 0 },
+     *     'requiredWhen': function(data) { return data.quantity > 10; }
      *   }
      * }
      * </pre>
+     *
+     * The members of each field type are described in the classes of the
+     * form elements in `qxl.dialog.formElement`. The members common to all
+     * fields, such as conditions, are described in the "Form data" section
+     * of the README.
+     *
+     * Form data can be created from a JSON Schema with
+     * {@link qxl.dialog.FormSchema#fromJsonSchema}, and described as a JSON
+     * Schema with {@link #toJsonSchema}.
      */
     formData: {
       check: "Map",
@@ -101,12 +124,16 @@ qx.Mixin.define("qxl.dialog.MForm", {
     },
 
     /**
-     * The model of the result data
+     * The model of the result data. It is replaced when fields are added or
+     * removed, e.g. with {@link #addField}, which removes the bindings to the
+     * old model. Bindings to a path of the form starting with "model", e.g.
+     * `form.bind("model.name", label, "value")`, follow the new model.
      */
     model: {
       check: "qx.core.Object",
       nullable: true,
-      event: "changeModel"
+      event: "changeModel",
+      apply: "_applyModel"
     },
 
     /**
@@ -198,9 +225,154 @@ qx.Mixin.define("qxl.dialog.MForm", {
       check : "Function",
       nullable : true,
       init : null
+    },
+
+    /**
+     * Validation rules which involve more than one field. Each rule is a map
+     * with a `type` and the `fields` (an array of field keys) it applies to.
+     * Fields which violate a rule are marked invalid, and the form cannot be
+     * submitted. Rule types:
+     *
+     *   - `equals`: all fields must have the same value
+     *   - `lessThan`: each field's value must be less than the next one's
+     *   - `greaterThan`: each field's value must be greater than the next
+     *      one's
+     *   - `atLeastOneOf`: at least one of the fields must have a value
+     *   - `custom`: the `validator` function is called with a map of the
+     *     fields' values and the form, and must return `true` if the values
+     *     are valid, or `false` or an error message if not.
+     *
+     * `lessThan` and `greaterThan` are only checked if all fields have a
+     * value. Optional members of a rule are `message`, the error message,
+     * and `markFields`, the keys of the fields to mark invalid (default: all
+     * fields of the rule). Rules which refer to hidden fields are ignored.
+     *
+     * <pre>
+     * [
+     *   { 'type' : "equals", 'fields' : ["password", "password2"],
+     *     'markFields' : ["password2"], 'message' : "Passwords do not match" },
+     *   { 'type' : "lessThan", 'fields' : ["startDate", "endDate"] }
+     * ]
+     * </pre>
+     */
+    crossValidation :
+    {
+      check : "Array",
+      nullable : true,
+      init : null,
+      apply : "_applyCrossValidation"
+    },
+
+    /**
+     * Whether the form only shows the values of its fields. The fields are
+     * then shown as formatted text, e.g. with the labels of the selected
+     * options, formatted dates and check marks for booleans. Single fields
+     * are made read-only with the `readOnly` member of their field data.
+     * The property can be changed at any time without rebuilding the form.
+     */
+    readOnly :
+    {
+      check : "Boolean",
+      init : false,
+      event : "changeReadOnly",
+      apply : "_applyReadOnly"
+    },
+
+    /**
+     * What happens to the buttons while the form is read-only: "close"
+     * relabels the OK button "Close" and hides the Cancel button, "hide"
+     * hides the OK button.
+     */
+    readOnlyButtons :
+    {
+      check : [ "close", "hide" ],
+      init : "close",
+      apply : "_applyReadOnly"
+    },
+
+    /**
+     * A function which submits the result data, e.g. to a server, and
+     * returns a Promise. It is called with the result data and the form in
+     * the context of the form when the OK button is pressed. The form stays
+     * open and busy until the Promise is settled: if it resolves, the form
+     * is closed and the callback is called with the result data; if it
+     * rejects, the errors are shown with {@link #showSubmitErrors}. It is not
+     * called while the form is read-only.
+     */
+    submitFunction :
+    {
+      check : "Function",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * Whether the callback is called like the `submitFunction` while the
+     * form is still open, so that it can return a Promise
+     */
+    asyncSubmit :
+    {
+      check : "Boolean",
+      init : false
+    },
+
+    /**
+     * Whether the form is being submitted. The fields and buttons cannot be
+     * used meanwhile.
+     */
+    busy :
+    {
+      check : "Boolean",
+      init : false,
+      event : "changeBusy",
+      apply : "_applyBusy"
+    },
+
+    /**
+     * A message shown in a banner above the fields, e.g. why the form could
+     * not be submitted, or null to hide the banner
+     */
+    errorMessage :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      event : "changeErrorMessage",
+      apply : "_applyErrorMessage"
+    },
+
+    /**
+     * Whether a panel above the fields lists the invalid fields with their
+     * messages. Clicking an entry focuses the field.
+     */
+    showErrorSummary :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_updateErrorSummary"
+    },
+
+    /**
+     * Whether the OK button stays enabled while the form is invalid. Pressing
+     * it then scrolls to and focuses the first invalid field instead of
+     * submitting the form.
+     */
+    focusFirstInvalid :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_updateOkButton"
     }
   },
 
+  events: {
+    /**
+     * Fired when the form becomes dirty, i.e. a field has been changed, or
+     * clean again. The data is the new dirty state.
+     */
+    changeDirty: "qx.event.type.Data"
+  },
+
   statics : {
     /* eslint-disable jsdoc/check-param-names */
     /**
@@ -212,8 +384,8 @@ qx.Mixin.define("qxl.dialog.MForm", {
      *
      * @param handlers {Map}
      *   Handler functions for this form element. `initElement` is
-     *   mandatory; `addToFormController` and `postProcess` are
-     *   optional.
+     *   mandatory; `addToFormController`, `createValidator`, `setOptions`
+     *   and `postProcess` are optional.
      *
      *   All handlers are called in the context of the
      *   `qxl.dialog.Form` or `qxl.dialog.FormEmbed`. The `fieldType`
@@ -257,6 +429,108 @@ qx.Mixin.define("qxl.dialog.MForm", {
      *     @param formElement {qx.ui.form.IForm}
      *       The form element returned by `initElement`
      *
+     *   - createValidator(fieldType, fieldData, key, formElement, validator)
+     *
+     *     Return the validator of the form element, for elements which need
+     *     to validate their value themselves, e.g. to check a minimum
+     *     number of entries.
+     *
+     *     @param fieldType {String}
+     *       Field type name, as used in the `type` member in the `fieldData`
+     *       property's provided map
+     *
+     *     @param fieldData {Map}
+     *       The data, provided to the member of the `fieldData` property's
+     *       map, for this specific field
+     *
+     *     @param key {String}
+     *       The user-provided name for this form field
+     *
+     *     @param formElement {qx.ui.form.IForm}
+     *       The form element returned by `initElement`
+     *
+     *     @param validator {Function|qx.ui.form.validation.AsyncValidator|null}
+     *       The validator created from the `validation` member of the field
+     *       data, which should be called by the returned validator
+     *
+     *     @return {Function|qx.ui.form.validation.AsyncValidator|null}
+     *       The validator to use for the form element
+     *
+     *   - setOptions(fieldType, fieldData, key, formElement, options)
+     *
+     *     Replace the options of the form element, for elements which
+     *     support loading their options asynchronously. `initElement` is
+     *     called with empty `options` for such fields. The value of the
+     *     field should be kept if the new options contain it.
+     *
+     *     @param fieldType {String}
+     *       Field type name, as used in the `type` member in the `fieldData`
+     *       property's provided map
+     *
+     *     @param fieldData {Map}
+     *       The data, provided to the member of the `fieldData` property's
+     *       map, for this specific field
+     *
+     *     @param key {String}
+     *       The user-provided name for this form field
+     *
+     *     @param formElement {qx.ui.form.IForm}
+     *       The form element returned by `initElement`
+     *
+     *     @param options {Array}
+     *       The loaded options, in the same format as static options
+     *
+     *   - formatValue(fieldType, fieldData, key, formElement, value)
+     *
+     *     Return the value of the field as HTML, which is shown instead of
+     *     the form element while the field is read-only. Without this
+     *     handler, option labels are shown for the values of fields with
+     *     options, and other values are formatted by their type.
+     *
+     *     @param fieldType {String}
+     *       Field type name, as used in the `type` member in the `fieldData`
+     *       property's provided map
+     *
+     *     @param fieldData {Map}
+     *       The data, provided to the member of the `fieldData` property's
+     *       map, for this specific field
+     *
+     *     @param key {String}
+     *       The user-provided name for this form field
+     *
+     *     @param formElement {qx.ui.form.IForm}
+     *       The form element returned by `initElement`
+     *
+     *     @param value {var}
+     *       The value of the field, as a native value
+     *
+     *     @return {String}
+     *       The HTML to show
+     *
+     *   - setReadOnly(fieldType, fieldData, key, formElement, readOnly)
+     *
+     *     Make the form element read-only, or editable again, for elements
+     *     which show their value as read-only themselves, e.g. because they
+     *     contain other fields. The element is then shown in read-only mode
+     *     instead of the formatted value.
+     *
+     *     @param fieldType {String}
+     *       Field type name, as used in the `type` member in the `fieldData`
+     *       property's provided map
+     *
+     *     @param fieldData {Map}
+     *       The data, provided to the member of the `fieldData` property's
+     *       map, for this specific field
+     *
+     *     @param key {String}
+     *       The user-provided name for this form field
+     *
+     *     @param formElement {qx.ui.form.IForm}
+     *       The form element returned by `initElement`
+     *
+     *     @param readOnly {Boolean}
+     *       Whether the field is read-only
+     *
      *   - postProcess(fieldType, fieldData, key, formElement)
      *
      *     Accomplish any field-specific configuration. This handler may be
@@ -288,19 +562,44 @@ qx.Mixin.define("qxl.dialog.MForm", {
     /** Map of registered form element handlers, keyed by fieldType */
     _registeredFormElements : {},
 
+    /**
+     * Members of the field data which {@link #updateField} changes on the
+     * existing form element. Changing any other member replaces the element.
+     */
+    _updatableMembers : [
+      "label", "value", "enabled", "placeholder", "toolTipText", "width",
+      "properties", "userdata", "validation", "readOnly",
+      "visibleWhen", "enabledWhen", "requiredWhen"
+    ],
+
     _internalFormElements : {
       checkbox      : qxl.dialog.formElement.CheckBox,
+      checkboxgroup : qxl.dialog.formElement.CheckBoxGroup,
       combobox      : qxl.dialog.formElement.ComboBox,
+      currencyfield : qxl.dialog.formElement.NumberField,
       datefield     : qxl.dialog.formElement.DateField,
+      daterange     : qxl.dialog.formElement.DateRange,
+      datetimefield : qxl.dialog.formElement.DateTimeField,
+      duallist      : qxl.dialog.formElement.DualList,
+      file          : qxl.dialog.formElement.FileField,
+      group         : qxl.dialog.formElement.Group,
       groupheader   : qxl.dialog.formElement.GroupHeader,
       label         : qxl.dialog.formElement.Label,
       list          : qxl.dialog.formElement.List,
+      maskedfield   : qxl.dialog.formElement.MaskedField,
+      numberfield   : qxl.dialog.formElement.NumberField,
       passwordfield : qxl.dialog.formElement.PasswordField,
       radiogroup    : qxl.dialog.formElement.RadioGroup,
+      rangeslider   : qxl.dialog.formElement.SliderField,
+      repeater      : qxl.dialog.formElement.Repeater,
+      searchselect  : qxl.dialog.formElement.SearchSelect,
       selectbox     : qxl.dialog.formElement.SelectBox,
+      slider        : qxl.dialog.formElement.SliderField,
       spiinner      : qxl.dialog.formElement.Spinner,
       textarea      : qxl.dialog.formElement.TextArea,
-      textfield     : qxl.dialog.formElement.TextField
+      textfield     : qxl.dialog.formElement.TextField,
+      timefield     : qxl.dialog.formElement.TimeField,
+      tokenfield    : qxl.dialog.formElement.TokenField
     }
   },
 
@@ -310,6 +609,20 @@ qx.Mixin.define("qxl.dialog.MForm", {
     _formValidator: null,
     _formController: null,
     _formElements : null,
+    _fieldData : null,
+    _hiddenFields : null,
+    _groupHeaders : null,
+    _crossValidator : null,
+    _crossInvalidFields : null,
+    _initialValues : null,
+    _dirty : false,
+    _expressions : null,
+    _eventExpressions : null,
+    _computing : false,
+    _submitErrors : null,
+    _errorBanner : null,
+    _errorSummary : null,
+    _busyBlocker : null,
 
     _init : function() {
       // Initialize form instances to an empty map which will be updated as
@@ -321,6 +634,33 @@ qx.Mixin.define("qxl.dialog.MForm", {
       // the form elements created for the form.
       this._formElements = {};
 
+      // Map of the data of all fields, including those in groups, keyed by
+      // the path of the field
+      this._fieldData = {};
+
+      // Map of the keys of the fields currently hidden by their
+      // `visibleWhen` condition
+      this._hiddenFields = {};
+
+      // Map of the form groups created for the fields of type "group", keyed
+      // by the path of the field
+      this._groupHeaders = {};
+
+      // Map of the values of the fields when the form was created, keyed by
+      // the path of the field, for tracking the changes
+      this._initialValues = {};
+
+      // Map of the parsed expressions, keyed by their source
+      this._expressions = {};
+
+      // Map of the parsed expressions of event handlers, keyed by the path
+      // of the field and their source
+      this._eventExpressions = {};
+
+      // Map of the messages with which the last submission was rejected,
+      // keyed by the path of the field
+      this._submitErrors = {};
+
       // Register the internal form elements (once)
       if (qxl.dialog.MForm._internalFormElements) {
         for (let fieldType in qxl.dialog.MForm._internalFormElements) {
@@ -344,6 +684,345 @@ qx.Mixin.define("qxl.dialog.MForm", {
       return this._form;
     },
 
+    /**
+     * Applies changes to the form data without rebuilding the whole form.
+     * Each member of the patch maps a field key to its changes: `null`
+     * removes the field, a map for an existing key updates the field (see
+     * {@link #updateField}) and a map for a new key adds a field at the end
+     * of the form, or of its group (see {@link #addField}). The keys of
+     * fields in groups are given as paths, e.g. "address.street". The form
+     * data map is changed in place, so that `getFormData()` reflects the
+     * changes afterwards.
+     *
+     * @param patch {Map} Map of field keys to changes, new field data or null
+     */
+    updateFormData: function(patch) {
+      for (let key of Object.getOwnPropertyNames(patch)) {
+        if (patch[key] === null) {
+          this.removeField(key);
+        } else if (key in this._fieldData) {
+          this.updateField(key, patch[key]);
+        } else {
+          this.addField(key, patch[key]);
+        }
+      }
+    },
+
+    /**
+     * Changes members of the data of an existing field. Changes to the
+     * label, value, enabled state, placeholder, tooltip, width, properties,
+     * userdata, validation, read-only state and conditions are applied to
+     * the existing form element. Any other change, e.g. of the options of a
+     * select box, replaces the form element of the field, keeping its
+     * position and value. Of groups, only the label and the value can be
+     * changed.
+     *
+     * @param key {String} The key of the field
+     * @param changes {Map} Map of field data members to their new values
+     */
+    updateField: function(key, changes) {
+      let fieldData = this._fieldData[key];
+      if (!fieldData) {
+        throw new Error(`Field '${key}' does not exist`);
+      }
+      let focused = qx.ui.core.FocusHandler.getInstance().getFocusedWidget();
+      let names = Object.getOwnPropertyNames(changes);
+
+      // groups don't have a form element of their own
+      if (qx.lang.Type.isObject(fieldData.fields)) {
+        for (let name of names) {
+          switch (name) {
+          case "label":
+            fieldData.label = changes.label;
+            this._groupHeaders[key].title = changes.label || null;
+            break;
+
+          case "value":
+            fieldData.value = changes.value;
+            for (let fieldName in changes.value || {}) {
+              if (fieldName in fieldData.fields) {
+                this.updateField(key + "." + fieldName, {value: changes.value[fieldName]});
+              }
+            }
+            break;
+
+          default:
+            throw new Error(`Cannot change '${name}' of group '${key}', change its fields instead`);
+          }
+        }
+        this._refreshForm(focused);
+        return;
+      }
+      if (qx.lang.Type.isObject(changes.fields)) {
+        throw new Error(`Cannot turn field '${key}' into a group`);
+      }
+
+      let formElement = this._formElements[key];
+      let inPlace = formElement && names.every(function(name) {
+        return qxl.dialog.MForm._updatableMembers.indexOf(name) !== -1;
+      });
+      Object.assign(fieldData, changes);
+      if (!inPlace) {
+        this._replaceFormField(key, "value" in changes);
+        this._refreshForm(focused);
+        return;
+      }
+
+      let resetStates = false;
+      for (let name of names) {
+        let value = changes[name];
+        switch (name) {
+        case "label": {
+          let item = this._findFormItem(formElement);
+          item.group.labels[item.index] = value || "";
+          if (formElement instanceof qx.ui.form.CheckBox) {
+            formElement.setLabel(value);
+          }
+          break;
+        }
+
+        case "value":
+          // the new value is not a change of the user
+          this._initialValues[key] = value;
+          this._setFieldValue(key, value);
+          this._initialValues[key] = this._getFieldValue(key);
+          break;
+
+        case "enabled":
+          formElement.setEnabled(value !== false);
+          break;
+
+        case "placeholder":
+          formElement.setPlaceholder(value);
+          break;
+
+        case "toolTipText":
+          formElement.setToolTipText(value);
+          break;
+
+        case "width":
+          formElement.setWidth(value);
+          break;
+
+        case "properties":
+          if (typeof value == "object") {
+            formElement.set(value);
+          }
+          break;
+
+        case "userdata":
+          for (let userDataKey in value || {}) {
+            formElement.setUserData(userDataKey, value[userDataKey]);
+          }
+          break;
+
+        case "readOnly":
+          // applied when the form is refreshed
+          break;
+
+        case "validation": {
+          let manager = this._form.getValidationManager();
+          manager.remove(formElement);
+          formElement.setRequired(false);
+          formElement.setValid(true);
+          let fieldType = fieldData.type.toLowerCase();
+          manager.add(formElement, this._createFieldValidator(key, fieldType, fieldData, formElement));
+          break;
+        }
+
+        default:
+          // conditions are re-evaluated below
+          resetStates = true;
+          break;
+        }
+      }
+
+      // reset the states controlled by the conditions, so that removed
+      // conditions don't leave the field hidden, disabled or required
+      if (resetStates) {
+        if (this._hiddenFields[key]) {
+          delete this._hiddenFields[key];
+          this._updateFieldView(key);
+        }
+        formElement.setEnabled(fieldData.enabled !== false);
+        formElement.setRequired(Boolean(fieldData.validation && fieldData.validation.required));
+      }
+      this._refreshForm(focused);
+    },
+
+    /**
+     * Adds a field to the form. Fields with a key in the form of a path, e.g.
+     * "address.zip", are added to the end of the given group.
+     *
+     * The model is replaced by one with a property for the new field, and
+     * the bindings to the old model are removed. Bind to a "model" path of
+     * the form instead, or listen for the `changeModel` event.
+     *
+     * @param key {String} The key of the new field
+     * @param fieldData {Map} The data of the field, as in the form data map
+     * @param beforeKey {String?} The key of the field before which the new
+     *   field is inserted. Groups can only be appended to the form.
+     */
+    addField: function(key, fieldData, beforeKey) {
+      if (key in this._fieldData) {
+        throw new Error(`Field '${key}' already exists`);
+      }
+      let path = key.split(".");
+      let name = path.pop();
+      let prefix = path.join(".");
+      let parentMap = this.getFormData();
+      let group = null;
+      if (prefix) {
+        let groupData = this._fieldData[prefix];
+        if (!groupData || !qx.lang.Type.isObject(groupData.fields)) {
+          throw new Error(`'${prefix}' is not a group`);
+        }
+        parentMap = groupData.fields;
+        group = this._groupHeaders[prefix];
+      }
+      let before = null;
+      if (beforeKey) {
+        before = this._formElements[beforeKey];
+        if (!before) {
+          throw new Error(`'${beforeKey}' is not a field of the form`);
+        }
+        group = this._findFormItem(before).group;
+      }
+      if (qx.lang.Type.isObject(fieldData.fields) && group) {
+        throw new Error("Groups can only be appended to the form");
+      }
+      let focused = qx.ui.core.FocusHandler.getInstance().getFocusedWidget();
+
+      // update the form data, keeping the order of the fields
+      let beforeName = beforeKey && beforeKey.split(".").slice(0, -1).join(".") === prefix ?
+        beforeKey.split(".").pop() : null;
+      this._insertFieldData(parentMap, name, fieldData, beforeName);
+
+      // the model needs a property for the new field
+      let modelData = qx.util.Serializer.toNativeObject(this.getModel());
+      let parent = prefix ? this._getValueByPath(modelData, prefix) : modelData;
+      let newData = {};
+      newData[name] = fieldData;
+      parent[name] = this._createModelData(newData, null)[name];
+      this._rebuildFormController(modelData);
+
+      this._addFormField(key, fieldData);
+      if (this._formElements[key] && group) {
+        this._moveFormItem(this._formElements[key], group, before);
+      }
+      this._refreshForm(focused);
+    },
+
+    /**
+     * Removes a field from the form, together with its value in the model.
+     * Removing a group removes all of its fields.
+     *
+     * The model is replaced by one without the property of the field, and
+     * the bindings to the old model are removed, as with {@link #addField}.
+     *
+     * @param key {String} The key of the field
+     */
+    removeField: function(key) {
+      if (!this._fieldData[key]) {
+        throw new Error(`Field '${key}' does not exist`);
+      }
+      let focused = qx.ui.core.FocusHandler.getInstance().getFocusedWidget();
+      let path = key.split(".");
+      let name = path.pop();
+      let prefix = path.join(".");
+      delete (prefix ? this._fieldData[prefix].fields : this.getFormData())[name];
+
+      this._removeFormElements(key);
+
+      let modelData = qx.util.Serializer.toNativeObject(this.getModel());
+      delete (prefix ? this._getValueByPath(modelData, prefix) : modelData)[name];
+      this._rebuildFormController(modelData);
+      this._refreshForm(focused);
+    },
+
+    /**
+     * Loads the options of a field again, whose `options` member is a
+     * function or a data store
+     *
+     * @param key {String} The key of the field
+     * @return {Promise} Resolves to true when the options have been loaded,
+     *   or to false if loading failed or was superseded by another request
+     */
+    reloadOptions: function(key) {
+      let fieldData = this._fieldData[key];
+      if (!fieldData || !this._formElements[key] ||
+          !this._isOptionsSource(fieldData.options)) {
+        throw new Error(`Field '${key}' does not load its options`);
+      }
+      return this._loadOptions(key, true);
+    },
+
+    /**
+     * Returns whether any field has been changed since the form was created.
+     * A field whose `value` is set with {@link #updateField} counts as
+     * unchanged.
+     * @return {Boolean}
+     */
+    isDirty: function() {
+      return this._dirty;
+    },
+
+    /**
+     * Returns the values of the fields which have been changed since the
+     * form was created
+     * @return {Map} Map of the keys of the changed fields to their values.
+     *   The keys of fields in groups are paths, e.g. "address.street".
+     */
+    getChangedValues: function() {
+      let changed = {};
+      for (let key in this._initialValues) {
+        let value = this._getFieldValue(key);
+        if (!this._isEqualValue(value, this._initialValues[key])) {
+          changed[key] = value;
+        }
+      }
+      return changed;
+    },
+
+    /**
+     * Sets all fields back to the values they had when the form was
+     * created
+     */
+    resetForm: function() {
+      for (let key in this.getChangedValues()) {
+        this._setFieldValue(key, this._initialValues[key]);
+      }
+    },
+
+    /**
+     * Sets a field back to the value it had when the form was created.
+     * Reverting a group reverts all of its fields.
+     * @param key {String} The key of the field
+     */
+    revertField: function(key) {
+      if (!this._fieldData[key]) {
+        throw new Error(`Field '${key}' does not exist`);
+      }
+      let changed = this.getChangedValues();
+      for (let fieldKey in changed) {
+        if (fieldKey === key || fieldKey.indexOf(key + ".") === 0) {
+          this._setFieldValue(fieldKey, this._initialValues[fieldKey]);
+        }
+      }
+    },
+
+    /**
+     * Describes the values of the form as a JSON Schema, e.g. for validating
+     * the submitted data with the same rules on the server. See
+     * {@link qxl.dialog.FormSchema#toJsonSchema}.
+     * @return {Map} Map with the `schema` and `nonExportable`, the paths of
+     *   the members of the form data which could not be exported, such as
+     *   functions
+     */
+    toJsonSchema: function() {
+      return qxl.dialog.FormSchema.toJsonSchema(this.getFormData() || {});
+    },
+
     /**
      * Create the main content of the widget
      * @param properties
@@ -371,6 +1050,25 @@ qx.Mixin.define("qxl.dialog.MForm", {
         flex: 1
       });
 
+      // errors which prevented submitting the form
+      this._errorBanner = new qx.ui.basic.Label();
+      this._errorBanner.set({
+        rich: true,
+        textColor: "invalid",
+        allowStretchX: true,
+        visibility: "excluded"
+      });
+      container.add(this._errorBanner);
+
+      // the invalid fields, if `showErrorSummary` is set
+      this._errorSummary = new qx.ui.container.Composite(new qx.ui.layout.VBox(2));
+      this._errorSummary.setVisibility("excluded");
+      container.add(this._errorSummary);
+      if (qx.core.Environment.get("module.objectid") === true) {
+        this._errorSummary.setQxObjectId("errorSummary");
+        this.addOwnedQxObject(this._errorSummary);
+      }
+
       /*
        * If requested, call the before-form function to add some fields
        */
@@ -413,7 +1111,6 @@ qx.Mixin.define("qxl.dialog.MForm", {
      * Constructs the form on-the-fly
      * @param formData {Map} The form data map
      * @param old {Map|null} The old value
-     * @lint ignoreDeprecated(alert,eval)
      */
     _applyFormData: function (formData, old) {
       if (!this._formElements) {
@@ -444,13 +1141,16 @@ qx.Mixin.define("qxl.dialog.MForm", {
         this.getModel().removeAllBindings();
         this.getModel().dispose();
       }
-      let modelData = {};
-      for (let key of Object.getOwnPropertyNames(formData)) {
-        modelData[key] = formData[key].value !== undefined ?
-        formData[key].value :
-        null;
-      }
-      let model = qx.data.marshal.Json.createModel(modelData);
+      this._formElements = {};
+      this._fieldData = {};
+      this._hiddenFields = {};
+      this._groupHeaders = {};
+      this._initialValues = {};
+      this._disposeExpressions();
+      this._submitErrors = {};
+      let modelData = this._createModelData(formData, null);
+      // bubble events are needed to re-evaluate the field conditions
+      let model = qx.data.marshal.Json.createModel(modelData, true);
       this.setModel(model);
       // form
       this._form = new qx.ui.form.Form();
@@ -461,6 +1161,8 @@ qx.Mixin.define("qxl.dialog.MForm", {
         this.addOwnedQxObject(this._form, "form");
       }
       this._formController = new qx.data.controller.Object(this.getModel());
+      this._form.getValidationManager().addListener("complete", this._updateErrorSummary, this);
+      this._form.getValidationManager().addListener("changeValid", this._updateErrorSummary, this);
       this._onFormReady(this._form);
 
       /*
@@ -482,221 +1184,1610 @@ qx.Mixin.define("qxl.dialog.MForm", {
           this.getContext());
       }
 
-      for (let key of Object.getOwnPropertyNames(formData)) {
-        let fieldData = formData[key];
-        if (typeof fieldData.type != "string") {
-          throw new Error("Missing type member {String}");
+      this._addFormFields(formData, null);
+
+
+      /*
+       * render the form
+       */
+      var setupFormRenderer;
+
+      setupFormRenderer = this.getSetupFormRendererFunction();
+      if (!setupFormRenderer) {
+        setupFormRenderer = function(form) {
+          var view;
+
+          view = new qxl.dialog.FormRenderer(this._form);
+          view.getLayout().setColumnFlex(0, 0);
+          view.getLayout().setColumnMaxWidth(0, this.getLabelColumnWidth());
+          view.getLayout().setColumnWidth(0, this.getLabelColumnWidth());
+          view.getLayout().setColumnFlex(1, 1);
+          view.setAllowGrowX(true);
+
+          return view;
+        };
+      }
+
+      this._formContainer.add(setupFormRenderer.bind(this)(this._form));
+      this._updateComputedFields(null);
+      this._updateFieldStates();
+      this._updateFieldViews();
+      this._form.getValidationManager().validate();
+
+      var finalizeFunction;
+
+      finalizeFunction = this.getFinalizeFunction();
+      if (finalizeFunction) {
+        finalizeFunction.call(this.getContext(), this._form, this);
+      }
+
+      // install the cross-field validation last, so that it can be combined
+      // with a form validator set up by the hook functions
+      if (this.getCrossValidation()) {
+        this._setupCrossValidation();
+        this._form.getValidationManager().validate();
+      }
+      this._storeInitialValues();
+    },
+
+    /**
+     * Creates the data from which the model is created. Fields which have a
+     * `fields` member, such as groups, produce nested objects.
+     * @param formData {Map} The form data map
+     * @param values {Map|null} Values which take precedence over the `value`
+     *   members of the fields, e.g. the `value` of a group
+     * @return {Map}
+     */
+    _createModelData: function(formData, values) {
+      let modelData = {};
+      for (let key of Object.getOwnPropertyNames(formData)) {
+        let fieldData = formData[key];
+        let value = fieldData.value;
+        if (values && values[key] !== undefined) {
+          value = values[key];
+        }
+        if (qx.lang.Type.isObject(fieldData.fields)) {
+          modelData[key] = this._createModelData(
+            fieldData.fields, qx.lang.Type.isObject(value) ? value : null);
+        } else {
+          modelData[key] = value !== undefined ? value : null;
+        }
+      }
+      return modelData;
+    },
+
+    /**
+     * Creates the form elements for the fields of the given form data and
+     * adds them to the form. Called recursively for the fields of groups.
+     * @param formData {Map} The form data map
+     * @param prefix {String|null} The key of the group the fields belong to,
+     *   or null for top-level fields
+     */
+    _addFormFields: function(formData, prefix) {
+      for (let name of Object.getOwnPropertyNames(formData)) {
+        let key = prefix ? prefix + "." + name : name;
+        this._addFormField(key, formData[name]);
+      }
+    },
+
+    /**
+     * Creates the form element for a single field and adds it to the form
+     * @param key {String} The key of the field. For fields in groups, this is
+     *   the path to the field, e.g. "address.street".
+     * @param fieldData {Map} The data of the field
+     */
+    _addFormField: function(key, fieldData) {
+      if (typeof fieldData.type != "string") {
+        throw new Error("Missing type member {String}");
+      }
+      this._fieldData[key] = fieldData;
+      let fieldType = fieldData.type.toLowerCase();
+      let formElement = null;
+
+      // parse the expressions now, so that errors name the field
+      [ "visibleWhen", "enabledWhen", "requiredWhen", "compute" ].forEach(function(name) {
+        if (typeof fieldData[name] == "string") {
+          this._getExpression(fieldData[name], key);
+        }
+      }, this);
+
+      // Ensure the field type is registered
+      if (!(fieldType in qxl.dialog.MForm._registeredFormElements)) {
+        throw new Error(`Field type ${fieldType} is unknown`);
+      }
+
+      // Instantiate and initialize the form element. Options which are
+      // loaded asynchronously are set once they are available.
+      let asyncOptions = this._isOptionsSource(fieldData.options);
+      if (asyncOptions && !qxl.dialog.MForm._registeredFormElements[fieldType].setOptions) {
+        throw new Error(`Field type ${fieldType} cannot load its options`);
+      }
+      formElement =
+        qxl.dialog.MForm._registeredFormElements[fieldType]
+          .initElement.call(
+            this, fieldType,
+            asyncOptions ? Object.assign({}, fieldData, {options: []}) : fieldData,
+            key);
+
+      // Headers don't return a form element
+      if (!formElement) {
+        return;
+      }
+
+      // Save the key
+      formElement.setUserData("key", key);
+
+      // Add the form element to the form controller, if needed for the type
+      if (qxl.dialog.MForm._registeredFormElements[fieldType].addToFormController) {
+        qxl.dialog.MForm._registeredFormElements[fieldType]
+          .addToFormController.call(
+            this, fieldType, fieldData, key, formElement);
+      }
+
+      // Validation
+      let validator = this._createFieldValidator(key, fieldType, fieldData, formElement);
+
+      /**
+       * other widget properties @todo: allow to set all properties
+       */
+
+      // width
+      if (fieldData.width !== undefined) {
+        formElement.setWidth(fieldData.width);
+      }
+
+      // placeholder
+      if (fieldData.placeholder !== undefined) {
+        formElement.setPlaceholder(fieldData.placeholder);
+      }
+
+      // tooltip
+      if (fieldData.toolTipText !== undefined) {
+        formElement.setToolTipText(fieldData.toolTipText);
+      }
+
+      // enabled
+      if (fieldData.enabled !== undefined) {
+        formElement.setEnabled(fieldData.enabled);
+      }
+
+      // generic property setter
+      if (typeof fieldData.properties == "object") {
+        formElement.set(fieldData.properties);
+      }
+
+      // Do any required post-processing
+      if ("postProcess" in qxl.dialog.MForm._registeredFormElements[fieldType]) {
+        qxl.dialog.MForm._registeredFormElements[fieldType]
+          .postProcess.call(
+            this, fieldType, fieldData, key, formElement);
+      }
+
+       // generic userdata settings
+      if (typeof fieldData.userdata == "object") {
+        Object.keys(fieldData.userdata).forEach(
+          function(key) {
+            formElement.setUserData(key, fieldData.userdata[key]);
+          });
+      }
+
+      /**
+       * Events
+       */
+      if (qx.lang.Type.isObject(fieldData.events)) {
+        for (let type in fieldData.events) {
+          let func;
+          try {
+            switch (typeof fieldData.events[type]) {
+            case "string":
+              // An expression allows transferring this handler via JSON.
+              func = this._createExpressionHandler(key, fieldData.events[type]);
+              break;
+
+            case "function":
+              func = fieldData.events[type];
+              break;
+
+            default:
+              throw new Error("Event handler must be an expression or a function");
+            }
+            formElement.addListener(type, func, formElement);
+          } catch (e) {
+            this.warn("Invalid '" + type + "' event handler for form element '" + key + "': " + e.message);
+          }
+        }
+      }
+
+      // Putting it all together
+      let label = fieldData.label;
+      this._form.add(formElement, label || "", validator);
+      // Add the form elements as objects owned by the form widget
+      if (qx.core.Environment.get("module.objectid") === true) {
+        formElement.setQxObjectId(key);
+        this._form.addOwnedQxObject(formElement);
+      }
+
+      /*
+       * add the form element to the map so the user has access to it later
+       */
+      this._formElements[key] = formElement;
+
+      if (asyncOptions) {
+        this._loadOptions(key, false);
+      }
+    },
+
+    /**
+     * Creates the validator of a form element from the "validation" member
+     * of its field data and marks the element as required if configured so.
+     *
+     * @param key {String} The key (path) of the field
+     * @param fieldType {String} The lower-cased field type
+     * @param fieldData {Map} The field data
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @return {Function|qx.ui.form.validation.AsyncValidator|null}
+     */
+    _createFieldValidator: function(key, fieldType, fieldData, formElement) {
+      let validator = null;
+      if (formElement && fieldData.validation) {
+        // required field
+        if (fieldData.validation.required) {
+          formElement.setRequired(true);
+        }
+        // sync validation
+        if (fieldData.validation.validator) {
+          validator = fieldData.validation.validator;
+          if (typeof validator == "string") {
+            if (qx.util.Validate[validator]) {
+              validator = qx.util.Validate[validator]();
+            } else if (validator.charAt(0) === "/") {
+              validator = qx.util.Validate.regExp(
+              new RegExp(validator.substr(1, validator.length - 2)),
+              fieldData.validation.errorMessage
+              );
+            } else if (qxl.dialog.Expression.isExpression(validator)) {
+              validator = this._createExpressionValidator(
+                key, validator, fieldData.validation.errorMessage);
+            } else {
+              this.error("Invalid string validator.");
+            }
+          } else if (!(validator instanceof qx.ui.form.validation.AsyncValidator) && typeof validator !== "function") {
+            this.error("Invalid validator.");
+          }
+        }
+      }
+
+      // Let the form element provide its own validation
+      if ("createValidator" in qxl.dialog.MForm._registeredFormElements[fieldType]) {
+        validator = qxl.dialog.MForm._registeredFormElements[fieldType]
+          .createValidator.call(
+            this, fieldType, fieldData, key, formElement, validator);
+      }
+
+      // options which could not be loaded make the field invalid
+      if (this._isOptionsSource(fieldData.options) &&
+          !(validator instanceof qx.ui.form.validation.AsyncValidator)) {
+        validator = this._createOptionsValidator(formElement, validator);
+      }
+
+      // errors with which the last submission was rejected
+      if (!(validator instanceof qx.ui.form.validation.AsyncValidator)) {
+        validator = this._createSubmitErrorValidator(key, validator);
+      }
+
+      // hidden fields must not be validated
+      if (typeof validator == "function") {
+        validator = this._createConditionalValidator(key, validator);
+      }
+
+      if (fieldData.validation) {
+        // async validation
+        if (fieldData.validation.asyncValidator) {
+          if (typeof fieldData.validation.asyncValidator == "function") {
+            validator = this._createAsyncValidator(
+              key, formElement, fieldData.validation, validator);
+          } else {
+            this.error("Invalid async validator.");
+          }
+        }
+      }
+      return validator;
+    },
+
+    /**
+     * Returns whether the `options` member of a field is to be loaded
+     * asynchronously, i.e. is a function or a data store
+     * @param options {var} The `options` member of the field data
+     * @return {Boolean}
+     */
+    _isOptionsSource: function(options) {
+      return typeof options == "function" ||
+        (options instanceof qx.core.Object && typeof options.getModel == "function");
+    },
+
+    /**
+     * Loads the options of a field and passes them to the `setOptions`
+     * handler of its form element. Results of superseded requests are
+     * ignored.
+     * @param key {String} The key of the field
+     * @param reload {Boolean} Whether a data store should be reloaded, even
+     *   if it already has a model
+     * @return {Promise} Resolves to true if the options have been set
+     */
+    _loadOptions: function(key, reload) {
+      let fieldData = this._fieldData[key];
+      let formElement = this._formElements[key];
+      let fieldType = fieldData.type.toLowerCase();
+      let requestId = (formElement.getUserData("optionsRequest") || 0) + 1;
+      formElement.setUserData("optionsRequest", requestId);
+      let controller = formElement.getUserData("optionsAbortController");
+      if (controller) {
+        controller.abort();
+      }
+      controller = typeof AbortController == "function" ? new AbortController() : null;
+      formElement.setUserData("optionsAbortController", controller);
+      this._setFieldState(formElement, "loading", true);
+
+      let isCurrent = function() {
+        return !formElement.isDisposed() &&
+          formElement.getUserData("optionsRequest") === requestId;
+      };
+      let promise;
+      try {
+        let source = fieldData.options;
+        if (typeof source == "function") {
+          source = source.call(
+            this.getContext(), qx.util.Serializer.toNativeObject(this.getModel()),
+            controller ? controller.signal : null);
+          reload = false;
+        }
+        promise = this._resolveOptions(source, reload);
+      } catch (e) {
+        promise = Promise.reject(e);
+      }
+      return promise.then(function(options) {
+        if (!isCurrent()) {
+          return false;
+        }
+        formElement.setUserData("optionsError", null);
+        // kept to show the labels of the options while the field is read-only
+        formElement.setUserData("options", options);
+        qxl.dialog.MForm._registeredFormElements[fieldType]
+          .setOptions.call(this, fieldType, fieldData, key, formElement, options);
+        return true;
+      }.bind(this), function(error) {
+        if (!isCurrent()) {
+          return false;
+        }
+        this.warn(`Could not load the options of field '${key}': ${error}`);
+        formElement.setUserData("optionsError",
+          (error && error.message) || this.tr("The options could not be loaded"));
+        return false;
+      }.bind(this)).then(function(loaded) {
+        if (isCurrent()) {
+          formElement.setUserData("optionsAbortController", null);
+          this._setFieldState(formElement, "loading", false);
+          if (!(key in this._initialValues)) {
+            // the value selected along with the first options is not a
+            // change of the user
+            this._initialValues[key] = this._getFieldValue(key);
+            this._updateDirty();
+          }
+          if (this._form && !this._form.isDisposed()) {
+            this._form.getValidationManager().validate();
+          }
+        }
+        return loaded;
+      }.bind(this));
+    },
+
+    /**
+     * Resolves the result of an options function or a data store to an
+     * array of options
+     * @param source {Promise|qx.core.Object|Array} The options source
+     * @param reload {Boolean} Whether a data store is to be reloaded
+     * @return {Promise} Resolves to an array of options
+     */
+    _resolveOptions: function(source, reload) {
+      if (source && typeof source.then == "function") {
+        return source.then(function(result) {
+          return this._resolveOptions(result, false);
+        }.bind(this));
+      }
+      if (source instanceof qx.core.Object && typeof source.getModel == "function") {
+        if (!reload && source.getModel()) {
+          return this._resolveOptions(source.getModel(), false);
+        }
+        return new Promise(function(resolve, reject) {
+          let errorListenerId = null;
+          let loadedListenerId = source.addListenerOnce("loaded", function(e) {
+            source.removeListenerById(errorListenerId);
+            resolve(this._resolveOptions(e.getData(), false));
+          }, this);
+          errorListenerId = source.addListenerOnce("error", function() {
+            source.removeListenerById(loadedListenerId);
+            reject(new Error(this.tr("The options could not be loaded")));
+          }, this);
+          if (reload && typeof source.reload == "function") {
+            source.reload();
+          }
+        }.bind(this));
+      }
+      let options = qx.util.Serializer.toNativeObject(source);
+      if (!qx.lang.Type.isArray(options)) {
+        return Promise.reject(new Error("Options must be an array"));
+      }
+      return Promise.resolve(options);
+    },
+
+    /**
+     * Creates a validator which fails while the options of the form element
+     * could not be loaded, and otherwise calls the given validator
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @param validator {Function|null} The validator of the field
+     * @return {Function} The validator
+     */
+    _createOptionsValidator: function(formElement, validator) {
+      return function(value, item) {
+        let error = formElement.getUserData("optionsError");
+        if (error) {
+          throw new qx.core.ValidationError("Validation Error", error);
+        }
+        return validator ? validator.call(this, value, item) : true;
+      };
+    },
+
+    /**
+     * Reloads the options of the fields which depend on a changed field
+     * @param name {String} The path of the changed model property
+     */
+    _reloadDependentOptions: function(name) {
+      for (let key in this._fieldData) {
+        let dependsOn = this._fieldData[key].optionsDependOn;
+        if (!dependsOn || !this._formElements[key]) {
+          continue;
+        }
+        dependsOn = qx.lang.Type.isArray(dependsOn) ? dependsOn : [dependsOn];
+        if (dependsOn.some(function(dependency) {
+          return name === dependency ||
+            name.indexOf(dependency + ".") === 0 ||
+            name.indexOf(dependency + "[") === 0;
+        })) {
+          this._loadOptions(key, false);
+        }
+      }
+    },
+
+    /**
+     * Replaces the form element of a field with a new one created from its
+     * current field data, at the same position in the form
+     * @param key {String} The key of the field
+     * @param resetValue {Boolean} Whether to set the model value to the
+     *   `value` member of the field data, instead of keeping the current value
+     */
+    _replaceFormField: function(key, resetValue) {
+      let fieldData = this._fieldData[key];
+      let group = null;
+      let next = null;
+      if (this._formElements[key]) {
+        let item = this._findFormItem(this._formElements[key]);
+        group = item.group;
+        next = group.items[item.index + 1] || null;
+      }
+      this._removeFormElements(key);
+
+      // drop the bindings of the removed element and apply a changed value
+      let modelData = qx.util.Serializer.toNativeObject(this.getModel());
+      if (resetValue) {
+        let path = key.split(".");
+        let name = path.pop();
+        let parent = path.length ? this._getValueByPath(modelData, path.join(".")) : modelData;
+        parent[name] = fieldData.value !== undefined ? fieldData.value : null;
+      }
+      this._rebuildFormController(modelData);
+
+      this._addFormField(key, fieldData);
+      if (this._formElements[key] && group) {
+        this._moveFormItem(this._formElements[key], group, next);
+      }
+      if (resetValue) {
+        delete this._initialValues[key];
+      }
+    },
+
+    /**
+     * Removes the form element of a field, or the form elements of all
+     * fields of a group, from the form and disposes them
+     * @param key {String} The key of the field
+     */
+    _removeFormElements: function(key) {
+      let isRemoved = function(fieldKey) {
+        return fieldKey === key || fieldKey.indexOf(key + ".") === 0;
+      };
+      for (let fieldKey of Object.keys(this._fieldData).filter(isRemoved)) {
+        let formElement = this._formElements[fieldKey];
+        if (formElement) {
+          this._form.remove(formElement);
+          if (qx.core.Environment.get("module.objectid") === true) {
+            this._form.removeOwnedQxObject(formElement);
+          }
+          if (formElement instanceof qx.ui.core.Widget) {
+            formElement.destroy();
+          } else {
+            if (typeof formElement.getItems == "function") {
+              formElement.getItems().forEach(function(item) {
+                item.destroy();
+              });
+            }
+            formElement.dispose();
+          }
         }
+        if (this._groupHeaders[fieldKey]) {
+          // the empty group is not rendered without a title
+          this._groupHeaders[fieldKey].title = null;
+          delete this._groupHeaders[fieldKey];
+        }
+        delete this._formElements[fieldKey];
+        delete this._fieldData[fieldKey];
+        delete this._hiddenFields[fieldKey];
+        delete this._initialValues[fieldKey];
+      }
+    },
+
+    /**
+     * Replaces the model and the form controller, e.g. after fields have
+     * been added or removed, and binds the existing form elements to the
+     * new model
+     * @param modelData {Map} The data of the new model
+     */
+    _rebuildFormController: function(modelData) {
+      let oldModel = this.getModel();
+      this._formController.dispose();
+      this.setModel(qx.data.marshal.Json.createModel(modelData, true));
+      this._formController = new qx.data.controller.Object(this.getModel());
+      for (let key in this._formElements) {
+        let fieldData = this._fieldData[key];
         let fieldType = fieldData.type.toLowerCase();
-        let formElement = null;
+        let registration = qxl.dialog.MForm._registeredFormElements[fieldType];
+        if (registration.addToFormController) {
+          registration.addToFormController.call(
+            this, fieldType, fieldData, key, this._formElements[key]);
+        }
+      }
+      if (oldModel) {
+        oldModel.removeAllBindings();
+        oldModel.dispose();
+      }
+    },
+
+    /**
+     * Re-renders the form after its structure or labels were changed and
+     * updates the field states and the validation
+     * @param focused {qx.ui.core.Widget|null} The widget which had the focus
+     *   before the change, and which gets it back
+     */
+    _refreshForm: function(focused) {
+      this._form.fireEvent("change");
+
+      // the renderer creates new containers, e.g. for radio groups, and new
+      // labels for the read-only values
+      this._updateComputedFields(null);
+      this._updateFieldStates();
+      this._updateFieldViews();
+      this._form.getValidationManager().validate();
+      this._storeInitialValues();
+
+      let focusHandler = qx.ui.core.FocusHandler.getInstance();
+      if (focused && !focused.isDisposed() && focusHandler.getFocusedWidget() !== focused) {
+        qx.ui.core.queue.Manager.flush();
+        focused.focus();
+      }
+    },
+
+    /**
+     * Returns the group of the form containing the given form element and
+     * the index of the element in the group
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @return {Map|null} Map with `group` and `index`, or null if the element
+     *   is not in the form
+     */
+    _findFormItem: function(formElement) {
+      for (let group of this._form.getGroups()) {
+        let index = group.items.indexOf(formElement);
+        if (index !== -1) {
+          return {group: group, index: index};
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Moves a form element, with its label and options, to another position
+     * in the form
+     * @param formElement {qx.ui.form.IForm} The form element to move
+     * @param group {Map} The group of the form to move the element to
+     * @param before {qx.ui.form.IForm|null} The element of the group before
+     *   which the element is inserted, or null to append it to the group
+     */
+    _moveFormItem: function(formElement, group, before) {
+      let item = this._findFormItem(formElement);
+      let members = ["items", "labels", "names", "options"];
+      let entries = members.map(function(member) {
+        return item.group[member].splice(item.index, 1)[0];
+      });
+      let index = before ? group.items.indexOf(before) : group.items.length;
+      members.forEach(function(member, i) {
+        group[member].splice(index, 0, entries[i]);
+      });
+    },
+
+    /**
+     * Adds the data of a field to a form data map, keeping the order of its
+     * members
+     * @param formData {Map} The form data map
+     * @param name {String} The name of the new field
+     * @param fieldData {Map} The data of the new field
+     * @param beforeName {String|null} The name of the field before which the
+     *   new field is inserted
+     */
+    _insertFieldData: function(formData, name, fieldData, beforeName) {
+      if (!beforeName || !(beforeName in formData)) {
+        formData[name] = fieldData;
+        return;
+      }
+      let entries = {};
+      let names = Object.getOwnPropertyNames(formData);
+      names.forEach(function(fieldName) {
+        entries[fieldName] = formData[fieldName];
+        delete formData[fieldName];
+      });
+      names.forEach(function(fieldName) {
+        if (fieldName === beforeName) {
+          formData[name] = fieldData;
+        }
+        formData[fieldName] = entries[fieldName];
+      });
+    },
+
+    /**
+     * Sets the value of a field in the model
+     * @param key {String} The key (path) of the field
+     * @param value {var} The new value
+     */
+    _setFieldValue: function(key, value) {
+      let path = key.split(".");
+      let name = path.pop();
+      let parent = path.length ?
+        qx.data.SingleValueBinding.resolvePropertyChain(this.getModel(), path.join(".")) :
+        this.getModel();
+      parent.set(name, qx.data.marshal.Json.createModel(value, true));
+    },
+
+    /**
+     * Attaches the listener which re-evaluates the field conditions to the
+     * new model
+     * @param value {qx.core.Object|null} The new model
+     * @param old {qx.core.Object|null} The old model
+     */
+    _applyModel: function(value, old) {
+      if (old && !old.isDisposed()) {
+        old.removeListener("changeBubble", this._onModelChangeBubble, this);
+      }
+      if (value) {
+        value.addListener("changeBubble", this._onModelChangeBubble, this);
+      }
+    },
+
+    /**
+     * Called when any value in the model changes
+     * @param e {qx.event.type.Data}
+     */
+    _onModelChangeBubble: function(e) {
+      if (!this._form || this._form.isDisposed()) {
+        return;
+      }
+      this._reloadDependentOptions(e.getData().name);
+      this._updateComputedFields(e.getData().name);
+      let submitErrorCleared = this._clearSubmitError(e.getData().name);
+
+      // cross-field rules may involve fields which don't trigger a
+      // validation by themselves
+      if (this._updateFieldStates() || this.getCrossValidation() || submitErrorCleared) {
+        this._form.getValidationManager().validate();
+      }
+      this._updateFieldViews();
+      this._updateDirty();
+    },
+
+    /**
+     * Installs the cross-field validation when the rules are set after the
+     * form has been created
+     * @param value {Array|null} The new rules
+     * @param old {Array|null} The old rules
+     */
+    _applyCrossValidation: function(value, old) {
+      if (this._form && !this._form.isDisposed()) {
+        if (value) {
+          this._setupCrossValidation();
+        }
+        this._form.getValidationManager().validate();
+      }
+    },
+
+    /**
+     * Sets the form validator of the validation manager to a function which
+     * checks the cross-field validation rules. A form validator which has
+     * already been set is called afterwards.
+     */
+    _setupCrossValidation: function() {
+      let manager = this._form.getValidationManager();
+      let formValidator = manager.getValidator();
+      if (formValidator && formValidator === this._crossValidator) {
+        return;
+      }
+      if (formValidator instanceof qx.ui.form.validation.AsyncValidator) {
+        this.warn("Cross-field validation cannot be combined with an asynchronous form validator.");
+        return;
+      }
+      let self = this;
+      this._crossInvalidFields = {};
+      this._crossValidator = function(items, manager) {
+        let valid = self._validateCrossRules(manager);
+        if (formValidator) {
+          let result = formValidator.call(this, items, manager);
+          valid = valid && result !== false;
+        }
+        return valid;
+      };
+      manager.setValidator(this._crossValidator);
+    },
+
+    /**
+     * Checks the cross-field validation rules and marks the fields which
+     * violate them as invalid
+     * @param manager {qx.ui.form.validation.Manager} The validation manager
+     * @return {Boolean} Whether all rules are satisfied
+     */
+    _validateCrossRules: function(manager) {
+      let invalid = {};
+      let formMessage = null;
+      (this.getCrossValidation() || []).forEach(function(rule) {
+        let fields = (rule.fields || []).filter(function(key) {
+          return this._formElements[key] && !this._hiddenFields[key];
+        }, this);
+        if (fields.length === 0 ||
+            (fields.length < rule.fields.length && rule.type !== "atLeastOneOf")) {
+          return;
+        }
+        let result = this._checkCrossRule(rule, fields);
+        if (result === true) {
+          return;
+        }
+        (rule.markFields || fields).forEach(function(key) {
+          if (!invalid[key]) {
+            invalid[key] = result;
+          }
+        });
+        formMessage = formMessage || result;
+      }, this);
+
+      // fields which were marked invalid by a previous run, and have no
+      // validation of their own, must be reset
+      for (let key in this._crossInvalidFields) {
+        let formElement = this._formElements[key];
+        if (!invalid[key] && formElement && !formElement.isDisposed()) {
+          let validation = this._fieldData[key] && this._fieldData[key].validation;
+          if (!formElement.getRequired() &&
+              !(validation && (validation.validator || validation.asyncValidator))) {
+            formElement.setValid(true);
+          }
+        }
+      }
+      for (let key in invalid) {
+        let formElement = this._formElements[key];
+        if (formElement) {
+          formElement.setInvalidMessage(invalid[key]);
+          formElement.setValid(false);
+        }
+      }
+      this._crossInvalidFields = invalid;
+      if (formMessage) {
+        manager.setInvalidMessage(formMessage);
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * Checks a single cross-field validation rule
+     * @param rule {Map} The rule
+     * @param fields {String[]} The keys of the (visible) fields of the rule
+     * @return {Boolean|String} `true` if the rule is satisfied, otherwise the
+     *   error message
+     */
+    _checkCrossRule: function(rule, fields) {
+      let values = fields.map(this._getFieldValue, this);
+      let labels = fields.map(function(key) {
+        return this._fieldData[key].label || key;
+      }, this);
+      let isEmpty = function(value) {
+        return value === null || value === undefined || value === "" ||
+          (qx.lang.Type.isArray(value) && value.length === 0);
+      };
+      let comparable = function(value) {
+        return qx.lang.Type.isDate(value) ? value.getTime() : value;
+      };
+      let valid;
+      let message;
+      switch (rule.type) {
+      case "equals":
+        valid = values.every(function(value) {
+          return comparable(value) === comparable(values[0]);
+        });
+        message = this.tr("The values of %1 must match", labels.join(", "));
+        break;
+
+      case "lessThan":
+      case "greaterThan":
+        if (values.some(isEmpty)) {
+          return true;
+        }
+        valid = true;
+        for (let i = 0; i < values.length - 1; i++) {
+          let a = comparable(values[i]);
+          let b = comparable(values[i + 1]);
+          valid = valid && (rule.type === "lessThan" ? a < b : a > b);
+        }
+        message = rule.type === "lessThan" ?
+          this.tr("%1 must be less than %2", labels[0], labels.slice(1).join(", ")) :
+          this.tr("%1 must be greater than %2", labels[0], labels.slice(1).join(", "));
+        break;
+
+      case "atLeastOneOf":
+        valid = !values.every(isEmpty);
+        message = this.tr("At least one of %1 must be filled in", labels.join(", "));
+        break;
+
+      case "custom": {
+        if (typeof rule.validator != "function") {
+          this.error("Custom cross validation rule needs a validator function.");
+          return true;
+        }
+        let valueMap = {};
+        fields.forEach(function(key, index) {
+          valueMap[key] = values[index];
+        });
+        let result = rule.validator.call(this.getContext(), valueMap, this);
+        if (typeof result == "string") {
+          return rule.message || result;
+        }
+        valid = result !== false;
+        message = this.tr("Value is invalid");
+        break;
+      }
+
+      default:
+        this.error("Unknown cross validation rule type: " + rule.type);
+        return true;
+      }
+      return valid ? true : (rule.message || message);
+    },
+
+    /**
+     * Returns the current value of a field as a native value
+     * @param key {String} The key or path of the field
+     * @return {var}
+     */
+    _getFieldValue: function(key) {
+      let value = qx.data.SingleValueBinding.resolvePropertyChain(this.getModel(), key);
+      if (value instanceof qx.core.Object) {
+        value = qx.util.Serializer.toNativeObject(value);
+      }
+      return value;
+    },
+
+    /**
+     * Stores the current values of the fields which have no initial value
+     * yet, i.e. all fields of a new form and fields which have been added or
+     * replaced, and updates the dirty state
+     */
+    _storeInitialValues: function() {
+      for (let key in this._formElements) {
+        // fields still loading their options are stored once the options
+        // have been set
+        if (!(key in this._initialValues) &&
+            !this._formElements[key].getUserData("loading")) {
+          this._initialValues[key] = this._getFieldValue(key);
+        }
+      }
+      this._updateDirty();
+    },
+
+    /**
+     * Updates the dirty state and fires the "changeDirty" event if it has
+     * changed
+     */
+    _updateDirty: function() {
+      let dirty = Object.keys(this.getChangedValues()).length > 0;
+      if (dirty !== this._dirty) {
+        this._dirty = dirty;
+        this.fireDataEvent("changeDirty", dirty, !dirty);
+      }
+    },
+
+    /**
+     * Returns whether two native values of a field are equal. Dates are
+     * compared by their time, arrays and maps by their members, and all
+     * empty values, such as null, "" or a map of empty values, are equal.
+     * @param value {var} The first value
+     * @param other {var} The second value
+     * @return {Boolean}
+     */
+    _isEqualValue: function(value, other) {
+      if (value === other || (this._isEmptyValue(value) && this._isEmptyValue(other))) {
+        return true;
+      }
+      if (value instanceof Date && other instanceof Date) {
+        return value.getTime() === other.getTime();
+      }
+      if (qx.lang.Type.isArray(value) && qx.lang.Type.isArray(other)) {
+        return value.length === other.length && value.every(function(item, index) {
+          return this._isEqualValue(item, other[index]);
+        }, this);
+      }
+      if (qx.lang.Type.isObject(value) && qx.lang.Type.isObject(other)) {
+        let names = Object.keys(value).concat(Object.keys(other));
+        return names.every(function(name) {
+          return this._isEqualValue(value[name], other[name]);
+        }, this);
+      }
+      return false;
+    },
+
+    /**
+     * Returns whether a native value of a field is empty: null, undefined,
+     * an empty string, or an array or map whose members are all empty, such
+     * as the empty entries of a repeater
+     * @param value {var} The value
+     * @return {Boolean}
+     */
+    _isEmptyValue: function(value) {
+      if (value === null || value === undefined || value === "") {
+        return true;
+      }
+      if (qx.lang.Type.isArray(value)) {
+        return value.every(this._isEmptyValue, this);
+      }
+      if (qx.lang.Type.isObject(value)) {
+        return Object.keys(value).every(function(name) {
+          return this._isEmptyValue(value[name]);
+        }, this);
+      }
+      return false;
+    },
 
-        // Ensure the field type is registered
-        if (!(fieldType in qxl.dialog.MForm._registeredFormElements)) {
-          throw new Error(`Field type ${fieldType} is unknown`);
-        }
+    /**
+     * Checks that a required form element whose value is an array, such as a
+     * token field, has at least one item. The validation manager regards an
+     * empty array as a value, so form elements call this in their own
+     * validators.
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @param items {Array|null} The items of its value
+     * @throws {qx.core.ValidationError} If the form element is required and
+     *   has no items
+     */
+    _validateRequiredItems: function(formElement, items) {
+      if (formElement.getRequired() && (!items || items.length === 0)) {
+        throw new qx.core.ValidationError("Validation Error",
+          formElement.getRequiredInvalidMessage() ||
+          this._form.getValidationManager().getRequiredFieldMessage());
+      }
+    },
 
-        // Instantiate and initialize the form element
-        formElement =
-          qxl.dialog.MForm._registeredFormElements[fieldType]
-            .initElement.call(this, fieldType, fieldData, key);
+    /**
+     * Evaluates a `visibleWhen`, `enabledWhen` or `requiredWhen` condition
+     * @param condition {Map|Function|String|Boolean} The condition. The keys
+     *   of a map condition may be paths to fields in groups.
+     * @param data {Map} The current form data as a native object
+     * @return {Boolean}
+     */
+    _evaluateCondition: function(condition, data) {
+      if (typeof condition == "function") {
+        return Boolean(condition.call(this.getContext(), data, this));
+      }
+      if (typeof condition == "string") {
+        return Boolean(this._getExpression(condition).evaluate(data));
+      }
+      if (qx.lang.Type.isObject(condition)) {
+        return Object.keys(condition).every(function(key) {
+          let expected = condition[key];
+          let value = this._getValueByPath(data, key);
+          if (qx.lang.Type.isArray(expected)) {
+            return expected.includes(value);
+          }
+          return value === expected;
+        }, this);
+      }
+      return Boolean(condition);
+    },
 
-        // Headers don't return a form element
-        if (!formElement) {
-          continue;
+    /**
+     * Returns the parsed expression with the given source, which is parsed
+     * only once per form
+     * @param source {String} The expression
+     * @param key {String?} The key of the field the expression belongs to
+     * @param functions {Map?} The additional functions of the expression,
+     *   which are the same for all expressions of the field with them
+     * @return {qxl.dialog.Expression}
+     * @throws {Error} If the expression is invalid
+     */
+    _getExpression: function(source, key, functions) {
+      let cache = this._expressions;
+      if (functions) {
+        cache = this._eventExpressions[key] = this._eventExpressions[key] || {};
+      }
+      if (!cache[source]) {
+        cache[source] = new qxl.dialog.Expression(source, key, functions);
+      }
+      return cache[source];
+    },
+
+    /**
+     * Disposes the parsed expressions and empties the caches
+     */
+    _disposeExpressions: function() {
+      let caches = [ this._expressions || {} ];
+      for (let key in this._eventExpressions || {}) {
+        caches.push(this._eventExpressions[key]);
+      }
+      caches.forEach(function(cache) {
+        for (let source in cache) {
+          cache[source].dispose();
         }
+      });
+      this._expressions = {};
+      this._eventExpressions = {};
+    },
 
-        // Save the key
-        formElement.setUserData("key", key);
+    /**
+     * Creates a validator from an expression, in which `value` is the value
+     * of the field. The value is invalid if the result is false, or a string
+     * which is shown as the message.
+     * @param key {String} The key of the field
+     * @param source {String} The expression
+     * @param message {String?} The message if the result is false
+     * @return {Function} The validator
+     */
+    _createExpressionValidator: function(key, source, message) {
+      let expression = this._getExpression(source, key);
+      let self = this;
+      return function(value) {
+        let data = qx.util.Serializer.toNativeObject(self.getModel());
+        let result = expression.evaluate(data, { value: value });
+        if (typeof result == "string" ? result : !result) {
+          throw new qx.core.ValidationError("Validation Error",
+            typeof result == "string" ? result : message || self.tr("Value is invalid"));
+        }
+      };
+    },
 
-        // Add the form element to the form controller, if needed for the type
-        if (qxl.dialog.MForm._registeredFormElements[fieldType].addToFormController) {
-          qxl.dialog.MForm._registeredFormElements[fieldType]
-            .addToFormController.call(
-              this, fieldType, fieldData, key, formElement);
+    /**
+     * Creates an event listener from an expression, in which `value` is the
+     * data of the event, if any, and the function `set(key, value)` sets the
+     * value of a field
+     * @param key {String} The key of the field
+     * @param source {String} The expression
+     * @return {Function} The listener
+     */
+    _createExpressionHandler: function(key, source) {
+      let self = this;
+      let expression = this._getExpression(source, key, {
+        set: function(path, value) {
+          if (!self._fieldData[path]) {
+            self.warn("Cannot set unknown field '" + path + "' in the event handler of '" + key + "'.");
+            return null;
+          }
+          self._setFieldValue(path, value);
+          return value;
         }
+      });
+      return function(e) {
+        let data = qx.util.Serializer.toNativeObject(self.getModel());
+        expression.evaluate(data, {
+          value: e instanceof qx.event.type.Data ? e.getData() : null
+        });
+      };
+    },
 
-        /**
-         * Validation
-         */
-        let validator = null;
-        if (formElement && fieldData.validation) {
-          // required field
-          if (fieldData.validation.required) {
-            formElement.setRequired(true);
+    /**
+     * Sets the values of the fields which have a `compute` member and depend
+     * on the given model property. As computed fields may depend on each
+     * other, this is repeated for the fields whose values have changed.
+     * @param name {String|null} The path of the changed model property, or
+     *   null to compute all fields
+     */
+    _updateComputedFields: function(name) {
+      if (this._computing || !this.getModel()) {
+        return;
+      }
+      // setting a value fires a change event, which must not start over
+      this._computing = true;
+      try {
+        let changed = name === null ? null : [name];
+        let passes = 0;
+        while (changed === null || changed.length > 0) {
+          if (++passes > 10) {
+            this.warn("The computed fields depend on each other in a cycle.");
+            break;
           }
-          // sync validation
-          if (fieldData.validation.validator) {
-            validator = fieldData.validation.validator;
-            if (typeof validator == "string") {
-              if (qx.util.Validate[validator]) {
-                validator = qx.util.Validate[validator]();
-              } else if (validator.charAt(0) === "/") {
-                validator = qx.util.Validate.regExp(
-                new RegExp(validator.substr(1, validator.length - 2)),
-                fieldData.validation.errorMessage
-                );
-              } else {
-                this.error("Invalid string validator.");
-              }
-            } else if (!(validator instanceof qx.ui.form.validation.AsyncValidator) && typeof validator !== "function") {
-              this.error("Invalid validator.");
+          let data = qx.util.Serializer.toNativeObject(this.getModel());
+          let updated = [];
+          for (let key in this._fieldData) {
+            let compute = this._fieldData[key].compute;
+            if (compute === undefined ||
+                (changed !== null && !this._isComputedFrom(key, changed))) {
+              continue;
             }
-          }
-          // async validation
-          if (qx.lang.Type.isString(fieldData.validation.proxy) &&
-          qx.lang.Type.isString(fieldData.validation.method)
-          ) {
-            /**
-             * fieldData.validation.proxy
-             * the name of a global variable (or path) to a function that acts as the proxy of
-             * the 'send' or 'execute' function of a preconfigured JsonRpc client. The function
-             * receives the following parameters: service method (string), parameters (array)
-             * and callback (function). It proxies the parameters to the given JsonRpc method and
-             * calls the callback with the result (true if valid, false if not) received from the
-             * server. The JsonRpc service name is preconfigured by the server and cannot be
-             * changed by the client.
-             */
-            // clean
-            let proxy = fieldData.validation.proxy.replace(/;\n/g, "");
-            try {
-              eval("proxy = " + proxy + ";");
-            } catch (e) {
-              this.warn("Invalid proxy name");
+            let value = typeof compute == "function" ?
+              compute.call(this.getContext(), data, this) :
+              this._getExpression(compute, key).evaluate(data);
+            if (value === undefined) {
+              value = null;
             }
-            if (typeof proxy == "function") {
-              let method = fieldData.validation.method;
-              let message = fieldData.validation.invalidMessage;
-              let validationFunc = function (validatorObj, value) {
-                if (!validatorObj.__asyncInProgress) {
-                  validatorObj.__asyncInProgress = true;
-                  proxy(method, [value], function (valid) {
-                    validatorObj.setValid(valid, message || this.tr("Value is invalid"));
-                    validatorObj.__asyncInProgress = false;
-                  });
-                }
-              };
-              validator = new qx.ui.form.validation.AsyncValidator(validationFunc);
+            if (!this._isEqualValue(value, this._getValueByPath(data, key))) {
+              this._setFieldValue(key, value);
+              updated.push(key);
             }
           }
+          changed = updated;
         }
+      } finally {
+        this._computing = false;
+      }
+    },
 
-        /**
-         * other widget properties @todo: allow to set all properties
-         */
+    /**
+     * Returns whether the value of a computed field depends on one of the
+     * given model properties. A function depends on all fields but itself,
+     * an expression on the fields it refers to.
+     * @param key {String} The key of the computed field
+     * @param names {String[]} The paths of the changed model properties
+     * @return {Boolean}
+     */
+    _isComputedFrom: function(key, names) {
+      let compute = this._fieldData[key].compute;
+      if (typeof compute == "function") {
+        return names.some(function(name) {
+          return name !== key;
+        });
+      }
+      let references = this._getExpression(compute, key).getReferences();
+      return names.some(function(name) {
+        return references.some(function(reference) {
+          return name === reference ||
+            name.indexOf(reference + ".") === 0 ||
+            name.indexOf(reference + "[") === 0 ||
+            reference.indexOf(name + ".") === 0;
+        });
+      });
+    },
 
-        // width
-        if (fieldData.width !== undefined) {
-          formElement.setWidth(fieldData.width);
+    /**
+     * Re-evaluates the conditions of all fields which have a `visibleWhen`,
+     * `enabledWhen` or `requiredWhen` member, and updates the form elements
+     * accordingly.
+     * @return {Boolean} Whether the state of any field has changed
+     */
+    _updateFieldStates: function() {
+      if (!this.getFormData() || !this.getModel() || !this._form) {
+        return false;
+      }
+      let data = null;
+      let changed = false;
+      for (let key in this._fieldData) {
+        let fieldData = this._fieldData[key];
+        let formElement = this._formElements[key];
+        if (!formElement ||
+            (fieldData.visibleWhen === undefined &&
+             fieldData.enabledWhen === undefined &&
+             fieldData.requiredWhen === undefined)) {
+          continue;
+        }
+        if (!data) {
+          data = qx.util.Serializer.toNativeObject(this.getModel());
         }
 
-        // placeholder
-        if (fieldData.placeholder !== undefined) {
-          formElement.setPlaceholder(fieldData.placeholder);
+        // visibility
+        let visible = true;
+        if (fieldData.visibleWhen !== undefined) {
+          visible = this._evaluateCondition(fieldData.visibleWhen, data);
+          if (visible === Boolean(this._hiddenFields[key])) {
+            changed = true;
+            if (visible) {
+              delete this._hiddenFields[key];
+            } else {
+              this._hiddenFields[key] = true;
+            }
+            this._updateFieldView(key);
+          }
         }
 
-        // tooltip
-        if (fieldData.toolTipText !== undefined) {
-          formElement.setToolTipText(fieldData.toolTipText);
+        // enabled state
+        if (fieldData.enabledWhen !== undefined) {
+          let enabled = this._evaluateCondition(fieldData.enabledWhen, data);
+          if (enabled !== formElement.getEnabled()) {
+            changed = true;
+            formElement.setEnabled(enabled);
+          }
         }
 
-        // enabled
-        if (fieldData.enabled !== undefined) {
-          formElement.setEnabled(fieldData.enabled);
+        // required state, hidden fields are never required
+        if (fieldData.visibleWhen !== undefined ||
+            fieldData.requiredWhen !== undefined) {
+          let required = fieldData.requiredWhen !== undefined ?
+            this._evaluateCondition(fieldData.requiredWhen, data) :
+            Boolean(fieldData.validation && fieldData.validation.required);
+          required = required && visible;
+          if (required !== formElement.getRequired()) {
+            changed = true;
+            formElement.setRequired(required);
+          }
         }
+      }
+      return changed;
+    },
 
-        // generic property setter
-        if (typeof fieldData.properties == "object") {
-          formElement.set(fieldData.properties);
+    /**
+     * Returns a validator function which skips the given validator while
+     * the field is hidden
+     * @param key {String} The key of the field
+     * @param validator {Function} The validator to wrap
+     * @return {Function}
+     */
+    _createConditionalValidator: function(key, validator) {
+      let self = this;
+      return function(value, formItem) {
+        if (self._hiddenFields[key]) {
+          return true;
         }
+        return validator.call(this, value, formItem);
+      };
+    },
 
-        // Do any required post-processing
-        if ("postProcess" in qxl.dialog.MForm._registeredFormElements[fieldType]) {
-          qxl.dialog.MForm._registeredFormElements[fieldType]
-            .postProcess.call(
-              this, fieldType, fieldData, key, formElement);
+    /**
+     * Creates a validator which calls the Promise-returning `asyncValidator`
+     * function of the field's validation data. Calls are debounced, and
+     * stale requests are aborted and their results ignored.
+     * @param key {String} The key of the field
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @param validation {Map} The `validation` member of the field data
+     * @param syncValidator {Function|null} A synchronous validator which
+     *   must pass before the asynchronous validator is called
+     * @return {qx.ui.form.validation.AsyncValidator}
+     */
+    _createAsyncValidator: function(key, formElement, validation, syncValidator) {
+      let self = this;
+      let delay = typeof validation.asyncDelay == "number" ? validation.asyncDelay : 300;
+      let message = validation.invalidMessage || this.tr("Value is invalid");
+      let timer = null;
+      let controller = null;
+      let requestId = 0;
+      let lastValue;
+      let lastResult = null;
+
+      let cancel = function() {
+        requestId++;
+        if (timer) {
+          timer.stop();
+          timer.dispose();
+          timer = null;
+        }
+        if (controller) {
+          controller.abort();
+          controller = null;
+        }
+        self._setFieldState(formElement, "validating", false);
+      };
+
+      let validationFunc = function(asyncValidator, value) {
+        // validation is re-triggered on every change in the form, do not
+        // query again if the value hasn't changed
+        if (value === lastValue && (timer || controller)) {
+          return;
+        }
+        cancel();
+        if (value === lastValue && lastResult) {
+          asyncValidator.setValid(lastResult.valid, lastResult.message);
+          return;
         }
+        lastValue = value;
+        lastResult = null;
 
-         // generic userdata settings
-        if (typeof fieldData.userdata == "object") {
-          Object.keys(fieldData.userdata).forEach(
-            function(key) {
-              formElement.setUserData(key, fieldData.userdata[key]);
-            });
+        // hidden or empty fields are not validated asynchronously
+        if (self._hiddenFields[key]) {
+          asyncValidator.setValid(true);
+          return;
+        }
+        if (value === null || value === undefined || value === "") {
+          asyncValidator.setValid(
+            !formElement.getRequired(),
+            formElement.getRequiredInvalidMessage() ||
+              self._form.getValidationManager().getRequiredFieldMessage());
+          return;
         }
 
-        /**
-         * Events
-         */
-        if (qx.lang.Type.isObject(fieldData.events)) {
-          for (let type in fieldData.events) {
-            let func;
-            try {
-              switch (typeof fieldData.events[type]) {
-              case "string": /** @deprecated */
-                // A string allows transferring this handler via JSON.
-                func = eval("(" + fieldData.events[type] + ")"); // eval is evil, I know.
-                break;
-
-              case "function":
-                func = fieldData.events[type];
-                break;
-
-              default:
-                throw new Error("Event handler must be a string eval()'ed to a function (deprecated), or a function");
-              }
-              formElement.addListener(type, func, formElement);
-            } catch (e) {
-              this.warn("Invalid '" + type + "' event handler for form element '" + key + "'.");
+        // synchronous validation first
+        if (syncValidator) {
+          try {
+            if (syncValidator.call(formElement, value, formElement) === false) {
+              asyncValidator.setValid(false, formElement.getInvalidMessage() || message);
+              return;
+            }
+          } catch (e) {
+            if (e instanceof qx.core.ValidationError) {
+              asyncValidator.setValid(false, e.message);
+              return;
             }
+            throw e;
           }
         }
 
-        // Putting it all together
-        let label = fieldData.label;
-        this._form.add(formElement, label || "", validator);
-        // Add the form elements as objects owned by the form widget
-        if (qx.core.Environment.get("module.objectid") === true) {
-          formElement.setQxObjectId(key);
-          this._form.addOwnedQxObject(formElement);
-        }
+        let id = requestId;
+        self._setFieldState(formElement, "validating", true);
+        timer = qx.event.Timer.once(function() {
+          timer = null;
+          controller = typeof AbortController == "function" ? new AbortController() : null;
+          Promise.resolve()
+            .then(function() {
+              return validation.asyncValidator.call(
+                self.getContext(), value, controller ? controller.signal : null);
+            })
+            .then(function(result) {
+              let valid = result === true || result === undefined;
+              return {
+                valid: valid,
+                message: typeof result == "string" ? result : message
+              };
+            }, function(err) {
+              return {
+                valid: false,
+                message: (err && err.message) || message
+              };
+            })
+            .then(function(result) {
+              if (id !== requestId || formElement.isDisposed()) {
+                // stale or obsolete
+                return;
+              }
+              controller = null;
+              lastResult = result;
+              self._setFieldState(formElement, "validating", false);
+              asyncValidator.setValid(result.valid, result.message);
+            });
+        }, self, delay);
+      };
+      return new qx.ui.form.validation.AsyncValidator(validationFunc);
+    },
 
-        /*
-         * add the form element to the map so the user has access to it later
-         */
-        this._formElements[key] = formElement;
+    /**
+     * Sets a transient state of a form element, such as "validating" or
+     * "loading", which is stored in its user data, added to its widget
+     * states and indicated in its label
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @param state {String} The name of the state
+     * @param value {Boolean} Whether the state is set
+     */
+    _setFieldState: function(formElement, state, value) {
+      if (formElement.isDisposed() ||
+          Boolean(formElement.getUserData(state)) === value) {
+        return;
+      }
+      formElement.setUserData(state, value);
+      if (formElement instanceof qx.ui.core.Widget) {
+        if (value) {
+          formElement.addState(state);
+        } else {
+          formElement.removeState(state);
+        }
+      }
+      let updateLabel = formElement.getUserData("updateLabel");
+      if (updateLabel) {
+        updateLabel();
       }
+    },
 
+    /**
+     * Returns the result data of the form, which is passed to the callback.
+     * Fields which are hidden or have a true `excludeFromResult` member are
+     * not included.
+     * @return {Map}
+     */
+    _getResultData: function() {
+      let result = qx.util.Serializer.toNativeObject(this.getModel());
+      let excluded = Object.keys(this._fieldData).filter(function(key) {
+        return this._hiddenFields[key] || this._fieldData[key].excludeFromResult === true;
+      }, this);
+      for (let key of excluded) {
+        let path = key.split(".");
+        let name = path.pop();
+        let parent = path.length ? this._getValueByPath(result, path.join(".")) : result;
+        if (parent) {
+          delete parent[name];
+        }
+      }
+      return result;
+    },
 
-      /*
-       * render the form
-       */
-      var setupFormRenderer;
+    /**
+     * Returns the value at the given path in a native object
+     * @param data {Map} The data
+     * @param path {String} The path, e.g. "address.street"
+     * @return {var} The value, or undefined if the path does not exist
+     */
+    _getValueByPath: function(data, path) {
+      return path.split(".").reduce(function(value, name) {
+        return value !== null && value !== undefined ? value[name] : undefined;
+      }, data);
+    },
 
-      setupFormRenderer = this.getSetupFormRendererFunction();
-      if (!setupFormRenderer) {
-        setupFormRenderer = function(form) {
-          var view;
+    /**
+     * Shows the fields as formatted text while the form is read-only, and
+     * adapts the buttons
+     * @param value {Boolean} Whether the form is read-only
+     * @param old {Boolean} The old value
+     */
+    _applyReadOnly: function(value, old) {
+      this._updateFieldViews();
+      let readOnly = this.getReadOnly();
+      let close = readOnly && this.getReadOnlyButtons() === "close";
+      if (this._okButton) {
+        this._okButton.setLabel(close ? this.tr("Close") : this.tr("OK"));
+        this._okButton.setVisibility(
+          readOnly && !close ? "excluded" : "visible");
+      }
+      this._updateOkButton();
+      if (this._cancelButton) {
+        this._cancelButton.setVisibility(close ? "excluded" : "visible");
+      }
+      this._updateErrorSummary();
+    },
 
-          view = new qxl.dialog.FormRenderer(this._form);
-          view.getLayout().setColumnFlex(0, 0);
-          view.getLayout().setColumnMaxWidth(0, this.getLabelColumnWidth());
-          view.getLayout().setColumnWidth(0, this.getLabelColumnWidth());
-          view.getLayout().setColumnFlex(1, 1);
-          view.setAllowGrowX(true);
+    /**
+     * Returns whether a field is read-only, because the form, the field or
+     * the group containing it is read-only
+     * @param key {String} The key of the field
+     * @return {Boolean}
+     */
+    _isFieldReadOnly: function(key) {
+      if (this.getReadOnly()) {
+        return true;
+      }
+      let path = key.split(".");
+      for (let i = 1; i <= path.length; i++) {
+        let fieldData = this._fieldData[path.slice(0, i).join(".")];
+        if (fieldData && fieldData.readOnly) {
+          return true;
+        }
+        // computed fields are read-only unless stated otherwise
+        if (fieldData && i === path.length &&
+            fieldData.compute !== undefined && fieldData.readOnly !== false) {
+          return true;
+        }
+      }
+      return false;
+    },
 
-          return view;
-        };
+    /**
+     * Updates the visibility and the read-only state of all fields
+     */
+    _updateFieldViews: function() {
+      if (!this._form || this._form.isDisposed()) {
+        return;
       }
+      for (let key in this._formElements) {
+        this._updateFieldView(key);
+      }
+    },
 
-      this._formContainer.add(setupFormRenderer.bind(this)(this._form));
-      this._form.getValidationManager().validate();
+    /**
+     * Shows the form element of a field, or the formatted value of the
+     * field if it is read-only, or neither if the field is hidden. Form
+     * elements which aren't rendered with a label for their read-only value,
+     * e.g. by a custom renderer, are set to read-only if they support it.
+     * @param key {String} The key of the field
+     */
+    _updateFieldView: function(key) {
+      let formElement = this._formElements[key];
+      let fieldData = this._fieldData[key];
+      if (!formElement || !fieldData) {
+        return;
+      }
+      let hidden = Boolean(this._hiddenFields[key]);
+      let readOnly = this._isFieldReadOnly(key);
+      let fieldType = fieldData.type.toLowerCase();
+      let handlers = qxl.dialog.MForm._registeredFormElements[fieldType];
+      let view = formElement.getUserData("readOnlyView");
+      if (handlers.setReadOnly) {
+        handlers.setReadOnly.call(this, fieldType, fieldData, key, formElement, readOnly);
+        view = null;
+      } else if (!view || view.isDisposed()) {
+        view = null;
+        if (qx.Class.hasProperty(formElement.constructor, "readOnly")) {
+          formElement.setReadOnly(readOnly);
+        }
+      }
+      if (view) {
+        if (readOnly && !hidden) {
+          view.setValue(this._formatFieldValue(key));
+        }
+        view.setVisibility(readOnly && !hidden ? "visible" : "excluded");
+      }
+      // radio groups are rendered in a container widget
+      let widget = formElement.getUserData("widget") || formElement;
+      widget.setVisibility(hidden || (readOnly && view) ? "excluded" : "visible");
+    },
 
-      var finalizeFunction;
+    /**
+     * Returns the value of a field as HTML, for showing it while the field
+     * is read-only
+     * @param key {String} The key of the field
+     * @return {String} The HTML
+     */
+    _formatFieldValue: function(key) {
+      let fieldData = this._fieldData[key];
+      let formElement = this._formElements[key];
+      let fieldType = fieldData.type.toLowerCase();
+      let value = this._getFieldValue(key);
+      let handlers = qxl.dialog.MForm._registeredFormElements[fieldType];
+      if (handlers.formatValue) {
+        return handlers.formatValue.call(this, fieldType, fieldData, key, formElement, value);
+      }
+      let options = formElement.getUserData("options") || fieldData.options;
+      return this._formatValue(value, qx.lang.Type.isArray(options) ? options : null);
+    },
 
-      finalizeFunction = this.getFinalizeFunction();
-      if (finalizeFunction) {
-        finalizeFunction.call(this.getContext(), this._form, this);
+    /**
+     * Formats a value as HTML: empty values as a dash, values of options as
+     * their labels, booleans as check marks, dates with the default format
+     * of the locale, and the items of arrays separated by commas.
+     * @param value {var} The native value
+     * @param options {Array|null} The options of the field, maps with
+     *   `label` and `value`
+     * @return {String} The HTML
+     */
+    _formatValue: function(value, options) {
+      if (value === null || value === undefined || value === "" ||
+          (qx.lang.Type.isArray(value) && value.length === 0)) {
+        return "&mdash;";
+      }
+      if (qx.lang.Type.isArray(value)) {
+        return value.map(function(item) {
+          return this._formatValue(item, options);
+        }, this).join(", ");
+      }
+      if (options) {
+        let option = options.find(function(option) {
+          return (option.value !== undefined ? option.value : option.label) === value;
+        });
+        if (option) {
+          return qx.bom.String.escape(String(option.label));
+        }
+      }
+      if (typeof value == "boolean") {
+        return value ? "&#10003;" : "&#10007;";
+      }
+      if (value instanceof Date) {
+        let midnight = value.getHours() + value.getMinutes() + value.getSeconds() === 0;
+        return qx.bom.String.escape((midnight ?
+          qx.util.format.DateFormat.getDateInstance() :
+          qx.util.format.DateFormat.getDateTimeInstance()).format(value));
       }
+      if (qx.lang.Type.isObject(value)) {
+        return Object.keys(value).map(function(name) {
+          return this._formatValue(value[name], null);
+        }, this).join(" &ndash; ");
+      }
+      return qx.bom.String.escape(String(value)).replace(/\n/g, "<br>");
     },
 
     /**
@@ -725,27 +2816,362 @@ qx.Mixin.define("qxl.dialog.MForm", {
      * @param form {qx.ui.form.Form} The form to bind
      */
     _onFormReady: function (form) {
+      // forms without buttons, e.g. qxl.dialog.SubForm
+      if (!this._okButton) {
+        return;
+      }
       form.getValidationManager().bind("valid", this._okButton, "enabled", {
-        converter: function (value) {
-          return value || false;
+        converter: this._isOkEnabled.bind(this)
+      });
+    },
+
+    /**
+     * Shows the errors with which a submission was rejected. The fields of
+     * a map of field keys to messages are marked invalid until they are
+     * changed; the messages of other keys, an Error or a string are shown
+     * in the error banner.
+     * @param errors {Map|Error|String} The errors
+     */
+    showSubmitErrors: function(errors) {
+      let messages = [];
+      this._submitErrors = {};
+      if (qx.lang.Type.isObject(errors)) {
+        for (let key in errors) {
+          if (this._formElements[key] && !this._hiddenFields[key]) {
+            this._submitErrors[key] = String(errors[key]);
+          } else {
+            messages.push(String(errors[key]));
+          }
+        }
+      } else if (errors instanceof Error) {
+        messages.push(errors.message);
+      } else if (errors !== null && errors !== undefined) {
+        messages.push(String(errors));
+      }
+      if (Object.keys(this._submitErrors).length > 0) {
+        messages.unshift(this.tr("Please correct the marked fields."));
+      } else if (messages.length === 0) {
+        messages.push(this.tr("The form could not be submitted."));
+      }
+      if (this._form && !this._form.isDisposed()) {
+        this._form.getValidationManager().validate();
+      }
+      this.setErrorMessage(messages.join("\n"));
+    },
+
+    /**
+     * Removes the errors shown by {@link #showSubmitErrors}
+     */
+    clearSubmitErrors: function() {
+      let hadErrors = Object.keys(this._submitErrors || {}).length > 0;
+      this._submitErrors = {};
+      this.resetErrorMessage();
+      if (hadErrors && this._form && !this._form.isDisposed()) {
+        this._form.getValidationManager().validate();
+      }
+    },
+
+    /**
+     * Removes the submission error of the field a changed model property
+     * belongs to
+     * @param name {String} The path of the changed model property
+     * @return {Boolean} Whether an error has been removed
+     */
+    _clearSubmitError: function(name) {
+      let cleared = false;
+      for (let key in this._submitErrors) {
+        if (name === key || name.indexOf(key + ".") === 0 || name.indexOf(key + "[") === 0) {
+          delete this._submitErrors[key];
+          cleared = true;
+        }
+      }
+      return cleared;
+    },
+
+    /**
+     * Returns a validator which fails with the message of the submission
+     * error of the field, if any, and calls the given validator otherwise
+     * @param key {String} The key of the field
+     * @param validator {Function|null} The validator to wrap
+     * @return {Function}
+     */
+    _createSubmitErrorValidator: function(key, validator) {
+      let self = this;
+      return function(value, formItem) {
+        if (self._submitErrors[key]) {
+          throw new qx.core.ValidationError("Validation Error", self._submitErrors[key]);
+        }
+        return validator ? validator.call(this, value, formItem) : true;
+      };
+    },
+
+    // property apply
+    _applyBusy: function(value, old) {
+      this._updateOkButton();
+      if (this._cancelButton) {
+        this._cancelButton.setEnabled(!value);
+      }
+      if (this._formContainer && this._formContainer !== this) {
+        if (!this._busyBlocker) {
+          this._busyBlocker = new qx.ui.core.Blocker(this._formContainer);
+        }
+        if (value) {
+          this._busyBlocker.block();
+        } else {
+          this._busyBlocker.unblock();
+        }
+      }
+    },
+
+    // property apply
+    _applyErrorMessage: function(value, old) {
+      if (this._errorBanner) {
+        this._errorBanner.setValue(value ?
+          qx.bom.String.escape(value).replace(/\n/g, "<br>") : null);
+        this._errorBanner.setVisibility(value ? "visible" : "excluded");
+      }
+    },
+
+    /**
+     * Submits the result data with the `submitFunction`, or with the
+     * callback if `asyncSubmit` is set, and closes the form once the
+     * returned Promise is resolved
+     * @param data {Map} The result data
+     * @return {Promise} Resolves when the submission has succeeded or failed
+     */
+    _submit: function(data) {
+      let submitFunction = this.getSubmitFunction();
+      let func = submitFunction || this.getCallback();
+      this.clearSubmitErrors();
+      this.setBusy(true);
+      return new Promise(function(resolve) {
+        resolve(func ? func.call(this.getContext(), data, this) : null);
+      }.bind(this)).then(function() {
+        if (this.isDisposed()) {
+          return;
+        }
+        this.setBusy(false);
+        this.hide();
+        this.fireEvent("ok");
+        if (submitFunction && this.getCallback()) {
+          this.getCallback().call(this.getContext(), data);
+        }
+        this.resetCallback();
+      }.bind(this), function(errors) {
+        if (this.isDisposed()) {
+          return;
+        }
+        this.setBusy(false);
+        this.showSubmitErrors(errors);
+      }.bind(this));
+    },
+
+    /**
+     * Returns whether the OK button is enabled
+     * @param valid {Boolean|null} The validity of the form
+     * @return {Boolean}
+     */
+    _isOkEnabled: function(valid) {
+      // a read-only form can always be closed
+      return !this.getBusy() &&
+        Boolean(valid || this.getReadOnly() || this.getFocusFirstInvalid());
+    },
+
+    /**
+     * Enables or disables the OK button according to the state of the form
+     */
+    _updateOkButton: function() {
+      if (this._okButton && this._form && !this._form.isDisposed()) {
+        this._okButton.setEnabled(
+          this._isOkEnabled(this._form.getValidationManager().getValid()));
+      }
+    },
+
+    /**
+     * Returns the visible fields which are invalid, in the order of the form
+     * @return {Map[]} Maps with the `key`, `label` and `message` of the
+     *   fields
+     */
+    getInvalidFields: function() {
+      if (!this._form || this._form.isDisposed()) {
+        return [];
+      }
+      let keys = Object.keys(this._formElements);
+      let formElements = [];
+      this._form.getGroups().forEach(function(group) {
+        formElements = formElements.concat(group.items);
+      });
+      return formElements.map(function(formElement) {
+        return keys.find(function(key) {
+          return this._formElements[key] === formElement;
+        }, this);
+      }, this).filter(function(key) {
+        let formElement = key && this._formElements[key];
+        return formElement && !this._hiddenFields[key] &&
+          typeof formElement.getValid == "function" && !formElement.getValid();
+      }, this).map(function(key) {
+        let formElement = this._formElements[key];
+        return {
+          key: key,
+          label: qx.bom.String.toText(String(this._fieldData[key].label || key)),
+          message: formElement.getInvalidMessage() || ""
+        };
+      }, this);
+    },
+
+    /**
+     * Scrolls to and focuses a field
+     * @param key {String} The key of the field
+     */
+    focusField: function(key) {
+      let formElement = this._formElements[key];
+      if (!formElement || formElement.isDisposed()) {
+        return;
+      }
+      // form items which are no widgets, e.g. radio groups, are rendered in
+      // a widget created by the renderer
+      let widget = formElement.getUserData("widget") || formElement;
+      if (!(widget instanceof qx.ui.core.Widget)) {
+        return;
+      }
+      for (let parent = widget.getLayoutParent(); parent; parent = parent.getLayoutParent()) {
+        if (parent instanceof qx.ui.core.scroll.AbstractScrollArea) {
+          parent.scrollChildIntoView(widget);
+        }
+      }
+      let target = this._getFocusTarget(formElement, widget);
+      if (target) {
+        target.focus();
+      }
+    },
+
+    /**
+     * Scrolls to and focuses the first invalid field
+     * @return {Boolean} Whether there is an invalid field
+     */
+    focusFirstInvalidField: function() {
+      let invalid = this.getInvalidFields();
+      if (invalid.length === 0) {
+        return false;
+      }
+      this.focusField(invalid[0].key);
+      return true;
+    },
+
+    /**
+     * Returns the widget which receives the focus for a form element: the
+     * selected or first button of a radio group, the element itself, or
+     * the first focusable descendant of the widget it is rendered in
+     * @param formElement {qx.ui.form.IForm} The form element
+     * @param widget {qx.ui.core.Widget} The widget the element is rendered in
+     * @return {qx.ui.core.Widget|null}
+     */
+    _getFocusTarget: function(formElement, widget) {
+      if (formElement instanceof qx.ui.form.RadioGroup) {
+        let buttons = formElement.getSelection().concat(formElement.getItems());
+        return buttons.find(function(button) {
+          return button.isFocusable() && button.isEnabled();
+        }) || null;
+      }
+      if (widget.isFocusable() && widget.isEnabled()) {
+        return widget;
+      }
+      let children = widget._getChildren();
+      for (let i = 0; i < children.length; i++) {
+        let target = children[i] instanceof qx.ui.core.Widget ?
+          this._getFocusTarget(children[i], children[i]) : null;
+        if (target) {
+          return target;
         }
+      }
+      return null;
+    },
+
+    /**
+     * Lists the invalid fields in the error summary, if it is shown
+     */
+    _updateErrorSummary: function() {
+      let summary = this._errorSummary;
+      if (!summary || summary.isDisposed()) {
+        return;
+      }
+      summary.removeAll().forEach(function(widget) {
+        widget.destroy();
       });
+      let invalid = this.getShowErrorSummary() && !this.getReadOnly() ?
+        this.getInvalidFields() : [];
+      summary.setVisibility(invalid.length ? "visible" : "excluded");
+      if (invalid.length === 0) {
+        return;
+      }
+      summary.add(new qx.ui.basic.Label(this.tr("Please correct the following fields:")));
+      invalid.forEach(function(field) {
+        let entry = new qx.ui.basic.Label();
+        entry.set({
+          rich: true,
+          value: "<b>" + qx.bom.String.escape(field.label) + "</b>" +
+            (field.message ? ": " + qx.bom.String.escape(field.message) : ""),
+          textColor: "invalid",
+          cursor: "pointer"
+        });
+        entry.addListener("tap", function() {
+          this.focusField(field.key);
+        }, this);
+        summary.add(entry);
+      }, this);
     },
 
     /**
-     * Handle click on ok button. Calls callback with the result map
+     * Handle click on ok button. Calls callback with the result map, or
+     * submits it first if a `submitFunction` or `asyncSubmit` is set. A
+     * read-only form with a `submitFunction` or `asyncSubmit` is only
+     * closed, since its values cannot have been changed.
      * @override
      */
     _handleOk: function () {
+      if (this.getBusy()) {
+        return;
+      }
+      if (this.getFocusFirstInvalid() && !this.getReadOnly() && this._form &&
+          this._form.getValidationManager().validate() !== true) {
+        // pending asynchronous validations also prevent submitting the form
+        this.focusFirstInvalidField();
+        return;
+      }
+      if (this.getSubmitFunction() || this.getAsyncSubmit()) {
+        if (this.getReadOnly()) {
+          this.hide();
+          this.fireEvent("ok");
+          this.resetCallback();
+        } else {
+          this._submit(this._getResultData());
+        }
+        return;
+      }
       this.hide();
       this.fireEvent("ok");
       if (this.getCallback()) {
         this.getCallback().call(
         this.getContext(),
-        qx.util.Serializer.toNativeObject(this.getModel())
+        this._getResultData()
         );
       }
       this.resetCallback();
     }
+  },
+
+  destruct: function() {
+    this._disposeExpressions();
+    let model = this.getModel();
+    if (model) {
+      model.removeAllBindings();
+    }
+    if (this._form) {
+      this._form.getValidationManager().removeAllBindings();
+    }
+    this._disposeObjects("_formController", "_form", "_busyBlocker");
+    if (model) {
+      model.dispose();
+    }
   }
 });
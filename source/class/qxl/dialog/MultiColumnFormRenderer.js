@@ -101,6 +101,7 @@ qx.Class.define("qxl.dialog.MultiColumnFormRenderer",
           } else {
             widget = this._createWidgetForRadioGroup(item);
           }
+          item.setUserData("widget", widget);
         } else {
         /*
          * other form widgets
@@ -116,6 +117,8 @@ qx.Class.define("qxl.dialog.MultiColumnFormRenderer",
         if (names[i] && item.getUserData("excluded")) {
           var label = new qx.ui.basic.Label(names[i]);
           label.setRich(true);
+          this._labels.push(label);
+          this._connectVisibility(item, label);
           this._add(
             label,
             {
@@ -137,6 +140,12 @@ qx.Class.define("qxl.dialog.MultiColumnFormRenderer",
               colSpan : 2
             });
           this._getLayout().getCellWidget(row, col).setAlignX("left");
+          this._addReadOnlyView(item, {
+            row     : row,
+            column  : col,
+            rowSpan : rowspan,
+            colSpan : 2
+          });
         } else if (item.getUserData("combineWithLabelColumn") && !names[i]) {
         /*
          * If the label is null, use the full width for the widget.
@@ -159,6 +168,12 @@ qx.Class.define("qxl.dialog.MultiColumnFormRenderer",
               rowSpan : rowspan,
               colSpan : 2
             });
+          this._addReadOnlyView(item, {
+            row     : row,
+            column  : col,
+            rowSpan : rowspan,
+            colSpan : 2
+          });
         } else if (!names[i]) {
         /*
          * Instead, just elide the label
@@ -170,12 +185,22 @@ qx.Class.define("qxl.dialog.MultiColumnFormRenderer",
               column  : col + 1,
               rowSpan : rowspan
             });
+          this._addReadOnlyView(item, {
+            row     : row,
+            column  : col + 1,
+            rowSpan : rowspan
+          });
         } else {
         /*
          * normal case: label in column col, form element in column col+1
          */
         label = this._createLabel(names[i], item);
           label.setRich(true);
+          this._connectVisibility(widget, label, this._addReadOnlyView(item, {
+            row     : row,
+            column  : col + 1,
+            rowSpan : rowspan
+          }));
           this._add(
             label,
             {
@@ -0,0 +1,75 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2007-2020 Christian Boulanger and others
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form that is constructed on-the-fly, without message and buttons. Used
+ * by form elements which render nested forms, such as
+ * {@link qxl.dialog.formElement.Repeater}.
+ */
+qx.Class.define("qxl.dialog.SubForm", {
+  extend: qx.ui.container.Composite,
+  include: [ qxl.dialog.MForm ],
+
+  /**
+   * Constructor
+   * @param formData {Map?} The form data, see {@link qxl.dialog.MForm#formData}
+   * @param context {Object?} The context for functions in the form data
+   */
+  construct: function(formData, context) {
+    this.base(arguments, new qx.ui.layout.Grow());
+    this._formContainer = this;
+    this.__context = context || null;
+    if (formData) {
+      this.setFormData(formData);
+    }
+  },
+
+  members :
+  {
+    __context: null,
+
+    /**
+     * Returns the context for functions in the form data
+     * @return {Object|null}
+     */
+    getContext: function() {
+      return this.__context;
+    },
+
+    /**
+     * Returns the current values of the form. Hidden fields are not
+     * included.
+     * @return {Map}
+     */
+    getValue: function() {
+      return this._getResultData();
+    },
+
+    /**
+     * Validates the form
+     * @return {Boolean|null} Whether the form is valid, or null if
+     *   asynchronous validations are pending. The "complete" event of the
+     *   validation manager is fired when they have finished.
+     */
+    validate: function() {
+      let valid = this._form.getValidationManager().validate();
+      return valid === null ? null : valid === true;
+    }
+  }
+});
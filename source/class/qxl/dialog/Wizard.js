@@ -243,6 +243,33 @@ qx.Class.define("qxl.dialog.Wizard", {
         );
       }
       this.resetCallback();
+      this.clearDraft();
+    },
+
+    /**
+     * Returns the draft of the current input, including the current page
+     * @override
+     * @return {Map}
+     */
+    _getDraft: function() {
+      let draft = this.base(arguments);
+      draft.page = this.getPage();
+      return draft;
+    },
+
+    /**
+     * Goes to the page of a draft and sets its fields to the values of the
+     * draft
+     * @param draft {Map} The draft
+     * @override
+     */
+    _restoreDraft: function(draft) {
+      let pageData = this.getPageData();
+      if (pageData && typeof draft.page == "number" && draft.page < pageData.length &&
+          draft.page !== this.getPage()) {
+        this.setPage(draft.page);
+      }
+      this.base(arguments, draft);
     }
   }
 });
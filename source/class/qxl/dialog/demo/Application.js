@@ -88,6 +88,136 @@ qx.Class.define("qxl.dialog.demo.Application",
               id: "formEmbed",
               method: "createFormEmbedded"
             },
+            {
+              label: "Form with Conditional Fields",
+              id: "conditions",
+              method: "createConditionsForm"
+            },
+            {
+              label: "Form with Asynchronous Validation",
+              id: "asyncValidation",
+              method: "createAsyncValidationForm"
+            },
+            {
+              label: "Form with Cross-field Validation",
+              id: "crossValidation",
+              method: "createCrossValidationForm"
+            },
+            {
+              label: "Form with a Group of Fields",
+              id: "group",
+              method: "createGroupForm"
+            },
+            {
+              label: "Form with a Repeater",
+              id: "repeater",
+              method: "createRepeaterForm"
+            },
+            {
+              label: "Form with Fields Added at Runtime",
+              id: "incrementalUpdate",
+              method: "createIncrementalUpdateForm"
+            },
+            {
+              label: "Form with Options Loaded Asynchronously",
+              id: "asyncOptions",
+              method: "createAsyncOptionsForm"
+            },
+            {
+              label: "Form with a Searchable Select Box",
+              id: "searchSelect",
+              method: "createSearchSelectForm"
+            },
+            {
+              label: "Form with a Token Field",
+              id: "tokenField",
+              method: "createTokenFieldForm"
+            },
+            {
+              label: "Form with a File Field",
+              id: "file",
+              method: "createFileForm"
+            },
+            {
+              label: "Form with Sliders",
+              id: "slider",
+              method: "createSliderForm"
+            },
+            {
+              label: "Form with Time and Date Fields",
+              id: "dateTime",
+              method: "createDateTimeForm"
+            },
+            {
+              label: "Form with a Check Box Group",
+              id: "checkBoxGroup",
+              method: "createCheckBoxGroupForm"
+            },
+            {
+              label: "Form with a Dual List",
+              id: "dualList",
+              method: "createDualListForm"
+            },
+            {
+              label: "Form with Masked and Number Fields",
+              id: "masked",
+              method: "createMaskedForm"
+            },
+            {
+              label: "Form with a Password Field",
+              id: "password",
+              method: "createPasswordForm"
+            },
+            {
+              label: "Read-only Form",
+              id: "readOnly",
+              method: "createReadOnlyForm"
+            },
+            {
+              label: "Form Asking to Discard Changes",
+              id: "dirty",
+              method: "createDirtyForm"
+            },
+            {
+              label: "Form Keeping a Draft",
+              id: "draft",
+              method: "createDraftForm"
+            },
+            {
+              label: "Form from a JSON Schema",
+              id: "jsonSchema",
+              method: "createJsonSchemaForm"
+            },
+            {
+              label: "JSON Schema of a Form",
+              id: "jsonSchemaExport",
+              method: "createJsonSchemaExportForm"
+            },
+            {
+              label: "Form with Expressions",
+              id: "expressions",
+              method: "createExpressionsForm"
+            },
+            {
+              label: "Form with Computed Fields",
+              id: "computed",
+              method: "createComputedForm"
+            },
+            {
+              label: "Form Submitted to a Server",
+              id: "submit",
+              method: "createSubmitForm"
+            },
+            {
+              label: "Read-only Form with a Submit Function",
+              id: "readOnlySubmit",
+              method: "createReadOnlySubmitForm"
+            },
+            {
+              label: "Form with Error Summary",
+              id: "errorSummary",
+              method: "createErrorSummaryForm"
+            },
             {
               label: "Wizard",
               id: "wizard",
@@ -500,6 +630,723 @@ qx.Class.define("qxl.dialog.demo.Application",
           });
         },
 
+        /**
+         * Shows a form for demonstrating a feature and logs the result
+         * @param caption {String} The caption of the form
+         * @param button {qx.ui.form.Button} The button which owns the form
+         * @param message {String} The message of the form
+         * @param formData {Map} The form data
+         * @param properties {Map?} Further properties of the form
+         * @return {Promise} Resolves to the result of the form, or to
+         *   undefined if it was cancelled. The form is owned by the button
+         *   with the id "dialog".
+         */
+        _createFeatureForm: function (caption, button, message, formData, properties) {
+          let form = new qxl.dialog.Form(Object.assign({
+            caption: caption,
+            message: message,
+            formData: formData,
+            allowCancel: true,
+            labelColumnWidth: 150
+          }, properties || {}));
+          this._replaceOwnedObject(button, form, "dialog");
+          form.show();
+          return form.promise()
+            .then(result => {
+              if (result) {
+                this.debug(qx.util.Serializer.toJson(result));
+              }
+              return result;
+            });
+        },
+
+        createConditionsForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Fields depend on the values of other fields", {
+            "domain": {
+              "type": "SelectBox",
+              "label": "Domain",
+              "value": 1,
+              "options": [
+                {"label": "Company", "value": 0},
+                {"label": "Home", "value": 1}
+              ]
+            },
+            "company": {
+              "type": "TextField",
+              "label": "Company name",
+              "visibleWhen": {"domain": 0},
+              "validation": {
+                "required": true
+              }
+            },
+            "newsletter": {
+              "type": "CheckBox",
+              "label": "Send me the newsletter",
+              "value": false
+            },
+            "email": {
+              "type": "TextField",
+              "label": "E-Mail",
+              "enabledWhen": {"newsletter": true},
+              "requiredWhen": {"newsletter": true}
+            }
+          });
+        },
+
+        createAsyncValidationForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "'admin' and 'root' are taken", {
+            "username": {
+              "type": "TextField",
+              "label": "User Name",
+              "validation": {
+                "required": true,
+                // simulates asking a server
+                "asyncValidator": function (value) {
+                  return new Promise(resolve => {
+                    qx.event.Timer.once(function () {
+                      resolve(["admin", "root"].includes(value) ?
+                        "This user name is already taken" : true);
+                    }, this, 500);
+                  });
+                }
+              }
+            }
+          });
+        },
+
+        createCrossValidationForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Rules which involve several fields", {
+            "password": {
+              "type": "PasswordField",
+              "label": "Password",
+              "validation": {
+                "required": true
+              }
+            },
+            "password2": {
+              "type": "PasswordField",
+              "label": "Repeat password",
+              "validation": {
+                "required": true
+              }
+            },
+            "minPrice": {
+              "type": "NumberField",
+              "label": "Minimum price"
+            },
+            "maxPrice": {
+              "type": "NumberField",
+              "label": "Maximum price"
+            }
+          }, {
+            crossValidation: [
+              {
+                type: "equals",
+                fields: ["password", "password2"],
+                markFields: ["password2"],
+                message: "The passwords do not match"
+              },
+              {
+                type: "lessThan",
+                fields: ["minPrice", "maxPrice"],
+                message: "The minimum must be less than the maximum"
+              }
+            ]
+          });
+        },
+
+        createGroupForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "The address is returned as a nested object", {
+            "name": {
+              "type": "TextField",
+              "label": "Name"
+            },
+            "address": {
+              "type": "Group",
+              "label": "Address",
+              "value": {"city": "Berlin"},
+              "fields": {
+                "street": {
+                  "type": "TextField",
+                  "label": "Street",
+                  "validation": {
+                    "required": true
+                  }
+                },
+                "city": {
+                  "type": "TextField",
+                  "label": "City"
+                }
+              }
+            }
+          })
+            .then(result => {
+              if (result) {
+                let dlg = qxl.dialog.Dialog
+                  .alert("The street is " + result.address.street)
+                  .set({caption: caption + " 2"});
+                this._replaceOwnedObject(button, dlg, "dialog2");
+              }
+            });
+        },
+
+        createRepeaterForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Enter up to three phone numbers", {
+            "phones": {
+              "type": "Repeater",
+              "label": "Phone numbers",
+              "min": 1,
+              "max": 3,
+              "fields": {
+                "kind": {
+                  "type": "SelectBox",
+                  "label": "Kind",
+                  "options": [
+                    {"label": "Mobile", "value": "mobile"},
+                    {"label": "Home", "value": "home"},
+                    {"label": "Work", "value": "work"}
+                  ]
+                },
+                "number": {
+                  "type": "TextField",
+                  "label": "Number",
+                  "validation": {
+                    "required": true
+                  }
+                }
+              }
+            }
+          }, {
+            width: 450
+          });
+        },
+
+        createIncrementalUpdateForm: function (caption, button) {
+          // the fields are added and removed without rebuilding the form
+          let toggleComment = e => {
+            let form = button.getQxObject("dialog");
+            if (e.getData()) {
+              form.addField("comment", {
+                "type": "TextArea",
+                "label": "Comment",
+                "lines": 3
+              });
+            } else {
+              form.removeField("comment");
+            }
+          };
+          this._createFeatureForm(caption, button, "Fields are added and removed while you type", {
+            "name": {
+              "type": "TextField",
+              "label": "Name"
+            },
+            "withComment": {
+              "type": "CheckBox",
+              "label": "Add a comment",
+              "value": false,
+              "events": {
+                "changeValue": toggleComment
+              }
+            }
+          });
+          // the binding follows the model, which is replaced when fields are
+          // added or removed
+          let form = button.getQxObject("dialog");
+          form.bind("model.name", form, "caption", {
+            converter: name => name ? "Feedback from " + name : caption
+          });
+        },
+
+        createAsyncOptionsForm: function (caption, button) {
+          let regions = {
+            "de": ["Bavaria", "Berlin", "Saxony"],
+            "fr": ["Brittany", "Normandy", "Provence"]
+          };
+          this._createFeatureForm(caption, button, "The regions are loaded when a country is selected", {
+            "country": {
+              "type": "SelectBox",
+              "label": "Country",
+              "value": "de",
+              "options": [
+                {"label": "Germany", "value": "de"},
+                {"label": "France", "value": "fr"}
+              ]
+            },
+            "region": {
+              "type": "SelectBox",
+              "label": "Region",
+              "optionsDependOn": ["country"],
+              // simulates loading the options from a server
+              "options": function (data) {
+                return new Promise(resolve => {
+                  qx.event.Timer.once(function () {
+                    resolve((regions[data.country] || []).map(label => ({label: label})));
+                  }, this, 500);
+                });
+              }
+            }
+          });
+        },
+
+        createSearchSelectForm: function (caption, button) {
+          let customers = [];
+          for (let i = 1; i <= 1000; i++) {
+            customers.push({
+              "label": "Customer " + String(i).padStart(4, "0"),
+              "value": i,
+              "group": i % 10 === 0 ? "Archived" : "Active"
+            });
+          }
+          this._createFeatureForm(caption, button, "Type to search among 1000 customers", {
+            "customer": {
+              "type": "SearchSelect",
+              "label": "Customer",
+              "options": customers,
+              "validation": {
+                "required": true
+              }
+            }
+          });
+        },
+
+        createTokenFieldForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Type a keyword and press Enter or a comma", {
+            "keywords": {
+              "type": "TokenField",
+              "label": "Keywords",
+              "max": 5,
+              "value": ["qooxdoo"],
+              "suggestions": ["qooxdoo", "javascript", "dialog", "forms", "widgets"]
+            }
+          });
+        },
+
+        createFileForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Choose or drop images and PDF files of up to 1 MB", {
+            "attachments": {
+              "type": "File",
+              "label": "Attachments",
+              "multiple": true,
+              "accept": ".pdf,image/*",
+              "maxSize": 1024 * 1024,
+              "readAs": "base64",
+              "validation": {
+                "required": true
+              }
+            }
+          });
+        },
+
+        createSliderForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Move the knobs with the pointer or the arrow keys", {
+            "volume": {
+              "type": "Slider",
+              "label": "Volume",
+              "min": 0,
+              "max": 10,
+              "ticks": true,
+              "value": 5
+            },
+            "price": {
+              "type": "RangeSlider",
+              "label": "Price",
+              "min": 0,
+              "max": 500,
+              "step": 10,
+              "ticks": 50,
+              "value": {
+                "min": 100,
+                "max": 300
+              }
+            }
+          });
+        },
+
+        createDateTimeForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Times, dates with times and date ranges", {
+            "opening": {
+              "type": "TimeField",
+              "label": "Opens at",
+              "minuteStep": 15,
+              "min": "06:00",
+              "max": "12:00",
+              "value": "09:00"
+            },
+            "appointment": {
+              "type": "DateTimeField",
+              "label": "Appointment",
+              "use12Hours": true,
+              "minuteStep": 15,
+              "isoString": "utc"
+            },
+            "vacation": {
+              "type": "DateRange",
+              "label": "Vacation",
+              "isoString": "local",
+              "value": {
+                "start": "2020-07-01",
+                "end": "2020-07-14"
+              }
+            }
+          });
+        },
+
+        createCheckBoxGroupForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Choose two or three toppings", {
+            "toppings": {
+              "type": "CheckBoxGroup",
+              "label": "Toppings",
+              "min": 2,
+              "max": 3,
+              "value": ["cheese"],
+              "options": [
+                {"label": "Cheese", "value": "cheese"},
+                {"label": "Mushrooms", "value": "mushrooms"},
+                {"label": "Olives", "value": "olives"},
+                {"label": "Peppers", "value": "peppers"},
+                {"label": "Onions", "value": "onions"}
+              ]
+            }
+          });
+        },
+
+        createDualListForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Choose the columns of the table and their order", {
+            "columns": {
+              "type": "DualList",
+              "label": "Columns",
+              "min": 2,
+              "listHeight": 150,
+              "value": ["name", "email"],
+              "options": [
+                {"label": "Name", "value": "name"},
+                {"label": "E-Mail", "value": "email"},
+                {"label": "Phone", "value": "phone"},
+                {"label": "Street", "value": "street"},
+                {"label": "City", "value": "city"},
+                {"label": "Country", "value": "country"}
+              ]
+            }
+          });
+        },
+
+        createMaskedForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Input masks and formatted numbers", {
+            "phone": {
+              "type": "MaskedField",
+              "label": "Phone",
+              "mask": "+99 (999) 999-9999"
+            },
+            "iban": {
+              "type": "MaskedField",
+              "label": "IBAN",
+              "mask": "AA99 **** **** **** **** **",
+              "returnRaw": true
+            },
+            "quantity": {
+              "type": "NumberField",
+              "label": "Quantity",
+              "fractionsDigits": {"min": 0, "max": 0},
+              "value": 1000
+            },
+            "price": {
+              "type": "CurrencyField",
+              "label": "Price",
+              "currency": "USD",
+              "min": 0
+            }
+          });
+        },
+
+        createPasswordForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Choose a strong password and repeat it", {
+            "password": {
+              "type": "PasswordField",
+              "label": "Password",
+              "showToggle": true,
+              "capsLockWarning": true,
+              "confirm": true,
+              "strength": {
+                "minLength": 10,
+                "minScore": 3
+              }
+            }
+          });
+        },
+
+        createReadOnlyForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "The fields only show their values", {
+            "customerId": {
+              "type": "TextField",
+              "label": "Customer number",
+              "value": "C-0815"
+            },
+            "domain": {
+              "type": "SelectBox",
+              "label": "Domain",
+              "value": 0,
+              "options": [
+                {"label": "Company", "value": 0},
+                {"label": "Home", "value": 1}
+              ]
+            },
+            "newsletter": {
+              "type": "CheckBox",
+              "label": "Newsletter",
+              "value": true
+            },
+            "password": {
+              "type": "PasswordField",
+              "label": "Password",
+              "value": "secret"
+            }
+          }, {
+            readOnly: true
+          });
+        },
+
+        createDirtyForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Cancelling asks for confirmation if a field has been changed", {
+            "name": {
+              "type": "TextField",
+              "label": "Name",
+              "value": "Jane Doe"
+            },
+            "email": {
+              "type": "TextField",
+              "label": "E-Mail",
+              "value": "jane@example.com"
+            }
+          }, {
+            confirmDiscard: true
+          });
+        },
+
+        createDraftForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Your input is kept until you submit it", {
+            "subject": {
+              "type": "TextField",
+              "label": "Subject"
+            },
+            "message": {
+              "type": "TextArea",
+              "label": "Message",
+              "lines": 4
+            }
+          }, {
+            persistKey: "qxl.dialog.demo.message",
+            persistInterval: 1000
+          });
+        },
+
+        createJsonSchemaForm: function (caption, button) {
+          let formData = qxl.dialog.FormSchema.fromJsonSchema({
+            "type": "object",
+            "required": ["name", "email"],
+            "properties": {
+              "name": {"type": "string", "title": "Name", "maxLength": 50},
+              "email": {"type": "string", "title": "E-Mail", "format": "email"},
+              "age": {"type": "integer", "title": "Age", "minimum": 18},
+              "country": {"type": "string", "title": "Country", "enum": ["Germany", "France", "Italy"]},
+              "birthday": {"type": "string", "title": "Birthday", "format": "date"},
+              "newsletter": {"type": "boolean", "title": "Newsletter", "default": true}
+            }
+          }, {
+            "name": {"placeholder": "First and last name"}
+          });
+          this._createFeatureForm(caption, button, "A form created from a JSON Schema", formData);
+        },
+
+        createJsonSchemaExportForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Submit the form to see its JSON Schema", {
+            "name": {
+              "type": "TextField",
+              "label": "Name",
+              "validation": {
+                "required": true
+              }
+            },
+            "quantity": {
+              "type": "Spinner",
+              "label": "Quantity",
+              "value": 1,
+              "properties": {
+                "minimum": 1,
+                "maximum": 20
+              }
+            },
+            "domain": {
+              "type": "SelectBox",
+              "label": "Domain",
+              "value": 1,
+              "options": [
+                {"label": "Company", "value": 0},
+                {"label": "Home", "value": 1}
+              ]
+            },
+            "company": {
+              "type": "TextField",
+              "label": "Company name",
+              "visibleWhen": {"domain": 0},
+              "validation": {
+                "required": true
+              }
+            },
+            "discount": {
+              "type": "TextField",
+              "label": "Discount code",
+              "visibleWhen": "quantity > 10",
+              "validation": {
+                "required": true
+              }
+            }
+          })
+            .then(result => {
+              if (!result) {
+                return;
+              }
+              let schema = button.getQxObject("dialog").toJsonSchema();
+              let dlg = qxl.dialog.Dialog.alert(
+                "<pre>" + qx.bom.String.escape(JSON.stringify(schema, null, 2)) + "</pre>");
+              this._replaceOwnedObject(button, dlg, "schema");
+            });
+        },
+
+        createExpressionsForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Conditions, validators and event handlers given as expressions", {
+            "quantity": {
+              "type": "Spinner",
+              "label": "Quantity",
+              "value": 1,
+              "validation": {
+                "validator": "=value > 0 && value <= 10",
+                "errorMessage": "Only 10 in stock"
+              },
+              "events": {
+                "changeValue": "set('total', round(value * 12.5, 2))"
+              }
+            },
+            "total": {
+              "type": "NumberField",
+              "label": "Total",
+              "value": 12.5
+            },
+            "country": {
+              "type": "SelectBox",
+              "label": "Country",
+              "value": "FR",
+              "options": [
+                {"label": "France", "value": "FR"},
+                {"label": "Germany", "value": "DE"}
+              ]
+            },
+            "express": {
+              "type": "CheckBox",
+              "label": "Express delivery",
+              "visibleWhen": "country == 'DE' && total >= 50"
+            }
+          });
+        },
+
+        createComputedForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "The total is computed from the quantity and the price", {
+            "quantity": {
+              "type": "Spinner",
+              "label": "Quantity",
+              "value": 1
+            },
+            "price": {
+              "type": "NumberField",
+              "label": "Price",
+              "value": 2.5
+            },
+            "total": {
+              "type": "NumberField",
+              "label": "Total",
+              "compute": "round(quantity * price, 2)",
+              "readOnly": false
+            },
+            "summary": {
+              "type": "TextField",
+              "label": "Summary",
+              "compute": data => data.quantity + " pieces at " + data.price,
+              "excludeFromResult": true
+            }
+          });
+        },
+
+        createSubmitForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "The name 'admin' is taken, and 'offline' makes the server fail", {
+            "username": {
+              "type": "TextField",
+              "label": "User Name",
+              "validation": {
+                "required": true
+              }
+            },
+            "email": {
+              "type": "TextField",
+              "label": "E-Mail"
+            }
+          }, {
+            // simulates a server which checks the data
+            submitFunction: data => new Promise((resolve, reject) => {
+              qx.event.Timer.once(() => {
+                if (data.username === "admin") {
+                  reject({username: "This name is already taken"});
+                } else if (data.username === "offline") {
+                  reject(new Error("The server is not available"));
+                } else {
+                  resolve();
+                }
+              }, this, 500);
+            })
+          });
+        },
+
+        createReadOnlySubmitForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Closing the read-only form submits nothing", {
+            "username": {
+              "type": "TextField",
+              "label": "User Name",
+              "value": "jane"
+            }
+          }, {
+            readOnly: true,
+            submitFunction: data => {
+              let dlg = qxl.dialog.Dialog.alert("The record has been submitted");
+              this._replaceOwnedObject(button, dlg, "submitted");
+              return Promise.resolve();
+            }
+          });
+        },
+
+        createErrorSummaryForm: function (caption, button) {
+          this._createFeatureForm(caption, button, "Press OK to see what is missing", {
+            "name": {
+              "type": "TextField",
+              "label": "Name",
+              "validation": {
+                "required": true
+              }
+            },
+            "size": {
+              "type": "RadioGroup",
+              "label": "Size",
+              "options": [
+                {"label": "Small", "value": "s"},
+                {"label": "Large", "value": "l"}
+              ],
+              "validation": {
+                "required": true
+              }
+            }
+          }, {
+            showErrorSummary: true,
+            focusFirstInvalid: true
+          });
+        },
+
         createWizard: function (caption) {
           /*
            * wizard widget
@@ -34,6 +34,11 @@ qx.Class.define("qxl.dialog.formElement.CheckBox",
 
       addToFormController : function(fieldType, fieldData, key, formElement) {
         this._formController.addTarget(formElement, "value", key, true, null);
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        return this._formatValue(Boolean(value), null) + " " +
+          qx.bom.String.escape(String(fieldData.label || ""));
       }
     }
   }
@@ -0,0 +1,338 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A group of check boxes for choosing several options, with buttons to
+ * select all or none of them. The options have the same format as those
+ * of a RadioGroup, i.e. maps with the members `label` and `value` (which
+ * defaults to the label). The value is the array of the values of the
+ * checked options, in the order of the options.
+ *
+ * In form data, a field of type "CheckBoxGroup" may have the `orientation`
+ * "horizontal" like a RadioGroup. The buttons to select all or none of the
+ * options are shown unless `showSelectAll` is false, and `min` and `max`
+ * limit the number of checked options.
+ * <pre>
+ *   "toppings" : {
+ *     'type'    : "CheckBoxGroup",
+ *     'label'   : "Toppings",
+ *     'max'     : 3,
+ *     'value'   : [ "cheese" ],
+ *     'options' : [
+ *       { 'label' : "Cheese",    'value' : "cheese" },
+ *       { 'label' : "Mushrooms", 'value' : "mushrooms" },
+ *       { 'label' : "Olives",    'value' : "olives" }
+ *     ]
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.CheckBoxGroup",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IArrayForm ],
+  include : [ qx.ui.form.MForm ],
+
+  /**
+   * Constructor
+   * @param options {Array?} The options
+   */
+  construct : function(options) {
+    this.base(arguments);
+    this.__checkBoxes = [];
+    this._setLayout(new qx.ui.layout.VBox(4));
+    this._applyOrientation(this.getOrientation());
+    this.getChildControl("helpers");
+    if (options) {
+      this.setOptions(options);
+    }
+  },
+
+  properties :
+  {
+    /**
+     * The values of the checked options
+     */
+    value :
+    {
+      check : "Array",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * Whether the check boxes are arranged vertically or horizontally
+     */
+    orientation :
+    {
+      check : [ "vertical", "horizontal" ],
+      init : "vertical",
+      apply : "_applyOrientation"
+    },
+
+    /**
+     * Whether the buttons to select all or none of the options are shown
+     */
+    showSelectAll :
+    {
+      check : "Boolean",
+      init : true,
+      apply : "_applyShowSelectAll"
+    },
+
+    /**
+     * The minimum number of options to check, or null
+     */
+    minSelected :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The maximum number of options to check, or null
+     */
+    maxSelected :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "checkboxgroup", this._registration);
+    },
+
+    /**
+     * Creates a validator for a form element whose value is the array of
+     * the selected options, such as a check box group or a dual list. It
+     * checks whether a required element has a selected option and whether
+     * the number of selected options lies between `minSelected` and
+     * `maxSelected`, before calling the validator of the field data.
+     * @param form {qxl.dialog.MForm} The form
+     * @param formElement {qx.ui.form.IForm} The form element, which must
+     *   have the properties `minSelected` and `maxSelected`
+     * @param validator {Function|null} The validator of the field data
+     * @return {Function} The validator
+     */
+    createSelectionValidator : function(form, formElement, validator) {
+      return function(value, item) {
+        let count = (formElement.getValue() || []).length;
+        form._validateRequiredItems(formElement, formElement.getValue());
+        let min = formElement.getMinSelected();
+        if (min !== null && count > 0 && count < min) {
+          throw new qx.core.ValidationError("Validation Error",
+            formElement.trn("Please select at least one option.",
+              "Please select at least %1 options.", min, min));
+        }
+        let max = formElement.getMaxSelected();
+        if (max !== null && count > max) {
+          throw new qx.core.ValidationError("Validation Error",
+            formElement.trn("Please select at most one option.",
+              "Please select at most %1 options.", max, max));
+        }
+        if (validator) {
+          return validator.call(this, value, item);
+        }
+        return true;
+      };
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.CheckBoxGroup(fieldData.options);
+        if (fieldData.orientation) {
+          formElement.setUserData("orientation", fieldData.orientation);
+        }
+        if (fieldData.showSelectAll !== undefined) {
+          formElement.setShowSelectAll(Boolean(fieldData.showSelectAll));
+        }
+        if (typeof fieldData.min == "number") {
+          formElement.setMinSelected(fieldData.min);
+        }
+        if (typeof fieldData.max == "number") {
+          formElement.setMaxSelected(fieldData.max);
+        }
+        return formElement;
+      },
+
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        formElement.setOptions(options);
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the initial value has been marshaled into a qx.data.Array
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            return value || [];
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            return value;
+          }.bind(this)
+        });
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return qxl.dialog.formElement.CheckBoxGroup.createSelectionValidator(
+          this, formElement, validator);
+      }
+    }
+  },
+
+  members :
+  {
+    __checkBoxes : null,
+    __updating : false,
+
+    /**
+     * Sets the options. The values of the checked options which are still
+     * options are kept.
+     * @param options {Array} Array of maps with `label` and `value`
+     */
+    setOptions : function(options) {
+      let container = this.getChildControl("container");
+      this.__checkBoxes.forEach(function(checkBox) {
+        container.remove(checkBox);
+        checkBox.destroy();
+      });
+      this.__checkBoxes = options.map(function(option) {
+        let checkBox = new qx.ui.form.CheckBox(option.label);
+        checkBox.setUserData("value",
+          option.value !== undefined ? option.value : option.label);
+        checkBox.addListener("changeValue", this.__onCheckBoxChange, this);
+        container.add(checkBox);
+        return checkBox;
+      }, this);
+      this._applyValue(this.getValue(), null);
+      this.__onCheckBoxChange();
+    },
+
+    /**
+     * Checks all options
+     */
+    selectAll : function() {
+      this.setValue(this.__checkBoxes.map(function(checkBox) {
+        return checkBox.getUserData("value");
+      }));
+    },
+
+    /**
+     * Unchecks all options
+     */
+    selectNone : function() {
+      this.setValue([]);
+    },
+
+    // overridden
+    focus : function() {
+      if (this.__checkBoxes.length) {
+        this.__checkBoxes[0].focus();
+      }
+    },
+
+    // overridden
+    tabFocus : function() {
+      if (this.__checkBoxes.length) {
+        this.__checkBoxes[0].tabFocus();
+      }
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "container":
+        control = new qx.ui.container.Composite();
+        this._addAt(control, 0);
+        break;
+
+      case "helpers":
+        control = new qx.ui.container.Composite(new qx.ui.layout.HBox(8));
+        control.add(this.getChildControl("select-all"));
+        control.add(this.getChildControl("select-none"));
+        this._add(control);
+        break;
+
+      case "select-all":
+      case "select-none":
+        control = new qx.ui.form.Button(
+          id === "select-all" ? this.tr("Select all") : this.tr("Select none"));
+        control.set({
+          appearance : "tool-button",
+          padding : [0, 4]
+        });
+        control.addListener("execute",
+          id === "select-all" ? this.selectAll : this.selectNone, this);
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__updating = true;
+      this.__checkBoxes.forEach(function(checkBox) {
+        checkBox.setValue((value || []).indexOf(checkBox.getUserData("value")) !== -1);
+      });
+      this.__updating = false;
+    },
+
+    // property apply
+    _applyOrientation : function(value, old) {
+      this.getChildControl("container").setLayout(value === "horizontal" ?
+        new qx.ui.layout.Flow(8, 4) : new qx.ui.layout.VBox(5));
+    },
+
+    // property apply
+    _applyShowSelectAll : function(value, old) {
+      this.getChildControl("helpers").setVisibility(value ? "visible" : "excluded");
+    },
+
+    /**
+     * Updates the value when a check box is checked or unchecked
+     */
+    __onCheckBoxChange : function() {
+      if (this.__updating) {
+        return;
+      }
+      let value = this.__checkBoxes.filter(function(checkBox) {
+        return checkBox.getValue();
+      }).map(function(checkBox) {
+        return checkBox.getUserData("value");
+      });
+      let old = this.getValue() || [];
+      if (value.length !== old.length || value.some(function(item, index) {
+        return item !== old[index];
+      })) {
+        this.setValue(value);
+      }
+    }
+  }
+});
@@ -36,6 +36,17 @@ qx.Class.define("qxl.dialog.formElement.ComboBox",
         return formElement;
       },
 
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        // the value of a combo box is not restricted to its options
+        formElement.removeAll().forEach(function(listItem) {
+          listItem.destroy();
+        });
+        options.forEach(function (item) {
+          let listItem = new qx.ui.form.ListItem(item.label, item.icon);
+          formElement.add(listItem);
+        });
+      },
+
       addToFormController : function(fieldType, fieldData, key, formElement) {
         this._formController.addTarget(formElement, "value", key, true, null, {
           converter: function (value) {
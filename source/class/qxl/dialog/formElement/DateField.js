@@ -18,6 +18,15 @@
 ************************************************************************ */
 
 /**
+ * The handlers of fields of type "DateField", and the conversion of dates
+ * which it shares with the other date fields.
+ *
+ * The values of date fields are `Date` objects, unless the `isoString`
+ * member of the field data is "local" or "utc": the values are then ISO
+ * 8601 strings, which can be sent as JSON directly, either in local time
+ * ("2020-05-31" for dates, "2020-05-31T14:30:00+02:00" for date-times) or
+ * in UTC ("2020-05-31T12:30:00.000Z").
+ *
  * @asset(qx/icon/*)
 */
 qx.Class.define("qxl.dialog.formElement.DateField",
@@ -29,6 +38,81 @@ qx.Class.define("qxl.dialog.formElement.DateField",
         "datefield", this._registration);
     },
 
+    /**
+     * Converts a date to an ISO 8601 string
+     * @param date {Date|null} The date
+     * @param mode {String} "local" for the local time with its offset to
+     *   UTC, or "utc" for UTC
+     * @param dateOnly {Boolean} Whether only the calendar date is converted
+     *   in "local" mode, e.g. "2020-05-31"
+     * @return {String|null} The ISO string
+     */
+    toIsoString : function(date, mode, dateOnly) {
+      if (!(date instanceof Date) || isNaN(date.getTime())) {
+        return null;
+      }
+      let pad = function(number) {
+        return (number < 10 ? "0" : "") + number;
+      };
+      let isoDate = date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" +
+        pad(date.getDate());
+      if (mode === "utc") {
+        return date.toISOString();
+      }
+      if (dateOnly) {
+        return isoDate;
+      }
+      let offset = -date.getTimezoneOffset();
+      return isoDate + "T" + pad(date.getHours()) + ":" + pad(date.getMinutes()) +
+        ":" + pad(date.getSeconds()) + (offset < 0 ? "-" : "+") +
+        pad(Math.floor(Math.abs(offset) / 60)) + ":" + pad(Math.abs(offset) % 60);
+    },
+
+    /**
+     * Converts an ISO 8601 string to a date. Calendar dates such as
+     * "2020-05-31" are taken as local dates.
+     * @param value {String|Date|null} The ISO string, or a date
+     * @return {Date|null} The date
+     */
+    fromIsoString : function(value) {
+      if (value instanceof Date || value === null || value === undefined) {
+        return value || null;
+      }
+      let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+      let date = match ?
+        new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) :
+        new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Returns the converters of a form controller binding which store a
+     * date as an ISO 8601 string in the model, if the `isoString` member of
+     * the field data ("local" or "utc") requires it
+     * @param fieldData {Map} The field data
+     * @param dateOnly {Boolean} Whether the value is a calendar date
+     * @return {Map|null} Map with the `options` and `reverseOptions` of the
+     *   binding, or null if dates are stored as `Date` objects
+     */
+    getIsoConverters : function(fieldData, dateOnly) {
+      let mode = fieldData.isoString;
+      if (mode !== "local" && mode !== "utc") {
+        return null;
+      }
+      return {
+        options : {
+          converter : function(value) {
+            return qxl.dialog.formElement.DateField.fromIsoString(value);
+          }
+        },
+        reverseOptions : {
+          converter : function(value) {
+            return qxl.dialog.formElement.DateField.toIsoString(value, mode, dateOnly);
+          }
+        }
+      };
+    },
+
     _registration : {
       initElement : function(fieldType, fieldData, key) {
         let formElement = new qx.ui.form.DateField();
@@ -39,12 +123,21 @@ qx.Class.define("qxl.dialog.formElement.DateField",
       },
 
       addToFormController : function(fieldType, fieldData, key, formElement) {
-        this._formController.addTarget(formElement, "value", key, true, null, {
-          converter: function (value) {
-            this._form.getValidationManager().validate();
-            return value;
-          }.bind(this)
-        });
+        let iso = qxl.dialog.formElement.DateField.getIsoConverters(fieldData, true);
+        this._formController.addTarget(formElement, "value", key, true,
+          iso ? iso.options : null, {
+            converter: function (value) {
+              this._form.getValidationManager().validate();
+              return iso ? iso.reverseOptions.converter(value) : value;
+            }.bind(this)
+          });
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        // the text field shows the date in the format of the field
+        return value ?
+          qx.bom.String.escape(formElement.getChildControl("textfield").getValue() || "") :
+          this._formatValue(null, null);
       }
     }
   }
@@ -0,0 +1,270 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for entering a range of dates with two date fields. The
+ * value is a map with the members `start` and `end`, which are `Date`
+ * objects or null.
+ *
+ * In form data, `min` and `max` bound both dates, and `isoString` works as
+ * described for the {@link qxl.dialog.formElement.DateField}.
+ * <pre>
+ *   "vacation" : {
+ *     'type'      : "DateRange",
+ *     'label'     : "Vacation",
+ *     'isoString' : "local",
+ *     'value'     : { 'start' : "2020-07-01", 'end' : "2020-07-14" }
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.DateRange",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IField ],
+  include : [ qx.ui.form.MForm ],
+
+  construct : function() {
+    this.base(arguments);
+    this._setLayout(new qx.ui.layout.HBox(4).set({
+      alignY : "middle"
+    }));
+    this.getChildControl("start");
+    this.getChildControl("separator");
+    this.getChildControl("end");
+  },
+
+  properties :
+  {
+    /**
+     * The range, as a map with `start` and `end`, or null
+     */
+    value :
+    {
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The format of the dates, or null for the default format of the date
+     * fields
+     */
+    dateFormat :
+    {
+      check : "qx.util.format.DateFormat",
+      nullable : true,
+      init : null,
+      apply : "_applyDateFormat"
+    },
+
+    /**
+     * The earliest valid date, or null
+     */
+    minimum :
+    {
+      check : "Date",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The latest valid date, or null
+     */
+    maximum :
+    {
+      check : "Date",
+      nullable : true,
+      init : null
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "daterange", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.DateRange();
+        let fromIsoString = qxl.dialog.formElement.DateField.fromIsoString;
+        formElement.set({
+          dateFormat : fieldData.dateFormat || null,
+          minimum : fromIsoString(fieldData.min),
+          maximum : fromIsoString(fieldData.max)
+        });
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        let iso = qxl.dialog.formElement.DateField.getIsoConverters(fieldData, true);
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the initial range has been marshaled into a model object
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            if (!value) {
+              return null;
+            }
+            return {
+              start : iso ? iso.options.converter(value.start) : value.start || null,
+              end : iso ? iso.options.converter(value.end) : value.end || null
+            };
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            if (!value || !iso) {
+              return value;
+            }
+            return {
+              start : iso.reverseOptions.converter(value.start),
+              end : iso.reverseOptions.converter(value.end)
+            };
+          }.bind(this)
+        });
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        let format = function(id) {
+          let text = formElement.getChildControl(id).getChildControl("textfield").getValue();
+          return text ? qx.bom.String.escape(text) : "&hellip;";
+        };
+        if (!formElement.getValue()) {
+          return this._formatValue(null, null);
+        }
+        return format("start") + " &ndash; " + format("end");
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        let manager = this._form.getValidationManager();
+        return function(value, item) {
+          let range = formElement.getValue();
+          // the validation manager regards a map as a value
+          if (formElement.getRequired() && (!range || !range.start || !range.end)) {
+            throw new qx.core.ValidationError("Validation Error",
+              formElement.getRequiredInvalidMessage() ||
+              manager.getRequiredFieldMessage());
+          }
+          formElement.validateBounds();
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
+      }
+    }
+  },
+
+  members :
+  {
+    __updating : false,
+
+    // overridden
+    focus : function() {
+      this.getChildControl("start").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("start").tabFocus();
+    },
+
+    /**
+     * Checks whether the end of the range is not before its start, and
+     * whether both lie between the minimum and the maximum
+     * @throws {qx.core.ValidationError} If they do not
+     */
+    validateBounds : function() {
+      let range = this.getValue() || {};
+      let dates = [ range.start, range.end ].filter(Boolean);
+      let format = qx.util.format.DateFormat.getDateInstance();
+      if (range.start && range.end && range.end < range.start) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The end date must not be before the start date."));
+      }
+      let minimum = this.getMinimum();
+      if (minimum && dates.some(function(date) {
+        return date < minimum;
+      })) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The date must not be earlier than %1.", format.format(minimum)));
+      }
+      let maximum = this.getMaximum();
+      if (maximum && dates.some(function(date) {
+        return date > maximum;
+      })) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The date must not be later than %1.", format.format(maximum)));
+      }
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "start":
+      case "end":
+        control = new qx.ui.form.DateField();
+        control.setPlaceholder(id === "start" ? this.tr("Start") : this.tr("End"));
+        control.addListener("changeValue", this.__onPartChange, this);
+        this._add(control, { flex : 1 });
+        break;
+
+      case "separator":
+        control = new qx.ui.basic.Label("–");
+        this._add(control);
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__updating = true;
+      this.getChildControl("start").setValue(value && value.start || null);
+      this.getChildControl("end").setValue(value && value.end || null);
+      this.__updating = false;
+    },
+
+    // property apply
+    _applyDateFormat : function(value, old) {
+      if (value) {
+        this.getChildControl("start").setDateFormat(value);
+        this.getChildControl("end").setDateFormat(value);
+      }
+    },
+
+    /**
+     * Updates the value when one of the dates changes
+     * @param e {qx.event.type.Data} The change event
+     */
+    __onPartChange : function(e) {
+      if (this.__updating) {
+        return;
+      }
+      let start = this.getChildControl("start").getValue();
+      let end = this.getChildControl("end").getValue();
+      this.setValue(start || end ? { start : start, end : end } : null);
+    }
+  }
+});
@@ -0,0 +1,279 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for entering a date and a time of day, combining a date
+ * field with a {@link qxl.dialog.formElement.TimeField}. The value is a
+ * `Date`, or null.
+ *
+ * In form data, a field of type "DateTimeField" takes the members of a
+ * TimeField, with `min` and `max` given as dates, and `isoString` as
+ * described for the {@link qxl.dialog.formElement.DateField}.
+ * <pre>
+ *   "appointment" : {
+ *     'type'       : "DateTimeField",
+ *     'label'      : "Appointment",
+ *     'use12Hours' : true,
+ *     'minuteStep' : 15,
+ *     'min'        : new Date(),
+ *     'isoString'  : "utc"
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.DateTimeField",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IDateForm ],
+  include : [ qx.ui.form.MForm ],
+
+  construct : function() {
+    this.base(arguments);
+    this._setLayout(new qx.ui.layout.HBox(8));
+    this.getChildControl("date");
+    this.getChildControl("time");
+  },
+
+  properties :
+  {
+    /**
+     * The date and time, or null
+     */
+    value :
+    {
+      check : "Date",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The format of the date, or null for the default format of the date
+     * field
+     */
+    dateFormat :
+    {
+      check : "qx.util.format.DateFormat",
+      nullable : true,
+      init : null,
+      apply : "_applyDateFormat"
+    },
+
+    /**
+     * Whether the hours are shown from 1 to 12 with AM or PM
+     */
+    use12Hours :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyUse12Hours"
+    },
+
+    /**
+     * The step of the minutes spinner
+     */
+    minuteStep :
+    {
+      check : "Integer",
+      init : 1,
+      apply : "_applyMinuteStep"
+    },
+
+    /**
+     * The earliest valid date and time, or null
+     */
+    minimum :
+    {
+      check : "Date",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The latest valid date and time, or null
+     */
+    maximum :
+    {
+      check : "Date",
+      nullable : true,
+      init : null
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "datetimefield", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.DateTimeField();
+        if (fieldData.dateFormat) {
+          formElement.setDateFormat(fieldData.dateFormat);
+        }
+        // the bounds may be given as ISO 8601 strings
+        qxl.dialog.formElement.TimeField.applyFieldData(formElement, {
+          use12Hours : fieldData.use12Hours,
+          minuteStep : fieldData.minuteStep,
+          min : qxl.dialog.formElement.DateField.fromIsoString(fieldData.min),
+          max : qxl.dialog.formElement.DateField.fromIsoString(fieldData.max)
+        });
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        let iso = qxl.dialog.formElement.DateField.getIsoConverters(fieldData, false);
+        this._formController.addTarget(formElement, "value", key, true,
+          iso ? iso.options : null, {
+            converter: function (value) {
+              this._form.getValidationManager().validate();
+              return iso ? iso.reverseOptions.converter(value) : value;
+            }.bind(this)
+          });
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        if (!formElement.getValue()) {
+          return this._formatValue(null, null);
+        }
+        let date = formElement.getChildControl("date").getChildControl("textfield").getValue();
+        let time = formElement.getChildControl("time");
+        time = time.formatTime(time.getValue());
+        return qx.bom.String.escape(date + " " + time);
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return qxl.dialog.formElement.TimeField.createBoundsValidator(formElement, validator);
+      }
+    }
+  },
+
+  members :
+  {
+    __updating : false,
+
+    // overridden
+    focus : function() {
+      this.getChildControl("date").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("date").tabFocus();
+    },
+
+    /**
+     * Checks whether the date and time lie between the minimum and the
+     * maximum
+     * @throws {qx.core.ValidationError} If they do not
+     */
+    validateBounds : function() {
+      let value = this.getValue();
+      if (value === null) {
+        return;
+      }
+      let format = qx.util.format.DateFormat.getDateTimeInstance();
+      if (this.getMinimum() && value < this.getMinimum()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The date must not be earlier than %1.", format.format(this.getMinimum())));
+      }
+      if (this.getMaximum() && value > this.getMaximum()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The date must not be later than %1.", format.format(this.getMaximum())));
+      }
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "date":
+        control = new qx.ui.form.DateField();
+        control.addListener("changeValue", this.__onPartChange, this);
+        this._add(control, { flex : 1 });
+        break;
+
+      case "time":
+        control = new qxl.dialog.formElement.TimeField();
+        control.addListener("changeValue", this.__onPartChange, this);
+        this._add(control);
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__updating = true;
+      if (value === null) {
+        this.getChildControl("date").setValue(null);
+        this.getChildControl("time").setValue(null);
+      } else {
+        this.getChildControl("date").setValue(
+          new Date(value.getFullYear(), value.getMonth(), value.getDate()));
+        this.getChildControl("time").setValue(
+          qxl.dialog.formElement.TimeField.format(value.getHours(), value.getMinutes()));
+      }
+      this.__updating = false;
+    },
+
+    // property apply
+    _applyDateFormat : function(value, old) {
+      if (value) {
+        this.getChildControl("date").setDateFormat(value);
+      }
+    },
+
+    // property apply
+    _applyUse12Hours : function(value, old) {
+      this.getChildControl("time").setUse12Hours(value);
+    },
+
+    // property apply
+    _applyMinuteStep : function(value, old) {
+      this.getChildControl("time").setMinuteStep(value);
+    },
+
+    /**
+     * Updates the value when the date or the time changes. The time
+     * defaults to midnight.
+     * @param e {qx.event.type.Data} The change event
+     */
+    __onPartChange : function(e) {
+      if (this.__updating) {
+        return;
+      }
+      let date = this.getChildControl("date").getValue();
+      if (date === null) {
+        this.setValue(null);
+        return;
+      }
+      let time = qxl.dialog.formElement.TimeField.parse(
+        this.getChildControl("time").getValue()) || { hours : 0, minutes : 0 };
+      let value = new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+        time.hours, time.minutes);
+      let old = this.getValue();
+      if (old === null || old.getTime() !== value.getTime()) {
+        this.setValue(value);
+      }
+    }
+  }
+});
@@ -0,0 +1,515 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for choosing and ordering options by transferring them
+ * between a list of available and a list of selected options. Options are
+ * moved with the buttons between the lists or by double-clicking them; both
+ * lists can be searched, and the selected options can be reordered. The
+ * options are maps with the members `label` and `value` (which defaults to
+ * the label). The value is the ordered array of the selected values.
+ *
+ * In form data, `min` and `max` limit the number of selected options of a
+ * field of type "DualList", and `listHeight` sets the height of the lists.
+ * <pre>
+ *   "columns" : {
+ *     'type'    : "DualList",
+ *     'label'   : "Columns",
+ *     'min'     : 1,
+ *     'value'   : [ "name", "email" ],
+ *     'options' : [
+ *       { 'label' : "Name",   'value' : "name" },
+ *       { 'label' : "E-Mail", 'value' : "email" },
+ *       { 'label' : "Phone",  'value' : "phone" }
+ *     ]
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.DualList",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IArrayForm ],
+  include : [ qx.ui.form.MForm ],
+
+  /**
+   * Constructor
+   * @param options {Array?} The options
+   */
+  construct : function(options) {
+    this.base(arguments);
+    this.__options = [];
+    let layout = new qx.ui.layout.Grid(4, 4);
+    layout.setColumnFlex(0, 1);
+    layout.setColumnFlex(2, 1);
+    layout.setRowFlex(1, 1);
+    layout.setColumnAlign(1, "center", "middle");
+    layout.setColumnAlign(3, "center", "middle");
+    this._setLayout(layout);
+    [
+      "available-search", "available-list", "transfer-buttons",
+      "selected-search", "selected-list", "order-buttons"
+    ].forEach(function(id) {
+      this.getChildControl(id);
+    }, this);
+    this.setOptions(options || []);
+  },
+
+  properties :
+  {
+    /**
+     * The ordered values of the selected options
+     */
+    value :
+    {
+      check : "Array",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The height of the lists
+     */
+    listHeight :
+    {
+      check : "Integer",
+      init : 160,
+      apply : "_applyListHeight"
+    },
+
+    /**
+     * The minimum number of options to select, or null
+     */
+    minSelected :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The maximum number of options to select, or null
+     */
+    maxSelected :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "duallist", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.DualList(fieldData.options);
+        if (typeof fieldData.min == "number") {
+          formElement.setMinSelected(fieldData.min);
+        }
+        if (typeof fieldData.max == "number") {
+          formElement.setMaxSelected(fieldData.max);
+        }
+        if (fieldData.listHeight) {
+          formElement.setListHeight(fieldData.listHeight);
+        }
+        return formElement;
+      },
+
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        formElement.setOptions(options);
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the initial value has been marshaled into a qx.data.Array
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            return value || [];
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            return value;
+          }.bind(this)
+        });
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return qxl.dialog.formElement.CheckBoxGroup.createSelectionValidator(
+          this, formElement, validator);
+      }
+    }
+  },
+
+  members :
+  {
+    __options : null,
+
+    /**
+     * Sets the options. The selected values which are still options are
+     * kept.
+     * @param options {Array} Array of maps with `label` and `value`
+     */
+    setOptions : function(options) {
+      this.__options = options.map(function(option) {
+        return {
+          label : String(option.label),
+          value : option.value !== undefined ? option.value : option.label
+        };
+      });
+      let value = (this.getValue() || []).filter(function(item) {
+        return this.__findOption(item) !== null;
+      }, this);
+      if (value.length !== (this.getValue() || []).length) {
+        this.setValue(value);
+      } else {
+        this.__render();
+      }
+    },
+
+    /**
+     * Returns the options
+     * @return {Array} Array of maps with `label` and `value`
+     */
+    getOptions : function() {
+      return this.__options;
+    },
+
+    /**
+     * Moves options to the end of the selected list
+     * @param values {Array} The values of the options
+     */
+    select : function(values) {
+      let value = (this.getValue() || []).slice();
+      values.forEach(function(item) {
+        if (value.indexOf(item) === -1 && this.__findOption(item) !== null) {
+          value.push(item);
+        }
+      }, this);
+      this.__setValueAndSelection(value, "selected-list", values);
+    },
+
+    /**
+     * Moves options back to the available list
+     * @param values {Array} The values of the options
+     */
+    deselect : function(values) {
+      let value = (this.getValue() || []).filter(function(item) {
+        return values.indexOf(item) === -1;
+      });
+      this.__setValueAndSelection(value, "available-list", values);
+    },
+
+    /**
+     * Moves the options selected in the list of selected options up or down
+     * @param offset {Integer} -1 to move them up, 1 to move them down
+     */
+    moveSelection : function(offset) {
+      let values = this.__getListSelection("selected-list");
+      let value = (this.getValue() || []).slice();
+      // move the options next to the border first, which keeps adjacent
+      // options together
+      let indexes = values.map(function(item) {
+        return value.indexOf(item);
+      }).sort(function(a, b) {
+        return offset < 0 ? a - b : b - a;
+      });
+      indexes.forEach(function(index) {
+        let target = index + offset;
+        if (target < 0 || target >= value.length ||
+            values.indexOf(value[target]) !== -1) {
+          return;
+        }
+        let item = value[index];
+        value[index] = value[target];
+        value[target] = item;
+      });
+      this.__setValueAndSelection(value, "selected-list", values);
+    },
+
+    // overridden
+    focus : function() {
+      this.getChildControl("available-search").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("available-search").tabFocus();
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "available-search":
+      case "selected-search":
+        control = new qx.ui.form.TextField();
+        control.set({
+          liveUpdate : true,
+          placeholder : this.tr("Search")
+        });
+        control.addListener("changeValue", this.__render, this);
+        this._add(control, { row : 0, column : id === "available-search" ? 0 : 2 });
+        break;
+
+      case "available-list":
+      case "selected-list":
+        control = new qx.ui.form.List();
+        control.set({
+          selectionMode : "multi",
+          height : this.getListHeight(),
+          minWidth : 120
+        });
+        control.addListener("dblclick", id === "available-list" ?
+          this.__onSelectButton : this.__onDeselectButton, this);
+        control.addListener("changeSelection", this.__updateButtons, this);
+        this._add(control, { row : 1, column : id === "available-list" ? 0 : 2 });
+        break;
+
+      case "transfer-buttons":
+        control = new qx.ui.container.Composite(new qx.ui.layout.VBox(4));
+        control.add(this.getChildControl("select-button"));
+        control.add(this.getChildControl("select-all-button"));
+        control.add(this.getChildControl("deselect-button"));
+        control.add(this.getChildControl("deselect-all-button"));
+        this._add(control, { row : 1, column : 1 });
+        break;
+
+      case "order-buttons":
+        control = new qx.ui.container.Composite(new qx.ui.layout.VBox(4));
+        control.add(this.getChildControl("up-button"));
+        control.add(this.getChildControl("down-button"));
+        this._add(control, { row : 1, column : 3 });
+        break;
+
+      case "select-button":
+        control = this.__createButton("›", this.tr("Add the selected options"),
+          this.__onSelectButton);
+        break;
+
+      case "select-all-button":
+        control = this.__createButton("»", this.tr("Add all options"), function() {
+          this.select(this.__getListValues("available-list"));
+        });
+        break;
+
+      case "deselect-button":
+        control = this.__createButton("‹", this.tr("Remove the selected options"),
+          this.__onDeselectButton);
+        break;
+
+      case "deselect-all-button":
+        control = this.__createButton("«", this.tr("Remove all options"), function() {
+          this.deselect(this.__getListValues("selected-list"));
+        });
+        break;
+
+      case "up-button":
+        control = this.__createButton("▲", this.tr("Move up"), function() {
+          this.moveSelection(-1);
+        });
+        break;
+
+      case "down-button":
+        control = this.__createButton("▼", this.tr("Move down"), function() {
+          this.moveSelection(1);
+        });
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__render();
+    },
+
+    // property apply
+    _applyListHeight : function(value, old) {
+      this.getChildControl("available-list").setHeight(value);
+      this.getChildControl("selected-list").setHeight(value);
+    },
+
+    /**
+     * Creates a button
+     * @param label {String} The label
+     * @param toolTipText {String} The tooltip text
+     * @param handler {Function} The function to call when the button is
+     *   executed
+     * @return {qx.ui.form.Button} The button
+     */
+    __createButton : function(label, toolTipText, handler) {
+      let button = new qx.ui.form.Button(label);
+      button.set({
+        toolTipText : toolTipText,
+        minWidth : 32
+      });
+      button.addListener("execute", handler, this);
+      return button;
+    },
+
+    /**
+     * Returns the index of the option with the given value
+     * @param value {var} The value
+     * @return {Integer|null} The index, or null if no option has the value
+     */
+    __findOption : function(value) {
+      for (let i = 0; i < this.__options.length; i++) {
+        if (this.__options[i].value === value) {
+          return i;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Returns whether an option matches the text of a search field
+     * @param option {Map} The option
+     * @param searchId {String} The id of the search field
+     * @return {Boolean}
+     */
+    __matches : function(option, searchId) {
+      let search = (this.getChildControl(searchId).getValue() || "").toLowerCase();
+      return option.label.toLowerCase().indexOf(search) !== -1;
+    },
+
+    /**
+     * Fills the lists with the available and the selected options matching
+     * the search texts, keeping the selection of the lists
+     */
+    __render : function() {
+      let value = this.getValue() || [];
+      let available = this.__options.filter(function(option) {
+        return value.indexOf(option.value) === -1 &&
+          this.__matches(option, "available-search");
+      }, this);
+      let selected = value.map(function(item) {
+        return this.__options[this.__findOption(item)];
+      }, this).filter(function(option) {
+        return option && this.__matches(option, "selected-search");
+      }, this);
+      this.__fillList("available-list", available);
+      this.__fillList("selected-list", selected);
+      this.__updateButtons();
+    },
+
+    /**
+     * Fills a list with options, keeping its selection
+     * @param id {String} The id of the list
+     * @param options {Array} The options
+     */
+    __fillList : function(id, options) {
+      let list = this.getChildControl(id);
+      let selection = this.__getListSelection(id);
+      list.removeAll().forEach(function(item) {
+        item.dispose();
+      });
+      options.forEach(function(option) {
+        list.add(new qx.ui.form.ListItem(option.label, null, option.value));
+      });
+      this.__setListSelection(id, selection);
+    },
+
+    /**
+     * Returns the values of the options in a list
+     * @param id {String} The id of the list
+     * @return {Array} The values
+     */
+    __getListValues : function(id) {
+      return this.getChildControl(id).getChildren().map(function(item) {
+        return item.getModel();
+      });
+    },
+
+    /**
+     * Returns the values of the options selected in a list
+     * @param id {String} The id of the list
+     * @return {Array} The values
+     */
+    __getListSelection : function(id) {
+      return this.getChildControl(id).getSelection().map(function(item) {
+        return item.getModel();
+      });
+    },
+
+    /**
+     * Selects the options with the given values in a list
+     * @param id {String} The id of the list
+     * @param values {Array} The values
+     */
+    __setListSelection : function(id, values) {
+      let list = this.getChildControl(id);
+      list.setSelection(list.getChildren().filter(function(item) {
+        return values.indexOf(item.getModel()) !== -1;
+      }));
+    },
+
+    /**
+     * Sets the value, then selects the moved options in a list
+     * @param value {Array} The new value
+     * @param id {String} The id of the list which contains the options
+     * @param values {Array} The values of the moved options
+     */
+    __setValueAndSelection : function(value, id, values) {
+      let old = this.getValue() || [];
+      if (value.length !== old.length || value.some(function(item, index) {
+        return item !== old[index];
+      })) {
+        this.setValue(value);
+      }
+      this.__setListSelection(id, values);
+    },
+
+    /**
+     * Enables the buttons which can be used
+     */
+    __updateButtons : function() {
+      let available = this.getChildControl("available-list");
+      let selected = this.getChildControl("selected-list");
+      this.getChildControl("select-button").setEnabled(!available.isSelectionEmpty());
+      this.getChildControl("select-all-button").setEnabled(available.getChildren().length > 0);
+      this.getChildControl("deselect-button").setEnabled(!selected.isSelectionEmpty());
+      this.getChildControl("deselect-all-button").setEnabled(selected.getChildren().length > 0);
+      this.getChildControl("up-button").setEnabled(!selected.isSelectionEmpty());
+      this.getChildControl("down-button").setEnabled(!selected.isSelectionEmpty());
+    },
+
+    /**
+     * Moves the options selected in the list of available options
+     */
+    __onSelectButton : function() {
+      this.select(this.__getListSelection("available-list"));
+    },
+
+    /**
+     * Moves the options selected in the list of selected options
+     */
+    __onDeselectButton : function() {
+      this.deselect(this.__getListSelection("selected-list"));
+    }
+  }
+});
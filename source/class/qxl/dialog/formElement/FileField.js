@@ -0,0 +1,468 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for selecting files, using the native file chooser or
+ * by dropping files onto it. The chosen files are listed with buttons to
+ * remove them. The value is an array of `File` objects or, if the files
+ * are read locally, of maps with the members `name`, `type`, `size` and
+ * `content`.
+ *
+ * In form data, a field of type "File" has the members `multiple`, which
+ * allows choosing several files, `accept`, which restricts the file types
+ * like the attribute of the HTML input element, `maxSize`, which limits
+ * the size of each file in bytes, and `readAs`. Its value is a `File`
+ * object, or an array of them if `multiple` is set. With `readAs: "base64"`
+ * or `readAs: "arraybuffer"`, the files are read locally, and maps with
+ * `name`, `type`, `size` and `content` take the place of the `File`
+ * objects.
+ * <pre>
+ *   "attachments" : {
+ *     'type'     : "File",
+ *     'label'    : "Attachments",
+ *     'multiple' : true,
+ *     'accept'   : ".pdf,image/*",
+ *     'maxSize'  : 5 * 1024 * 1024
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.FileField",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IArrayForm ],
+  include : [ qx.ui.form.MForm ],
+
+  construct : function() {
+    this.base(arguments);
+    this._setLayout(new qx.ui.layout.VBox(4));
+
+    let bar = new qx.ui.container.Composite(new qx.ui.layout.HBox(8).set({
+      alignY : "middle"
+    }));
+    this.__button = new qx.ui.form.Button(this.tr("Choose file..."));
+    this.__button.addListener("execute", this.open, this);
+    bar.add(this.__button);
+    this.__hint = new qx.ui.basic.Label(this.tr("or drop files here"));
+    this.__hint.setTextColor("text-disabled");
+    bar.add(this.__hint);
+    this._add(bar);
+
+    this.__fileList = new qx.ui.container.Composite(new qx.ui.layout.VBox(2));
+    this._add(this.__fileList);
+
+    // the native file chooser
+    this.__input = new qx.html.Input("file", { display : "none" });
+    this.__input.addListener("change", this.__onInputChange, this);
+    this.getContentElement().add(this.__input);
+
+    this.addListenerOnce("appear", this.__addDropListeners, this);
+  },
+
+  properties :
+  {
+    /**
+     * The chosen files
+     */
+    value :
+    {
+      check : "Array",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * Whether several files can be chosen
+     */
+    multiple :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyMultiple"
+    },
+
+    /**
+     * The accepted file types, as a comma-separated list of extensions
+     * (".pdf") and MIME types ("image/*"), or null to accept all files
+     */
+    accept :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      apply : "_applyAccept"
+    },
+
+    /**
+     * The maximum size of a file in bytes, or null for no limit
+     */
+    maxSize :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * How the files are put into the value: as `File` objects ("file"), or
+     * read locally into a base64 string ("base64") or an ArrayBuffer
+     * ("arraybuffer")
+     */
+    readAs :
+    {
+      check : [ "file", "base64", "arraybuffer" ],
+      init : "file"
+    },
+
+    /**
+     * Whether files are being read. The field is invalid meanwhile.
+     */
+    reading :
+    {
+      check : "Boolean",
+      init : false,
+      event : "changeReading"
+    }
+  },
+
+  statics :
+  {
+    /**
+     * Formats a file size for display
+     * @param size {Number} The size in bytes
+     * @return {String} The formatted size, e.g. "1.5 MB"
+     */
+    formatSize : function(size) {
+      let units = [ "B", "KB", "MB", "GB" ];
+      let unit = 0;
+      while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+      }
+      return (unit === 0 ? size : size.toFixed(1)) + " " + units[unit];
+    },
+
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "file", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.FileField();
+        formElement.set({
+          multiple : Boolean(fieldData.multiple),
+          accept : fieldData.accept || null,
+          maxSize : typeof fieldData.maxSize == "number" ? fieldData.maxSize : null,
+          readAs : fieldData.readAs || "file"
+        });
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        // the value of a single file field is the file or null
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            if (!value) {
+              return [];
+            }
+            return qx.lang.Type.isArray(value) ? value : [value];
+          }
+        }, {
+          converter: function (value) {
+            if (formElement.getMultiple()) {
+              return value;
+            }
+            return value && value.length ? value[0] : null;
+          }
+        });
+        // the field is invalid while files are read
+        formElement.addListener("changeReading", function() {
+          this._form.getValidationManager().validate();
+        }, this);
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        let self = this;
+        return function(value, item) {
+          self._validateRequiredItems(formElement, formElement.getValue());
+          formElement.validateFiles();
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        return this._formatValue((formElement.getValue() || []).map(function(file) {
+          return file.name;
+        }), null);
+      }
+    }
+  },
+
+  members :
+  {
+    __button : null,
+    __hint : null,
+    __fileList : null,
+    __input : null,
+    __pendingReads : 0,
+    __dropElement : null,
+    __dropListeners : null,
+
+    /**
+     * Opens the native file chooser
+     */
+    open : function() {
+      let input = this.__input.getDomElement();
+      if (input) {
+        input.click();
+      }
+    },
+
+    /**
+     * Removes a file
+     * @param file {File|Map} The file
+     */
+    removeFile : function(file) {
+      this.setValue((this.getValue() || []).filter(function(item) {
+        return item !== file;
+      }));
+    },
+
+    /**
+     * Checks the type and size of the chosen files
+     * @throws {qx.core.ValidationError} If a file is not accepted, or files
+     *   are still being read
+     */
+    validateFiles : function() {
+      if (this.getReading()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The files are being read."));
+      }
+      (this.getValue() || []).forEach(function(file) {
+        let message = this.__getFileError(file);
+        if (message) {
+          throw new qx.core.ValidationError("Validation Error", message);
+        }
+      }, this);
+    },
+
+    /**
+     * Returns why a file is not accepted
+     * @param file {File|Map} The file
+     * @return {String|null} The message, or null if the file is accepted
+     */
+    __getFileError : function(file) {
+      if (!this.__isAccepted(file)) {
+        return this.tr("The type of '%1' is not accepted.", file.name);
+      }
+      if (this.getMaxSize() !== null && file.size > this.getMaxSize()) {
+        return this.tr("'%1' is larger than %2.", file.name,
+          qxl.dialog.formElement.FileField.formatSize(this.getMaxSize()));
+      }
+      return null;
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__fileList.removeAll().forEach(function(row) {
+        row.destroy();
+      });
+      (value || []).forEach(function(file) {
+        let row = new qx.ui.container.Composite(new qx.ui.layout.HBox(4).set({
+          alignY : "middle"
+        }));
+        row.add(new qx.ui.basic.Label(
+          file.name + " (" + qxl.dialog.formElement.FileField.formatSize(file.size) + ")"));
+        let button = new qx.ui.form.Button("✕");
+        button.set({
+          toolTipText : this.tr("Remove"),
+          padding : [0, 4]
+        });
+        button.addListener("execute", function() {
+          this.removeFile(file);
+        }, this);
+        row.add(button);
+        this.__fileList.add(row);
+      }, this);
+    },
+
+    // property apply
+    _applyMultiple : function(value, old) {
+      this.__input.setAttribute("multiple", value ? "multiple" : null);
+      this.__button.setLabel(value ? this.tr("Choose files...") : this.tr("Choose file..."));
+    },
+
+    // property apply
+    _applyAccept : function(value, old) {
+      this.__input.setAttribute("accept", value);
+    },
+
+    /**
+     * Returns whether the type of a file matches the `accept` property
+     * @param file {File|Map} The file
+     * @return {Boolean}
+     */
+    __isAccepted : function(file) {
+      let accept = this.getAccept();
+      if (!accept) {
+        return true;
+      }
+      let name = file.name.toLowerCase();
+      let type = (file.type || "").toLowerCase();
+      return accept.split(",").some(function(pattern) {
+        pattern = pattern.trim().toLowerCase();
+        if (pattern.charAt(0) === ".") {
+          return name.endsWith(pattern);
+        }
+        if (pattern.endsWith("/*")) {
+          return type.indexOf(pattern.slice(0, -1)) === 0;
+        }
+        return type === pattern;
+      });
+    },
+
+    /**
+     * Adds files to the value, replacing it if only one file can be chosen.
+     * The files are read first if `readAs` requires it. Files which are
+     * not accepted are added without being read, so that the validation
+     * shows why.
+     * @param files {FileList|Array} The files
+     */
+    __addFiles : function(files) {
+      files = Array.prototype.slice.call(files);
+      if (files.length === 0) {
+        return;
+      }
+      if (!this.getMultiple()) {
+        files = files.slice(0, 1);
+      }
+      this.__pendingReads++;
+      this.setReading(true);
+      Promise.all(files.map(function(file) {
+        return this.__getFileError(file) ? Promise.resolve(file) : this.__readFile(file);
+      }, this)).then(function(items) {
+        if (this.isDisposed()) {
+          return;
+        }
+        this.setValue(this.getMultiple() ? (this.getValue() || []).concat(items) : items);
+      }.bind(this), function(error) {
+        this.warn("Could not read file: " + error);
+      }.bind(this)).then(function() {
+        this.__pendingReads--;
+        if (!this.isDisposed() && this.__pendingReads === 0) {
+          this.setReading(false);
+        }
+      }.bind(this));
+    },
+
+    /**
+     * Reads a file according to the `readAs` property
+     * @param file {File} The file
+     * @return {Promise} Resolves to the file, or to a map with its data
+     */
+    __readFile : function(file) {
+      let readAs = this.getReadAs();
+      if (readAs === "file") {
+        return Promise.resolve(file);
+      }
+      return new Promise(function(resolve, reject) {
+        let reader = new qx.bom.FileReader();
+        reader.addListenerOnce("load", function(e) {
+          let content = e.getData().content;
+          if (readAs === "base64") {
+            // strip the "data:<type>;base64," prefix of the data URL
+            content = content.substring(content.indexOf(",") + 1);
+          }
+          reader.dispose();
+          resolve({
+            name : file.name,
+            type : file.type,
+            size : file.size,
+            content : content
+          });
+        });
+        reader.addListenerOnce("error", function() {
+          reader.dispose();
+          reject(new Error(file.name));
+        });
+        if (readAs === "base64") {
+          reader.readAsDataURL(file);
+        } else {
+          reader.readAsArrayBuffer(file);
+        }
+      });
+    },
+
+    /**
+     * Adds the files chosen in the native file chooser
+     * @param e {qx.event.type.Event} The change event
+     */
+    __onInputChange : function(e) {
+      let input = this.__input.getDomElement();
+      this.__addFiles(input.files);
+      // allow choosing the same file again
+      input.value = "";
+    },
+
+    /**
+     * Adds the native listeners for dropping files onto the field
+     */
+    __addDropListeners : function() {
+      this.__dropElement = this.getContentElement().getDomElement();
+      this.__dropListeners = {
+        dragover : function(e) {
+          if (this.isEnabled()) {
+            e.preventDefault();
+            this.addState("dragover");
+          }
+        }.bind(this),
+        dragleave : function(e) {
+          this.removeState("dragover");
+        }.bind(this),
+        drop : function(e) {
+          e.preventDefault();
+          this.removeState("dragover");
+          if (this.isEnabled() && e.dataTransfer) {
+            this.__addFiles(e.dataTransfer.files);
+          }
+        }.bind(this)
+      };
+      for (let type in this.__dropListeners) {
+        qx.bom.Event.addNativeListener(this.__dropElement, type, this.__dropListeners[type]);
+      }
+    }
+  },
+
+  destruct : function() {
+    if (this.__dropElement) {
+      for (let type in this.__dropListeners) {
+        qx.bom.Event.removeNativeListener(this.__dropElement, type, this.__dropListeners[type]);
+      }
+    }
+    this.__dropElement = this.__dropListeners = null;
+  }
+});
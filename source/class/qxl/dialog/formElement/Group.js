@@ -0,0 +1,68 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A group of fields, whose form data is provided in the `fields` member.
+ * The values of the fields are stored in a nested object.
+ *
+ * The fields are rendered in a section titled with the group's label, and
+ * their values are collected in a nested object with the group's key. The
+ * group's `value` may contain a map to prefill the fields. Elsewhere, e.g.
+ * in conditions, fields in groups are referred to by their path, e.g.
+ * "address.street".
+ * <pre>
+ *   "address" : {
+ *     'type'   : "Group",
+ *     'label'  : "Address",
+ *     'value'  : { 'city' : "Berlin" },
+ *     'fields' : {
+ *       "street" : { 'type' : "TextField", 'label' : "Street" },
+ *       "city"   : { 'type' : "TextField", 'label' : "City" }
+ *     }
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.Group",
+{
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "group", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        if (!qx.lang.Type.isObject(fieldData.fields)) {
+          throw new Error(`Group ${key} needs a 'fields' member {Map}`);
+        }
+        this._form.addGroupHeader(fieldData.label || null);
+        let groups = this._form.getGroups();
+        this._groupHeaders[key] = groups[groups.length - 1];
+        this._addFormFields(fieldData.fields, key);
+
+        // Subsequent fields do not belong to the group
+        this._form.addGroupHeader(null);
+
+        // Groups don't return a form object
+        return undefined;
+      }
+    }
+  }
+});
@@ -41,10 +41,29 @@ qx.Class.define("qxl.dialog.formElement.List",
           }
         }
         let model = qx.data.marshal.Json.createModel(fieldData.options);
-        new qx.data.controller.List(model, formElement, "label");
+        let controller = new qx.data.controller.List(model, formElement, "label");
+        formElement.setUserData("listController", controller);
         return formElement;
       },
 
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        let value = this._getFieldValue(key) || [];
+        let controller = formElement.getUserData("listController");
+        let oldModel = controller.getModel();
+        controller.setModel(qx.data.marshal.Json.createModel(options));
+        if (oldModel) {
+          oldModel.dispose();
+        }
+        // keep the selected values which are still options
+        let selected = formElement.getSelectables().filter(function(selectable) {
+          return value.includes(selectable.getModel().getValue());
+        });
+        formElement.setSelection(selected);
+        this._setFieldValue(key, selected.map(function(selectable) {
+          return selectable.getModel().getValue();
+        }));
+      },
+
       addToFormController : function(fieldType, fieldData, key, formElement) {
       this._formController.addTarget(
         formElement, "selection", key, true, {
@@ -0,0 +1,349 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A text field which accepts input of a fixed shape, given by an input
+ * mask such as "+99 (999) 999-9999". In the mask,
+ *
+ *   9 stands for a digit,
+ *   a for a letter,
+ *   A for a letter which is converted to upper case,
+ *   * for a letter or digit,
+ *
+ * and all other characters are shown as they are. A backslash shows the
+ * following character as it is, e.g. "\9". The literal characters are
+ * inserted while typing, and the caret is kept behind the last typed
+ * character. The value is the formatted text; {@link #getRawValue} returns
+ * the typed characters only.
+ *
+ * In form data, a field of type "MaskedField" shows its `mask` as the
+ * placeholder, with `placeholderChar` (default: "_") for the characters to
+ * type. Its value is the formatted text, or only the typed characters if
+ * `returnRaw` is true. Incomplete input is invalid.
+ * <pre>
+ *   "phone" : {
+ *     'type'  : "MaskedField",
+ *     'label' : "Phone",
+ *     'mask'  : "+99 (999) 999-9999"
+ *   },
+ *   "iban" : {
+ *     'type'      : "MaskedField",
+ *     'label'     : "IBAN",
+ *     'mask'      : "AA99 **** **** **** **** **",
+ *     'returnRaw' : true
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.MaskedField",
+{
+  extend : qx.ui.form.TextField,
+
+  /**
+   * Constructor
+   * @param mask {String?} The input mask
+   */
+  construct : function(mask) {
+    this.base(arguments);
+    this.setLiveUpdate(true);
+    // the mask is applied in _validateInput, which is only called if a
+    // filter is set
+    this.setFilter(/./);
+    this.addListener("keypress", this.__onKeyPress, this);
+    if (mask) {
+      this.setMask(mask);
+    }
+  },
+
+  properties :
+  {
+    /**
+     * The input mask
+     */
+    mask :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      apply : "_applyMask"
+    },
+
+    /**
+     * The character which represents the characters to type in the
+     * placeholder, which shows the mask
+     */
+    placeholderChar :
+    {
+      check : "String",
+      init : "_",
+      apply : "_applyMask"
+    }
+  },
+
+  statics :
+  {
+    /**
+     * The patterns of the characters which stand for characters to type
+     */
+    SLOTS : {
+      "9" : /[0-9]/,
+      "a" : /[A-Za-zÀ-ɏ]/,
+      "A" : /[A-Za-zÀ-ɏ]/,
+      "*" : /[0-9A-Za-zÀ-ɏ]/
+    },
+
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "maskedfield", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.MaskedField(fieldData.mask);
+        if (fieldData.placeholderChar) {
+          formElement.setPlaceholderChar(fieldData.placeholderChar);
+        }
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the value may be raw or formatted
+            return typeof value == "string" ? formElement.formatValue(value) : value;
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            if (fieldData.returnRaw && value !== null) {
+              return formElement.getRawValue();
+            }
+            return value;
+          }.bind(this)
+        });
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return function(value, item) {
+          if (value && !formElement.isComplete()) {
+            throw new qx.core.ValidationError("Validation Error",
+              formElement.tr("Please complete the input according to the pattern %1.",
+                formElement.getPlaceholder()));
+          }
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        // show the formatted value, even if the raw value is returned
+        return this._formatValue(formElement.getValue(), null);
+      }
+    }
+  },
+
+  members :
+  {
+    /**
+     * The parsed mask, an array of maps with either a `literal` or a `slot`
+     * member
+     */
+    __tokens : null,
+
+    /**
+     * Sets the value, formatting it according to the mask
+     * @param value {String|null} The raw or formatted value
+     * @return {String|null} The formatted value
+     */
+    setValue : function(value) {
+      return this.base(arguments, value === null ? null : this.formatValue(value));
+    },
+
+    /**
+     * Returns the typed characters of the value, without the literal
+     * characters of the mask
+     * @return {String} The raw value
+     */
+    getRawValue : function() {
+      return this.__extract(this.getValue() || "").join("");
+    },
+
+    /**
+     * Returns whether all characters of the mask have been typed
+     * @return {Boolean}
+     */
+    isComplete : function() {
+      let slots = (this.__tokens || []).filter(function(token) {
+        return token.slot;
+      });
+      return this.getRawValue().length === slots.length;
+    },
+
+    /**
+     * Formats a value according to the mask. Literal characters are only
+     * added if typed characters follow them.
+     * @param value {String} The raw or formatted value
+     * @return {String} The formatted value
+     */
+    formatValue : function(value) {
+      if (!this.__tokens) {
+        return value;
+      }
+      let chars = this.__extract(value);
+      let result = "";
+      for (let i = 0; i < this.__tokens.length && chars.length > 0; i++) {
+        let token = this.__tokens[i];
+        result += token.slot ? chars.shift() : token.literal;
+      }
+      return result;
+    },
+
+    // overridden
+    _validateInput : function(value) {
+      return this.formatValue(value);
+    },
+
+    // overridden
+    _onHtmlInput : function(e) {
+      // the number of characters typed before the caret determines the
+      // position of the caret in the formatted text
+      let caret = this.getTextSelectionStart();
+      let count = this.__tokens && typeof caret == "number" ?
+        this.__extract(e.getData().substring(0, caret)).length : null;
+      this.base(arguments, e);
+      if (count !== null) {
+        let position = this.__getCaretPosition(count);
+        this.setTextSelection(position, position);
+      }
+    },
+
+    // property apply
+    _applyMask : function(value, old) {
+      this.__tokens = value ? this.__parseMask(value) : null;
+      if (this.__tokens) {
+        let placeholderChar = this.getPlaceholderChar();
+        this.setPlaceholder(this.__tokens.map(function(token) {
+          return token.slot ? placeholderChar : token.literal;
+        }).join(""));
+      }
+      let text = this.getValue();
+      if (text) {
+        this.setValue(text);
+      }
+    },
+
+    /**
+     * Parses the mask
+     * @param mask {String} The mask
+     * @return {Array} Array of maps with either a `literal` or a `slot`
+     *   member
+     */
+    __parseMask : function(mask) {
+      let slots = qxl.dialog.formElement.MaskedField.SLOTS;
+      let tokens = [];
+      for (let i = 0; i < mask.length; i++) {
+        let c = mask.charAt(i);
+        if (c === "\\" && i + 1 < mask.length) {
+          tokens.push({ literal : mask.charAt(++i) });
+        } else if (slots[c]) {
+          tokens.push({ slot : c });
+        } else {
+          tokens.push({ literal : c });
+        }
+      }
+      return tokens;
+    },
+
+    /**
+     * Extracts the typed characters from a raw or formatted value. The
+     * characters are matched against the mask; literal characters of the
+     * mask are skipped, and characters which do not fit are dropped.
+     * @param value {String} The value
+     * @return {String[]} The typed characters
+     */
+    __extract : function(value) {
+      let slots = qxl.dialog.formElement.MaskedField.SLOTS;
+      let tokens = this.__tokens || [];
+      let chars = [];
+      let pos = 0;
+      for (let i = 0; i < value.length && pos < tokens.length; i++) {
+        let c = value.charAt(i);
+        // skip the literals, consuming the character if it is one of them
+        let literal = false;
+        while (pos < tokens.length && !tokens[pos].slot) {
+          literal = tokens[pos++].literal === c;
+          if (literal) {
+            break;
+          }
+        }
+        if (literal || pos >= tokens.length) {
+          continue;
+        }
+        let slot = tokens[pos].slot;
+        if (slots[slot].test(c)) {
+          chars.push(slot === "A" ? c.toUpperCase() : c);
+          pos++;
+        }
+      }
+      return chars;
+    },
+
+    /**
+     * Returns the position in the formatted text behind the given number of
+     * typed characters
+     * @param count {Integer} The number of typed characters
+     * @return {Integer} The position
+     */
+    __getCaretPosition : function(count) {
+      let length = (this.getValue() || "").length;
+      let position = 0;
+      while (count > 0 && position < length) {
+        if (this.__tokens[position].slot) {
+          count--;
+        }
+        position++;
+      }
+      return position;
+    },
+
+    /**
+     * Moves the caret in front of the literal characters before it when
+     * Backspace is pressed, so that the typed character before them is
+     * deleted
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKeyPress : function(e) {
+      if (e.getKeyIdentifier() !== "Backspace" || !this.__tokens) {
+        return;
+      }
+      let start = this.getTextSelectionStart();
+      if (start !== this.getTextSelectionEnd()) {
+        return;
+      }
+      let position = start;
+      while (position > 0 && !this.__tokens[position - 1].slot) {
+        position--;
+      }
+      if (position !== start && position > 0) {
+        this.setTextSelection(position, position);
+      }
+    }
+  }
+});
@@ -0,0 +1,312 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A text field for numbers and amounts of money, which shows them with the
+ * group and decimal separators of the current locale. The number is
+ * formatted when the field loses the focus. The value of the field is the
+ * text; {@link #getNumber} returns the number.
+ *
+ * In form data, the value of a field of type "NumberField" or
+ * "CurrencyField" is the number. A CurrencyField shows the symbol of its
+ * `currency` (an ISO 4217 code, default: "EUR") and two fraction digits.
+ * `fractionsDigits` works as for the Spinner, `numberFormat` may be a
+ * `qx.util.format.NumberFormat`, and `min` and `max` bound the number.
+ * <pre>
+ *   "price" : {
+ *     'type'     : "CurrencyField",
+ *     'label'    : "Price",
+ *     'currency' : "USD",
+ *     'min'      : 0
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.NumberField",
+{
+  extend : qx.ui.form.TextField,
+
+  /**
+   * Constructor
+   * @param numberFormat {qx.util.format.NumberFormat?} The number format
+   */
+  construct : function(numberFormat) {
+    this.base(arguments);
+    this.setLiveUpdate(true);
+    this.setTextAlign("right");
+    this.setNumberFormat(numberFormat || new qx.util.format.NumberFormat());
+    this.addListener("keyinput", this.__onKeyInput, this);
+    this.addListener("blur", this.__onBlur, this);
+  },
+
+  properties :
+  {
+    /**
+     * The format of the number
+     */
+    numberFormat :
+    {
+      check : "qx.util.format.NumberFormat",
+      apply : "_applyNumberFormat"
+    },
+
+    /**
+     * The minimum number, or null
+     */
+    minimum :
+    {
+      check : "Number",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The maximum number, or null
+     */
+    maximum :
+    {
+      check : "Number",
+      nullable : true,
+      init : null
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "numberfield", this._registration);
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "currencyfield", this._registration);
+    },
+
+    /**
+     * Creates a number format for an amount of money, with the currency
+     * symbol placed as usual in the current locale
+     * @param currency {String} The ISO 4217 currency code, e.g. "EUR"
+     * @return {qx.util.format.NumberFormat} The number format
+     */
+    createCurrencyFormat : function(currency) {
+      let locale = qx.locale.Manager.getInstance().getLocale().replace("_", "-");
+      let parts;
+      try {
+        parts = new Intl.NumberFormat(locale, {
+          style : "currency",
+          currency : currency
+        }).formatToParts(1);
+      } catch (e) {
+        parts = [ { type : "integer", value : "1" }, { type : "literal", value : " " + currency } ];
+      }
+      let prefix = "";
+      let postfix = "";
+      let number = false;
+      parts.forEach(function(part) {
+        if ([ "integer", "decimal", "fraction", "group" ].indexOf(part.type) !== -1) {
+          number = true;
+        } else if (number) {
+          postfix += part.value;
+        } else {
+          prefix += part.value;
+        }
+      });
+      let nf = new qx.util.format.NumberFormat();
+      nf.set({
+        minimumFractionDigits : 2,
+        maximumFractionDigits : 2,
+        // use normal spaces, which can be typed
+        prefix : prefix.replace(/\s/g, " "),
+        postfix : postfix.replace(/\s/g, " ")
+      });
+      return nf;
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let nf;
+        if (fieldData.numberFormat instanceof qx.util.format.NumberFormat) {
+          nf = fieldData.numberFormat;
+        } else if (fieldType === "currencyfield") {
+          nf = qxl.dialog.formElement.NumberField.createCurrencyFormat(
+            fieldData.currency || "EUR");
+        } else {
+          nf = new qx.util.format.NumberFormat();
+        }
+        if (fieldData.fractionsDigits) {
+          let fd = fieldData.fractionsDigits;
+          if (typeof fd.min == "number") {
+            nf.setMinimumFractionDigits(fd.min);
+          }
+          if (typeof fd.max == "number") {
+            nf.setMaximumFractionDigits(fd.max);
+          }
+        }
+        let formElement = new qxl.dialog.formElement.NumberField(nf);
+        if (typeof fieldData.min == "number") {
+          formElement.setMinimum(fieldData.min);
+        }
+        if (typeof fieldData.max == "number") {
+          formElement.setMaximum(fieldData.max);
+        }
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            if (typeof value != "number") {
+              return null;
+            }
+            // keep the text while it is typed
+            if (formElement.getNumber() === value) {
+              return formElement.getValue();
+            }
+            return formElement.getNumberFormat().format(value);
+          }
+        }, {
+          converter: function (value) {
+            let number = formElement.parseNumber(value);
+            return isNaN(number) ? null : number;
+          }
+        });
+        // text which is not a number leaves the model unchanged, so the
+        // field is validated on every change of its text
+        formElement.addListener("changeValue", function() {
+          this._form.getValidationManager().validate();
+        }, this);
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return function(value, item) {
+          formElement.validateNumber();
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        // the text is formatted according to the number format
+        return this._formatValue(formElement.getValue(), null);
+      }
+    }
+  },
+
+  members :
+  {
+    /**
+     * Parses a text according to the number format. The prefix and postfix
+     * of the number format may be omitted.
+     * @param text {String|null} The text
+     * @return {Number|null} The number, null if the text is empty, or NaN if
+     *   it is not a number
+     */
+    parseNumber : function(text) {
+      text = (text || "").trim();
+      if (text === "") {
+        return null;
+      }
+      let nf = this.getNumberFormat();
+      let prefix = (nf.getPrefix() || "").trim();
+      let postfix = (nf.getPostfix() || "").trim();
+      if (prefix && text.indexOf(prefix) === 0) {
+        text = text.substring(prefix.length).trim();
+      }
+      if (postfix && text.endsWith(postfix)) {
+        text = text.substring(0, text.length - postfix.length).trim();
+      }
+      // the group separator may be a non-breaking space
+      let groupSeparator = String(qx.locale.Number.getGroupSeparator(nf.getLocale()));
+      if (/\s/.test(groupSeparator)) {
+        text = text.replace(/\s/g, groupSeparator);
+      }
+      let plain = new qx.util.format.NumberFormat(nf.getLocale());
+      try {
+        return plain.parse(text);
+      } catch (e) {
+        return NaN;
+      } finally {
+        plain.dispose();
+      }
+    },
+
+    /**
+     * Returns the number which has been entered
+     * @return {Number|null} The number, null if the field is empty, or NaN
+     *   if the text is not a number
+     */
+    getNumber : function() {
+      return this.parseNumber(this.getValue());
+    },
+
+    /**
+     * Checks whether the text is a number between the minimum and the
+     * maximum
+     * @throws {qx.core.ValidationError} If it is not
+     */
+    validateNumber : function() {
+      let number = this.getNumber();
+      let nf = this.getNumberFormat();
+      if (number === null) {
+        return;
+      }
+      if (isNaN(number)) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("Please enter a number."));
+      }
+      if (this.getMinimum() !== null && number < this.getMinimum()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The number must not be less than %1.", nf.format(this.getMinimum())));
+      }
+      if (this.getMaximum() !== null && number > this.getMaximum()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The number must not be greater than %1.", nf.format(this.getMaximum())));
+      }
+    },
+
+    // property apply
+    _applyNumberFormat : function(value, old) {
+      this.__onBlur();
+    },
+
+    /**
+     * Formats the number
+     */
+    __onBlur : function() {
+      let number = this.getNumber();
+      if (number !== null && !isNaN(number)) {
+        this.setValue(this.getNumberFormat().format(number));
+      }
+    },
+
+    /**
+     * Prevents typing characters which cannot be part of the number
+     * @param e {qx.event.type.KeyInput} The key input event
+     */
+    __onKeyInput : function(e) {
+      let nf = this.getNumberFormat();
+      let allowed = "0123456789-+ " +
+        qx.locale.Number.getGroupSeparator(nf.getLocale()) +
+        qx.locale.Number.getDecimalSeparator(nf.getLocale()) +
+        (nf.getPrefix() || "") + (nf.getPostfix() || "");
+      if (allowed.indexOf(e.getChar()) === -1) {
+        e.preventDefault();
+      }
+    }
+  }
+});
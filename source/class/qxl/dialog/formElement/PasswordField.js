@@ -17,20 +17,245 @@
 
 ************************************************************************ */
 
+/**
+ * A password field, optionally with a button to show the password, a
+ * strength meter, a warning if Caps Lock is on, and a second field in which
+ * the password is repeated. The value is the password in the first field.
+ *
+ * In form data, a field of type "PasswordField" has the button to show the
+ * password if `showToggle` is true, the warning if `capsLockWarning` is
+ * true and the second field if `confirm` is true. `strength: true` shows
+ * the strength meter. `strength` may also be a map with `minLength`
+ * (default: 8) and `characterClasses` (an array of RegExps) for the default
+ * scoring, a `scoring` function which receives the password and returns a
+ * score from 0 (very weak) to 4 (strong), and `minScore`, the minimum
+ * score of a valid password. Without any of these members, the field is a
+ * plain {@link qx.ui.form.PasswordField}.
+ * <pre>
+ *   "password" : {
+ *     'type'            : "PasswordField",
+ *     'label'           : "Password",
+ *     'showToggle'      : true,
+ *     'capsLockWarning' : true,
+ *     'confirm'         : true,
+ *     'strength'        : { 'minLength' : 10, 'minScore' : 3 }
+ *   }
+ * </pre>
+ */
 qx.Class.define("qxl.dialog.formElement.PasswordField",
 {
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IStringForm ],
+  include : [ qx.ui.form.MForm ],
+
+  construct : function() {
+    this.base(arguments);
+    let layout = new qx.ui.layout.Grid(4, 2);
+    layout.setColumnFlex(0, 1);
+    this._setLayout(layout);
+    this.getChildControl("field");
+  },
+
+  events :
+  {
+    /** Fired when the repeated password changes */
+    "changeConfirmation" : "qx.event.type.Data"
+  },
+
+  properties :
+  {
+    /**
+     * The password
+     */
+    value :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The placeholder of the password field
+     */
+    placeholder :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      apply : "_applyPlaceholder"
+    },
+
+    /**
+     * Whether a button to show the password is shown
+     */
+    showToggle :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyShowToggle"
+    },
+
+    /**
+     * Whether the strength of the password is shown
+     */
+    strengthMeter :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyStrengthMeter"
+    },
+
+    /**
+     * The length from which a password is considered strong enough, used
+     * by the default scoring
+     */
+    minLength :
+    {
+      check : "Integer",
+      init : 8,
+      apply : "_updateStrength"
+    },
+
+    /**
+     * The character classes of which the default scoring counts how many
+     * occur in the password
+     */
+    characterClasses :
+    {
+      check : "Array",
+      init : null,
+      nullable : true,
+      apply : "_updateStrength"
+    },
+
+    /**
+     * A function which receives the password and returns its strength as a
+     * number from 0 (very weak) to 4 (strong), replacing the default
+     * scoring
+     */
+    scoring :
+    {
+      check : "Function",
+      nullable : true,
+      init : null,
+      apply : "_updateStrength"
+    },
+
+    /**
+     * The minimum strength of a valid password, or null
+     */
+    minScore :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * Whether a warning is shown while Caps Lock is on
+     */
+    capsLockWarning :
+    {
+      check : "Boolean",
+      init : false
+    },
+
+    /**
+     * Whether the password has to be repeated in a second field
+     */
+    confirm :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyConfirm"
+    }
+  },
+
   statics :
   {
+    /**
+     * The default character classes: lower case and upper case letters,
+     * digits, and other characters
+     */
+    CHARACTER_CLASSES : [ /[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/ ],
+
+    /**
+     * The colors of the strength meter, by score
+     */
+    STRENGTH_COLORS : [ "#d9534f", "#d9534f", "#f0ad4e", "#5bc0de", "#5cb85c" ],
+
     register : function() {
       qxl.dialog.Dialog.registerFormElementHandlers(
         "passwordfield", this._registration);
     },
 
+    /**
+     * Scores the strength of a password. It gains up to two points by its
+     * length, and up to two points by the number of character classes which
+     * occur in it. Passwords shorter than the minimum length score at most
+     * one point.
+     * @param password {String|null} The password
+     * @param minLength {Integer} The minimum length of a strong password
+     * @param characterClasses {RegExp[]} The character classes
+     * @return {Integer} The score from 0 (very weak) to 4 (strong)
+     */
+    scorePassword : function(password, minLength, characterClasses) {
+      if (!password) {
+        return 0;
+      }
+      let matched = characterClasses.filter(function(characterClass) {
+        return characterClass.test(password);
+      }).length;
+      let score = Math.floor(2 * matched / characterClasses.length);
+      if (password.length < minLength) {
+        return Math.min(score, 1);
+      }
+      score++;
+      if (password.length >= minLength * 1.5) {
+        score++;
+      }
+      return Math.min(score, 4);
+    },
+
     _registration : {
       initElement : function(fieldType, fieldData, key) {
-        let formElement = new qx.ui.form.PasswordField();
-        formElement.getContentElement().setAttribute("autocomplete", "password");
-        formElement.setLiveUpdate(true);
+        // without any of the options, the field stays a plain password
+        // field, whose properties can be set with `properties`
+        if (!fieldData.showToggle && !fieldData.capsLockWarning &&
+            !fieldData.confirm && !fieldData.strength) {
+          let field = new qx.ui.form.PasswordField();
+          field.getContentElement().setAttribute("autocomplete", "password");
+          field.setLiveUpdate(true);
+          return field;
+        }
+        let formElement = new qxl.dialog.formElement.PasswordField();
+        formElement.getChildControl("field").getContentElement()
+          .setAttribute("autocomplete", "password");
+        formElement.set({
+          showToggle : Boolean(fieldData.showToggle),
+          capsLockWarning : Boolean(fieldData.capsLockWarning),
+          confirm : Boolean(fieldData.confirm)
+        });
+        let strength = fieldData.strength;
+        if (strength) {
+          if (typeof strength == "object") {
+            if (typeof strength.minLength == "number") {
+              formElement.setMinLength(strength.minLength);
+            }
+            if (strength.characterClasses) {
+              formElement.setCharacterClasses(strength.characterClasses);
+            }
+            if (strength.scoring) {
+              formElement.setScoring(strength.scoring.bind(this.getContext()));
+            }
+            if (typeof strength.minScore == "number") {
+              formElement.setMinScore(strength.minScore);
+            }
+          }
+          formElement.setStrengthMeter(true);
+        }
         return formElement;
       },
 
@@ -41,6 +266,24 @@ qx.Class.define("qxl.dialog.formElement.PasswordField",
             return value;
           }.bind(this)
         });
+        if (formElement instanceof qxl.dialog.formElement.PasswordField) {
+          formElement.addListener("changeConfirmation", function() {
+            this._form.getValidationManager().validate();
+          }, this);
+        }
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        if (!(formElement instanceof qxl.dialog.formElement.PasswordField)) {
+          return validator;
+        }
+        return function(value, item) {
+          formElement.validatePassword();
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
       },
 
       postProcess : function(fieldType, fieldData, key, formElement) {
@@ -50,20 +293,263 @@ qx.Class.define("qxl.dialog.formElement.PasswordField",
          * either the form level or at the field level using the
          * allowBrowserAutocomplete key.
          */
+        let disable;
         if (typeof fieldData.allowBrowserAutocomplete == "boolean") {
-          if (!fieldData.allowBrowserAutocomplete) {
-            //turn off autocomplete
-            formElement.getContentElement().setAttribute(
-            "autocomplete", "new-password");
-          } else {
-            // leave autocomplete alone.
-            // Note: Password field above sets attribute
-          }
-        } else if (!this.getAllowBrowserAutocomplete()) {
+          // Note: the password field above sets the attribute otherwise
+          disable = !fieldData.allowBrowserAutocomplete;
+        } else {
+          disable = !this.getAllowBrowserAutocomplete();
+        }
+        if (disable) {
           //turn off autocomplete
-          formElement.getContentElement().setAttribute(
-            "autocomplete", "new-password");
+          let fields = formElement instanceof qxl.dialog.formElement.PasswordField ?
+            formElement.getFields() : [ formElement ];
+          fields.forEach(function(field) {
+            field.getContentElement().setAttribute("autocomplete", "new-password");
+          });
+        }
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        // never reveal the password
+        return value ? "&bull;&bull;&bull;&bull;&bull;&bull;" : this._formatValue(null, null);
+      }
+    }
+  },
+
+  members :
+  {
+    __updating : false,
+
+    /**
+     * Returns the password fields
+     * @return {qx.ui.form.PasswordField[]} The password field, and the
+     *   field in which it is repeated if it is to be confirmed
+     */
+    getFields : function() {
+      let fields = [ this.getChildControl("field") ];
+      if (this.getConfirm()) {
+        fields.push(this.getChildControl("confirm-field"));
+      }
+      return fields;
+    },
+
+    /**
+     * Returns the strength of the password
+     * @return {Integer} The score from 0 (very weak) to 4 (strong)
+     */
+    getScore : function() {
+      let password = this.getValue();
+      if (this.getScoring()) {
+        return password ? this.getScoring()(password) : 0;
+      }
+      return qxl.dialog.formElement.PasswordField.scorePassword(password,
+        this.getMinLength(),
+        this.getCharacterClasses() || qxl.dialog.formElement.PasswordField.CHARACTER_CLASSES);
+    },
+
+    /**
+     * Checks whether the password is strong enough and has been repeated
+     * correctly
+     * @throws {qx.core.ValidationError} If it is not
+     */
+    validatePassword : function() {
+      let value = this.getValue();
+      if (!value) {
+        return;
+      }
+      if (this.getMinScore() !== null && this.getScore() < this.getMinScore()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The password is too weak."));
+      }
+      if (this.getConfirm() &&
+          this.getChildControl("confirm-field").getValue() !== value) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The passwords do not match."));
+      }
+    },
+
+    // overridden
+    focus : function() {
+      this.getChildControl("field").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("field").tabFocus();
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "field":
+      case "confirm-field":
+        control = new qx.ui.form.PasswordField();
+        control.setLiveUpdate(true);
+        control.addListener("keydown", this.__onKeyEvent, this);
+        control.addListener("keyup", this.__onKeyEvent, this);
+        control.addListener("blur", this.__hideCapsLockWarning, this);
+        if (id === "field") {
+          control.addListener("changeValue", this.__onFieldChange, this);
+          this._add(control, { row : 0, column : 0 });
+        } else {
+          control.setPlaceholder(this.tr("Repeat password"));
+          control.addListener("changeValue", function(e) {
+            this.fireDataEvent("changeConfirmation", e.getData());
+          }, this);
+          this._add(control, { row : 2, column : 0 });
         }
+        break;
+
+      case "toggle":
+        control = new qx.ui.form.ToggleButton(this.tr("Show"));
+        control.setFocusable(false);
+        control.addListener("changeValue", this.__onToggle, this);
+        this._add(control, { row : 0, column : 1 });
+        break;
+
+      case "strength":
+        control = new qx.ui.container.Composite(new qx.ui.layout.HBox(8).set({
+          alignY : "middle"
+        }));
+        control.add(this.getChildControl("strength-bar"), { flex : 1 });
+        control.add(this.getChildControl("strength-label"));
+        this._add(control, { row : 1, column : 0 });
+        break;
+
+      case "strength-bar":
+        // the bar is not empty for a very weak password
+        control = new qx.ui.indicator.ProgressBar(0, 5);
+        control.setHeight(6);
+        break;
+
+      case "strength-label":
+        control = new qx.ui.basic.Label();
+        control.setMinWidth(70);
+        break;
+
+      case "capslock-warning":
+        control = new qx.ui.basic.Label(this.tr("Caps Lock is on."));
+        control.setTextColor("invalid");
+        control.exclude();
+        this._add(control, { row : 3, column : 0, colSpan : 2 });
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      if (!this.__updating) {
+        // a password which is set rather than typed needs no repetition
+        this.__updating = true;
+        this.getChildControl("field").setValue(value);
+        if (this.hasChildControl("confirm-field")) {
+          this.getChildControl("confirm-field").setValue(value);
+        }
+        this.__updating = false;
+      }
+      this._updateStrength();
+    },
+
+    // property apply
+    _applyPlaceholder : function(value, old) {
+      this.getChildControl("field").setPlaceholder(value);
+    },
+
+    // property apply
+    _applyShowToggle : function(value, old) {
+      if (value) {
+        this.getChildControl("toggle").show();
+      } else if (this.hasChildControl("toggle")) {
+        this.getChildControl("toggle").setValue(false);
+        this.getChildControl("toggle").exclude();
+      }
+    },
+
+    // property apply
+    _applyStrengthMeter : function(value, old) {
+      if (value) {
+        this.getChildControl("strength").show();
+        this._updateStrength();
+      } else if (this.hasChildControl("strength")) {
+        this.getChildControl("strength").exclude();
+      }
+    },
+
+    // property apply
+    _applyConfirm : function(value, old) {
+      if (value) {
+        this.getChildControl("confirm-field").show();
+      } else if (this.hasChildControl("confirm-field")) {
+        this.getChildControl("confirm-field").exclude();
+      }
+    },
+
+    /**
+     * Updates the strength meter
+     */
+    _updateStrength : function() {
+      if (!this.getStrengthMeter()) {
+        return;
+      }
+      let score = Math.max(0, Math.min(4, Math.round(this.getScore())));
+      let labels = [
+        this.tr("Very weak"), this.tr("Weak"), this.tr("Fair"),
+        this.tr("Good"), this.tr("Strong")
+      ];
+      let bar = this.getChildControl("strength-bar");
+      bar.setValue(this.getValue() ? score + 1 : 0);
+      bar.getChildControl("progress").setBackgroundColor(
+        qxl.dialog.formElement.PasswordField.STRENGTH_COLORS[score]);
+      this.getChildControl("strength-label").setValue(this.getValue() ? labels[score] : "");
+    },
+
+    /**
+     * Updates the value when the password is typed
+     * @param e {qx.event.type.Data} The change event
+     */
+    __onFieldChange : function(e) {
+      if (!this.__updating) {
+        this.__updating = true;
+        this.setValue(e.getData());
+        this.__updating = false;
+      }
+    },
+
+    /**
+     * Shows or hides the passwords
+     * @param e {qx.event.type.Data} The change event of the toggle button
+     */
+    __onToggle : function(e) {
+      let show = e.getData();
+      this.getChildControl("toggle").setLabel(show ? this.tr("Hide") : this.tr("Show"));
+      [ "field", "confirm-field" ].forEach(function(id) {
+        if (this.hasChildControl(id)) {
+          this.getChildControl(id).getContentElement()
+            .setAttribute("type", show ? "text" : "password");
+        }
+      }, this);
+    },
+
+    /**
+     * Shows the Caps Lock warning if Caps Lock is on
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKeyEvent : function(e) {
+      if (this.getCapsLockWarning()) {
+        this.getChildControl("capslock-warning").setVisibility(
+          e.isCapsLocked() ? "visible" : "excluded");
+      }
+    },
+
+    /**
+     * Hides the Caps Lock warning
+     */
+    __hideCapsLockWarning : function() {
+      if (this.hasChildControl("capslock-warning")) {
+        this.getChildControl("capslock-warning").exclude();
       }
     }
   }
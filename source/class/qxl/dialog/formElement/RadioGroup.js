@@ -43,6 +43,35 @@ qx.Class.define("qxl.dialog.formElement.RadioGroup",
         return formElement;
       },
 
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        let value = this._getFieldValue(key);
+        formElement.getItems().slice().forEach(function(radioButton) {
+          formElement.remove(radioButton);
+          radioButton.destroy();
+        });
+        options.forEach(function (item) {
+          let radioButton = new qx.ui.form.RadioButton(item.label);
+          radioButton.setUserData(
+          "value",
+          item.value !== undefined ? item.value : item.label
+          );
+          formElement.add(radioButton);
+        }, this);
+
+        // keep the value if it is still an option
+        let selected = formElement.getItems().find(function(radioButton) {
+          return radioButton.getUserData("value") === value;
+        });
+        if (selected) {
+          formElement.setSelection([selected]);
+        }
+        let selection = formElement.getSelection();
+        this._setFieldValue(key, selection.length ? selection[0].getUserData("value") : null);
+
+        // the radio buttons are rendered in a container created by the renderer
+        this._refreshForm(null);
+      },
+
       addToFormController : function(fieldType, fieldData, key, formElement) {
         this._formController.addTarget(formElement, "selection", key, true, {
           converter: function (value) {
@@ -60,6 +89,9 @@ qx.Class.define("qxl.dialog.formElement.RadioGroup",
           }.bind(this)
         }, {
           converter: function (selection) {
+            if (selection.length === 0) {
+              return null;
+            }
             let value = selection[0].getUserData("value");
             return value;
           }
@@ -0,0 +1,417 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for a variable number of entries. Each entry is rendered
+ * as a {@link qxl.dialog.SubForm} from the same form data, with buttons to
+ * move and remove it. The value is an array of maps.
+ *
+ * In form data, the `fields` member of a field of type "Repeater" contains
+ * the form data of a single entry. `min` and `max` limit the number of
+ * entries.
+ * <pre>
+ *   "phones" : {
+ *     'type'   : "Repeater",
+ *     'label'  : "Phone numbers",
+ *     'min'    : 1,
+ *     'max'    : 5,
+ *     'fields' : {
+ *       "kind"   : { 'type' : "SelectBox", 'label' : "Kind", 'options' : [...] },
+ *       "number" : { 'type' : "TextField", 'label' : "Number" }
+ *     }
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.Repeater",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IArrayForm ],
+  include : [ qx.ui.form.MForm ],
+
+  /**
+   * Constructor
+   * @param template {Map} The form data of a single entry
+   * @param context {Object?} The context for functions in the form data
+   */
+  construct : function(template, context) {
+    this.base(arguments);
+    this.__template = template;
+    this.__context = context || null;
+    this.__rows = [];
+    this._setLayout(new qx.ui.layout.VBox(5));
+
+    this.__rowContainer = new qx.ui.container.Composite(new qx.ui.layout.VBox(5));
+    this._add(this.__rowContainer);
+
+    this.__addButton = new qx.ui.form.Button(this.tr("Add"));
+    this.__addButton.setAllowStretchX(false);
+    this.__addButton.addListener("execute", function() {
+      this.addRow();
+    }, this);
+    this._add(this.__addButton);
+  },
+
+  events :
+  {
+    /**
+     * Fired when the asynchronous validations of entries, which were
+     * pending when the entries were validated, have finished
+     */
+    "entriesValidated" : "qx.event.type.Event"
+  },
+
+  properties :
+  {
+    /**
+     * The entries, an array of maps
+     */
+    value :
+    {
+      check : "Array",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The minimum number of entries
+     */
+    minItems :
+    {
+      check : "Integer",
+      init : 0,
+      apply : "_updateButtons"
+    },
+
+    /**
+     * The maximum number of entries, or null for no limit
+     */
+    maxItems :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null,
+      apply : "_updateButtons"
+    },
+
+    /**
+     * Whether the entries are only shown. The buttons are then hidden and
+     * the fields of the entries are shown as text.
+     */
+    readOnly :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyReadOnly"
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "repeater", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        if (!qx.lang.Type.isObject(fieldData.fields)) {
+          throw new Error(`Repeater ${key} needs a 'fields' member {Map}`);
+        }
+        let formElement =
+          new qxl.dialog.formElement.Repeater(fieldData.fields, this.getContext());
+        if (typeof fieldData.min == "number") {
+          formElement.setMinItems(fieldData.min);
+        }
+        if (typeof fieldData.max == "number") {
+          formElement.setMaxItems(fieldData.max);
+        }
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the initial value has been marshaled into a qx.data.Array
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            // an empty array creates the minimum number of entries
+            return value || [];
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            return value;
+          }.bind(this)
+        });
+        formElement.addListener("entriesValidated", function() {
+          this._form.getValidationManager().validate();
+        }, this);
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return function(value, item) {
+          formElement.validateEntries();
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
+      },
+
+      setReadOnly : function(fieldType, fieldData, key, formElement, readOnly) {
+        // the entries show their values themselves
+        formElement.setReadOnly(readOnly);
+      }
+    }
+  },
+
+  members :
+  {
+    __template : null,
+    __context : null,
+    __rows : null,
+    __rowContainer : null,
+    __addButton : null,
+    __updating : false,
+
+    /**
+     * Adds an entry
+     * @param data {Map?} The values of the entry
+     */
+    addRow : function(data) {
+      this.__createRow(data || {});
+      this.__syncValue();
+    },
+
+    /**
+     * Removes the entry at the given index
+     * @param index {Integer} The index of the entry
+     */
+    removeRow : function(index) {
+      let row = this.__rows.splice(index, 1)[0];
+      if (row) {
+        this.__disposeRow(row);
+        this.__syncValue();
+      }
+    },
+
+    /**
+     * Moves an entry to a new position
+     * @param index {Integer} The current index of the entry
+     * @param newIndex {Integer} The new index of the entry
+     */
+    moveRow : function(index, newIndex) {
+      if (newIndex < 0 || newIndex >= this.__rows.length || index === newIndex) {
+        return;
+      }
+      let row = this.__rows.splice(index, 1)[0];
+      this.__rows.splice(newIndex, 0, row);
+      this.__rowContainer.addAt(row.container, newIndex);
+      this.__syncValue();
+    },
+
+    /**
+     * Returns the sub-forms of the entries
+     * @return {qxl.dialog.SubForm[]}
+     */
+    getRowForms : function() {
+      return this.__rows.map(function(row) {
+        return row.form;
+      });
+    },
+
+    /**
+     * Validates the number of entries and the fields of every entry.
+     * Entries with pending asynchronous validations are validated again
+     * when these have finished, see the "entriesValidated" event.
+     * @throws {qx.core.ValidationError} If the entries are not valid, or
+     *   asynchronous validations are pending
+     */
+    validateEntries : function() {
+      let count = this.__rows.length;
+      let max = this.getMaxItems();
+      if (count < this.getMinItems()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("At least %1 entries are required", this.getMinItems()));
+      }
+      if (max !== null && count > max) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("At most %1 entries are allowed", max));
+      }
+      let results = this.__rows.map(function(row) {
+        let valid = row.form.validate();
+        row.pending = valid === null;
+        return valid;
+      });
+      if (results.indexOf(false) !== -1) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("Please correct the invalid entries"));
+      }
+      if (results.indexOf(null) !== -1) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The entries are being validated"));
+      }
+    },
+
+    /**
+     * Rebuilds the entries if the value was changed from outside
+     * @param value {Array|null} The new value
+     * @param old {Array|null} The old value
+     */
+    _applyValue : function(value, old) {
+      if (this.__updating) {
+        return;
+      }
+      this.__rows.forEach(this.__disposeRow, this);
+      this.__rows = [];
+      (value || []).forEach(function(data) {
+        this.__createRow(data);
+      }, this);
+      // fill up to the minimum number of entries
+      if (this.__rows.length < this.getMinItems()) {
+        while (this.__rows.length < this.getMinItems()) {
+          this.__createRow({});
+        }
+        qx.event.Timer.once(this.__syncValue, this, 0);
+      }
+      this._updateButtons();
+    },
+
+    // property apply
+    _applyReadOnly : function(value, old) {
+      this.__addButton.setVisibility(value ? "excluded" : "visible");
+      this.__rows.forEach(function(row) {
+        row.form.setReadOnly(value);
+        row.buttons.setVisibility(value ? "excluded" : "visible");
+      });
+    },
+
+    /**
+     * Enables and disables the buttons according to the number of entries
+     */
+    _updateButtons : function() {
+      let count = this.__rows.length;
+      let max = this.getMaxItems();
+      this.__addButton.setEnabled(max === null || count < max);
+      this.__rows.forEach(function(row, index) {
+        row.upButton.setEnabled(index > 0);
+        row.downButton.setEnabled(index < count - 1);
+        row.removeButton.setEnabled(count > this.getMinItems());
+      }, this);
+    },
+
+    /**
+     * Creates the widgets for an entry
+     * @param data {Map} The values of the entry
+     */
+    __createRow : function(data) {
+      let formData = {};
+      for (let key of Object.getOwnPropertyNames(this.__template)) {
+        formData[key] = Object.assign({}, this.__template[key]);
+        if (data[key] !== undefined) {
+          formData[key].value = data[key];
+        }
+      }
+      let row = {
+        container : new qx.ui.container.Composite(new qx.ui.layout.HBox(5)),
+        form : new qxl.dialog.SubForm(formData, this.__context)
+      };
+      row.container.add(row.form, { flex : 1 });
+      let buttons = row.buttons = new qx.ui.container.Composite(new qx.ui.layout.VBox(2));
+      row.upButton = this.__createRowButton("▲", this.tr("Move up"), function() {
+        let index = this.__rows.indexOf(row);
+        this.moveRow(index, index - 1);
+      });
+      row.downButton = this.__createRowButton("▼", this.tr("Move down"), function() {
+        let index = this.__rows.indexOf(row);
+        this.moveRow(index, index + 1);
+      });
+      row.removeButton = this.__createRowButton("✕", this.tr("Remove"), function() {
+        this.removeRow(this.__rows.indexOf(row));
+      });
+      buttons.add(row.upButton);
+      buttons.add(row.downButton);
+      buttons.add(row.removeButton);
+      row.container.add(buttons);
+      if (this.getReadOnly()) {
+        row.form.setReadOnly(true);
+        buttons.setVisibility("excluded");
+      }
+      row.form.getModel().addListener("changeBubble", this.__syncValue, this);
+      row.form.getForm().getValidationManager().addListener("complete", function() {
+        if (row.pending) {
+          row.pending = false;
+          this.fireEvent("entriesValidated");
+        }
+      }, this);
+      this.__rows.push(row);
+      this.__rowContainer.add(row.container);
+    },
+
+    /**
+     * Destroys the widgets of an entry, including its sub-form with the
+     * model and the controller of the sub-form
+     * @param row {Map} The entry
+     */
+    __disposeRow : function(row) {
+      qx.util.DisposeUtil.destroyContainer(row.container);
+    },
+
+    /**
+     * Creates a button for an entry
+     * @param label {String} The label of the button
+     * @param toolTipText {String} The tooltip text
+     * @param handler {Function} The function called on execution
+     * @return {qx.ui.form.Button}
+     */
+    __createRowButton : function(label, toolTipText, handler) {
+      let button = new qx.ui.form.Button(label);
+      button.set({
+        toolTipText : toolTipText,
+        padding : [0, 4],
+        allowStretchY : false
+      });
+      button.addListener("execute", handler, this);
+      return button;
+    },
+
+    /**
+     * Updates the value from the entries
+     */
+    __syncValue : function() {
+      if (this.isDisposed()) {
+        return;
+      }
+      this.__updating = true;
+      this.setValue(this.__rows.map(function(row) {
+        return row.form.getValue();
+      }));
+      this.__updating = false;
+      this._updateButtons();
+    }
+  },
+
+  destruct : function() {
+    this.__rows.forEach(this.__disposeRow, this);
+    this.__rows = this.__template = this.__context = null;
+  }
+});
@@ -0,0 +1,492 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A select box for large option lists. Typing into its text field filters
+ * the options and highlights the matches; the options are rendered in a
+ * virtual list and may be grouped under headers. The value is the `value`
+ * member of the selected option.
+ *
+ * Options are maps with the members `label`, `value` (defaults to the
+ * label) and `group` (optional), under whose header the option is shown.
+ * <pre>
+ *   "customer" : {
+ *     'type'    : "SearchSelect",
+ *     'label'   : "Customer",
+ *     'options' : [
+ *       { 'label' : "ACME Inc.", 'value' : 17, 'group' : "Active" },
+ *       { 'label' : "Globex",    'value' : 23, 'group' : "Archived" }
+ *     ]
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.SearchSelect",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IField ],
+  include : [ qx.ui.form.MForm ],
+
+  /**
+   * Constructor
+   * @param options {Array?} The options
+   */
+  construct : function(options) {
+    this.base(arguments);
+    this.__options = [];
+    this.__searchText = "";
+    this._setLayout(new qx.ui.layout.HBox());
+    this._createChildControl("textfield");
+    this._createChildControl("button");
+    this.addListener("resize", this.__onResize, this);
+    if (options) {
+      this.setOptions(options);
+    }
+  },
+
+  properties :
+  {
+    appearance :
+    {
+      refine : true,
+      init : "combobox"
+    },
+
+    /**
+     * The value of the selected option, or null if none is selected
+     */
+    value :
+    {
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The placeholder of the text field
+     */
+    placeholder :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      apply : "_applyPlaceholder"
+    },
+
+    /**
+     * The maximum height of the option list
+     */
+    maxListHeight :
+    {
+      check : "Integer",
+      init : 200
+    },
+
+    /**
+     * The minimum number of characters to type before the options are
+     * filtered
+     */
+    minSearchLength :
+    {
+      check : "Integer",
+      init : 1
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "searchselect", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.SearchSelect(fieldData.options);
+        if (fieldData.minSearchLength !== undefined) {
+          formElement.setMinSearchLength(fieldData.minSearchLength);
+        }
+        if (fieldData.maxListHeight !== undefined) {
+          formElement.setMaxListHeight(fieldData.maxListHeight);
+        }
+        return formElement;
+      },
+
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        formElement.setOptions(options);
+        if (formElement.getValue() !== this._getFieldValue(key)) {
+          this._setFieldValue(key, formElement.getValue());
+        }
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true);
+      }
+    }
+  },
+
+  members :
+  {
+    __options : null,
+    __searchText : null,
+    __escapePressed : false,
+
+    /**
+     * Sets the options. The value is kept if it is one of the new options,
+     * and reset otherwise.
+     * @param options {Array} Array of maps with `label`, `value` and `group`
+     */
+    setOptions : function(options) {
+      this.__options = options.map(function(option) {
+        return {
+          label : String(option.label),
+          value : option.value !== undefined ? option.value : option.label,
+          group : option.group || null
+        };
+      });
+      let list = this.getChildControl("list");
+      let delegate = {
+        configureItem : function(item) {
+          item.setRich(true);
+        },
+        filter : this.__filter.bind(this)
+      };
+      // options without a group would be shown under an anonymous header
+      if (this.__options.some(function(option) {
+        return option.group !== null;
+      })) {
+        delegate.group = function(data) {
+          return data.getGroup() || "";
+        };
+      }
+      list.setDelegate(delegate);
+      let oldModel = list.getModel();
+      list.setModel(qx.data.marshal.Json.createModel(
+        this.__options.map(function(option, index) {
+          return { label : option.label, group : option.group, index : index };
+        })));
+      if (oldModel) {
+        oldModel.dispose();
+      }
+      if (this.__findOption(this.getValue()) === null) {
+        this.resetValue();
+      } else {
+        this.__showValue();
+      }
+    },
+
+    /**
+     * Returns the options
+     * @return {Array} Array of maps with `label`, `value` and `group`
+     */
+    getOptions : function() {
+      return this.__options;
+    },
+
+    // overridden
+    focus : function() {
+      this.getChildControl("textfield").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("textfield").tabFocus();
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "textfield":
+        control = new qx.ui.form.TextField();
+        control.setLiveUpdate(true);
+        control.addListener("input", this.__onInput, this);
+        control.addListener("keypress", this.__onKeyPress, this);
+        control.addListener("keyup", this.__onKeyUp, this);
+        control.addListener("blur", this.__onBlur, this);
+        this._add(control, { flex : 1 });
+        break;
+
+      case "button":
+        control = new qx.ui.form.Button();
+        control.setFocusable(false);
+        control.setKeepFocus(true);
+        control.addState("inner");
+        control.addListener("execute", this.toggle, this);
+        this._add(control);
+        break;
+
+      case "popup":
+        control = new qx.ui.popup.Popup(new qx.ui.layout.Grow());
+        control.setAutoHide(false);
+        control.add(this.getChildControl("list"));
+        break;
+
+      case "list":
+        control = new qx.ui.list.List();
+        control.setFocusable(false);
+        control.setKeepFocus(true);
+        control.setLabelPath("label");
+        control.setLabelOptions({
+          converter : this.__highlight.bind(this)
+        });
+        control.addListener("tap", this.__onListTap, this);
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    /**
+     * Opens the option list
+     */
+    open : function() {
+      if (!this.isEnabled()) {
+        return;
+      }
+      let popup = this.getChildControl("popup");
+      let list = this.getChildControl("list");
+      list.refresh();
+      let rowCount = list.getPane().getRowConfig().getItemCount();
+      list.setHeight(Math.min(
+        this.getMaxListHeight(),
+        Math.max(rowCount, 1) * list.getItemHeight() + 4));
+      popup.show();
+      popup.placeToWidget(this, true);
+      this.__preselect(this.__findOption(this.getValue()));
+    },
+
+    /**
+     * Closes the option list, discarding the search text
+     */
+    close : function() {
+      this.getChildControl("popup").hide();
+      this.__searchText = "";
+      this.__showValue();
+    },
+
+    /**
+     * Opens the option list if it is closed, and closes it otherwise
+     */
+    toggle : function() {
+      if (this.getChildControl("popup").isVisible()) {
+        this.close();
+      } else {
+        this.open();
+        this.getChildControl("textfield").focus();
+      }
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__showValue();
+    },
+
+    // property apply
+    _applyPlaceholder : function(value, old) {
+      this.getChildControl("textfield").setPlaceholder(value);
+    },
+
+    /**
+     * Shows the label of the selected option in the text field
+     */
+    __showValue : function() {
+      let index = this.__findOption(this.getValue());
+      this.getChildControl("textfield").setValue(
+        index === null ? "" : this.__options[index].label);
+    },
+
+    /**
+     * Returns the index of the option with the given value
+     * @param value {var} The value
+     * @return {Integer|null} The index, or null if no option has the value
+     */
+    __findOption : function(value) {
+      if (value === null) {
+        return null;
+      }
+      for (let i = 0; i < this.__options.length; i++) {
+        if (this.__options[i].value === value) {
+          return i;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Returns whether an option matches the current search text
+     * @param data {qx.core.Object} The model of the option
+     * @return {Boolean}
+     */
+    __filter : function(data) {
+      if (this.__searchText.length < this.getMinSearchLength()) {
+        return true;
+      }
+      return data.getLabel().toLowerCase().indexOf(this.__searchText.toLowerCase()) !== -1;
+    },
+
+    /**
+     * Converts a label to HTML, highlighting the search text
+     * @param label {String} The label
+     * @return {String} The HTML
+     */
+    __highlight : function(label) {
+      label = label || "";
+      let search = this.__searchText;
+      let start = search.length >= this.getMinSearchLength() ?
+        label.toLowerCase().indexOf(search.toLowerCase()) : -1;
+      if (search.length === 0 || start === -1) {
+        return qx.bom.String.escape(label);
+      }
+      return qx.bom.String.escape(label.substring(0, start)) +
+        "<b>" + qx.bom.String.escape(label.substr(start, search.length)) + "</b>" +
+        qx.bom.String.escape(label.substring(start + search.length));
+    },
+
+    /**
+     * Selects the option with the given index in the list, without
+     * changing the value
+     * @param index {Integer|null} The index of the option
+     */
+    __preselect : function(index) {
+      let list = this.getChildControl("list");
+      let model = list.getModel();
+      if (index === null || !model) {
+        list.resetSelection();
+        return;
+      }
+      let item = model.getItem(index);
+      list.setSelection([item]);
+    },
+
+    /**
+     * Sets the value to the option selected in the list and closes it
+     */
+    __commit : function() {
+      let selection = this.getChildControl("list").getSelection();
+      if (selection.getLength() > 0) {
+        this.setValue(this.__options[selection.getItem(0).getIndex()].value);
+      }
+      this.close();
+    },
+
+    /**
+     * Filters the options while typing
+     * @param e {qx.event.type.Data} The input event
+     */
+    __onInput : function(e) {
+      this.__searchText = e.getData() || "";
+      if (!this.getChildControl("popup").isVisible()) {
+        this.open();
+      }
+      let list = this.getChildControl("list");
+      list.refresh();
+
+      // preselect the first match. Groups are shown in the order of their
+      // first option, so this is also the first match in the list.
+      let first = null;
+      list.getModel().toArray().some(function(data) {
+        if (this.__filter(data)) {
+          first = data.getIndex();
+          return true;
+        }
+        return false;
+      }, this);
+      this.__preselect(first);
+    },
+
+    /**
+     * Handles keyboard navigation in the option list
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKeyPress : function(e) {
+      let popup = this.getChildControl("popup");
+      switch (e.getKeyIdentifier()) {
+      case "Down":
+      case "Up":
+      case "PageDown":
+      case "PageUp":
+        if (!popup.isVisible()) {
+          this.open();
+        } else {
+          let clone = e.clone();
+          clone.setTarget(this.getChildControl("list"));
+          clone.setBubbles(false);
+          this.getChildControl("list").dispatchEvent(clone);
+        }
+        e.preventDefault();
+        break;
+
+      case "Enter":
+        if (popup.isVisible()) {
+          this.__commit();
+          e.stop();
+        }
+        break;
+
+      case "Escape":
+        if (popup.isVisible()) {
+          this.close();
+          this.__escapePressed = true;
+          e.stop();
+        }
+        break;
+      }
+    },
+
+    /**
+     * Prevents the dialog from being cancelled by the Escape key which
+     * closed the option list
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKeyUp : function(e) {
+      if (e.getKeyIdentifier() === "Escape" && this.__escapePressed) {
+        this.__escapePressed = false;
+        e.stopPropagation();
+      }
+    },
+
+    /**
+     * Closes the option list when the text field loses the focus
+     * @param e {qx.event.type.Focus} The blur event
+     */
+    __onBlur : function(e) {
+      if (this.getChildControl("popup").isVisible()) {
+        this.close();
+      } else {
+        this.__showValue();
+      }
+    },
+
+    /**
+     * Selects the tapped option
+     * @param e {qx.event.type.Tap} The tap event
+     */
+    __onListTap : function(e) {
+      this.__commit();
+    },
+
+    /**
+     * Keeps the option list as wide as the widget
+     * @param e {qx.event.type.Data} The resize event
+     */
+    __onResize : function(e) {
+      this.getChildControl("popup").setMinWidth(e.getData().width);
+    }
+  }
+});
@@ -30,15 +30,39 @@ qx.Class.define("qxl.dialog.formElement.SelectBox",
       initElement : function(fieldType, fieldData, key) {
         let formElement = new qx.ui.form.SelectBox();
         let model = qx.data.marshal.Json.createModel(fieldData.options);
-        new qx.data.controller.List(model, formElement, "label");
+        let controller = new qx.data.controller.List(model, formElement, "label");
+        formElement.setUserData("listController", controller);
         return formElement;
       },
 
+      setOptions : function(fieldType, fieldData, key, formElement, options) {
+        let value = this._getFieldValue(key);
+        let controller = formElement.getUserData("listController");
+        let oldModel = controller.getModel();
+        controller.setModel(qx.data.marshal.Json.createModel(options));
+        if (oldModel) {
+          oldModel.dispose();
+        }
+        // keep the value if it is still an option, otherwise select the first
+        let selectables = formElement.getSelectables();
+        let selected = selectables.find(function(selectable) {
+          return selectable.getModel().getValue() === value;
+        }) || selectables[0];
+        if (selected) {
+          formElement.setSelection([selected]);
+        }
+        this._setFieldValue(key, selected ? selected.getModel().getValue() : null);
+      },
+
       addToFormController : function(fieldType, fieldData, key, formElement) {
         this._formController.addTarget(formElement, "selection", key, true, {
           converter: function (value) {
             let selected = null;
             let selectables = formElement.getSelectables();
+            if (selectables.length === 0) {
+              // the options may not have been loaded yet
+              return [];
+            }
             selectables.forEach(function (selectable) {
               if (selectable.getModel().getValue() === value) {
                 selected = selectable;
@@ -51,6 +75,9 @@ qx.Class.define("qxl.dialog.formElement.SelectBox",
           }.bind(this)
         }, {
           converter: function (selection) {
+            if (selection.length === 0) {
+              return null;
+            }
             let value = selection[0].getModel().getValue();
             return value;
           }
@@ -0,0 +1,552 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A slider form element with a label showing the current value. In range
+ * mode, the slider has two knobs and its value is a map with the members
+ * `min` and `max`. Unlike {@link qx.ui.form.Slider}, the values are not
+ * restricted to integers, but snap to multiples of the step.
+ *
+ * In form data, fields of type "Slider" and "RangeSlider" select a number,
+ * or a range given as a map with `min` and `max`, between `min` and `max`
+ * in steps of `step`. `ticks` is the distance between tick marks, or `true`
+ * for a tick mark at every step. The value is shown next to the slider,
+ * formatted by `numberFormat` (a `qx.util.format.NumberFormat`) or by
+ * `fractionsDigits` as for the Spinner.
+ * <pre>
+ *   "price" : {
+ *     'type'  : "RangeSlider",
+ *     'label' : "Price",
+ *     'min'   : 0,
+ *     'max'   : 500,
+ *     'step'  : 10,
+ *     'ticks' : 50,
+ *     'value' : { 'min' : 100, 'max' : 300 }
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.SliderField",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IField ],
+  include : [ qx.ui.form.MForm ],
+
+  /**
+   * Constructor
+   * @param range {Boolean?false} Whether the slider selects a range
+   */
+  construct : function(range) {
+    this.base(arguments);
+    this.__range = Boolean(range);
+    let layout = new qx.ui.layout.Grid(8, 2);
+    layout.setColumnFlex(0, 1);
+    layout.setRowAlign(0, "left", "middle");
+    this._setLayout(layout);
+
+    let track = this.getChildControl("track");
+    if (this.__range) {
+      this.getChildControl("bar");
+      this.__knobs = [ this.getChildControl("knob"), this.getChildControl("upper-knob") ];
+    } else {
+      this.__knobs = [ this.getChildControl("knob") ];
+    }
+    track.addListener("resize", this.__update, this);
+    track.addListener("pointerdown", this.__onTrackPointerDown, this);
+    this.getChildControl("label");
+    this.__update();
+  },
+
+  properties :
+  {
+    /**
+     * The value, or in range mode a map with `min` and `max`
+     */
+    value :
+    {
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The smallest value
+     */
+    minimum :
+    {
+      check : "Number",
+      init : 0,
+      apply : "_applyValue"
+    },
+
+    /**
+     * The largest value
+     */
+    maximum :
+    {
+      check : "Number",
+      init : 100,
+      apply : "_applyValue"
+    },
+
+    /**
+     * The distance between two adjacent values
+     */
+    step :
+    {
+      check : "Number",
+      init : 1
+    },
+
+    /**
+     * The distance between tick marks, true for a tick mark at every step,
+     * or null for no tick marks
+     */
+    ticks :
+    {
+      nullable : true,
+      init : null,
+      apply : "_applyTicks"
+    },
+
+    /**
+     * The format of the value shown in the label
+     */
+    numberFormat :
+    {
+      check : "qx.util.format.NumberFormat",
+      nullable : true,
+      init : null,
+      apply : "_applyValue"
+    },
+
+    /**
+     * Whether the label showing the value is visible
+     */
+    showValue :
+    {
+      check : "Boolean",
+      init : true,
+      apply : "_applyShowValue"
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "slider", this._registration);
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "rangeslider", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement =
+          new qxl.dialog.formElement.SliderField(fieldType === "rangeslider");
+        if (typeof fieldData.min == "number") {
+          formElement.setMinimum(fieldData.min);
+        }
+        if (typeof fieldData.max == "number") {
+          formElement.setMaximum(fieldData.max);
+        }
+        if (typeof fieldData.step == "number") {
+          formElement.setStep(fieldData.step);
+        }
+        if (fieldData.ticks !== undefined) {
+          formElement.setTicks(fieldData.ticks);
+        }
+        if (fieldData.showValue !== undefined) {
+          formElement.setShowValue(fieldData.showValue);
+        }
+        if (fieldData.numberFormat instanceof qx.util.format.NumberFormat) {
+          formElement.setNumberFormat(fieldData.numberFormat);
+        } else if (fieldData.fractionsDigits) {
+          let fd = fieldData.fractionsDigits;
+          let nf = new qx.util.format.NumberFormat();
+          if (fd.min) {
+            nf.setMinimumFractionDigits(fd.min);
+          }
+          if (fd.max) {
+            nf.setMaximumFractionDigits(fd.max);
+          }
+          formElement.setNumberFormat(nf);
+        }
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the initial range has been marshaled into a model object
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            return value;
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            return value;
+          }.bind(this)
+        });
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        let numberFormat = formElement.getNumberFormat();
+        let format = function(number) {
+          return numberFormat ? numberFormat.format(number) : String(number);
+        };
+        if (value === null || value === undefined) {
+          return this._formatValue(null, null);
+        }
+        return qx.bom.String.escape(typeof value == "number" ? format(value) :
+          format(value.min) + " – " + format(value.max));
+      }
+    }
+  },
+
+  members :
+  {
+    __range : false,
+    __knobs : null,
+    __dragKnob : null,
+
+    // overridden
+    focus : function() {
+      this.__knobs[0].focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.__knobs[0].tabFocus();
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "track":
+        control = new qx.ui.container.Composite(new qx.ui.layout.Canvas());
+        control.setAppearance("slider");
+        control.setFocusable(false);
+        this._add(control, { row : 0, column : 0 });
+        break;
+
+      case "bar":
+        control = new qx.ui.core.Widget();
+        control.setBackgroundColor("background-selected");
+        this.getChildControl("track").add(control, { left : 0, top : 2, bottom : 2 });
+        break;
+
+      case "knob":
+      case "upper-knob":
+        control = new qx.ui.core.Widget();
+        control.setAppearance("slider/knob");
+        control.setFocusable(true);
+        control.addListener("keypress", this.__onKnobKeyPress, this);
+        control.addListener("pointermove", this.__onPointerMove, this);
+        control.addListener("pointerup", this.__onPointerUp, this);
+        control.addListener("losecapture", this.__onPointerUp, this);
+        this.getChildControl("track").add(control, { left : 0, top : 0, bottom : 0 });
+        break;
+
+      case "label":
+        control = new qx.ui.basic.Label();
+        control.setMinWidth(40);
+        this._add(control, { row : 0, column : 1 });
+        break;
+
+      case "ticks":
+        control = new qx.ui.embed.Html();
+        control.setHeight(6);
+        this._add(control, { row : 1, column : 0 });
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__update();
+    },
+
+    // property apply
+    _applyTicks : function(value, old) {
+      if (value) {
+        this.getChildControl("ticks").show();
+      } else if (this.hasChildControl("ticks")) {
+        this.getChildControl("ticks").exclude();
+      }
+      this.__update();
+    },
+
+    // property apply
+    _applyShowValue : function(value, old) {
+      this.getChildControl("label").setVisibility(value ? "visible" : "excluded");
+    },
+
+    /**
+     * Returns the values at which the knobs are shown
+     * @return {Number[]} One value per knob
+     */
+    __getKnobValues : function() {
+      let value = this.getValue();
+      if (this.__range) {
+        value = value || {};
+        return [
+          typeof value.min == "number" ? value.min : this.getMinimum(),
+          typeof value.max == "number" ? value.max : this.getMaximum()
+        ];
+      }
+      return [ typeof value == "number" ? value : this.getMinimum() ];
+    },
+
+    /**
+     * Returns the width available for positioning the knobs
+     * @return {Map} The `width` of the track and of a `knob`
+     */
+    __getTrackMetrics : function() {
+      let inner = this.getChildControl("track").getInnerSize();
+      let knob = this.__knobs[0].getSizeHint();
+      return {
+        width : inner ? inner.width : 0,
+        knob : knob.width
+      };
+    },
+
+    /**
+     * Returns the relative position of a value on the track
+     * @param value {Number} The value
+     * @return {Number} A number between 0 and 1
+     */
+    __toFraction : function(value) {
+      let span = this.getMaximum() - this.getMinimum();
+      if (span <= 0) {
+        return 0;
+      }
+      return Math.max(0, Math.min(1, (value - this.getMinimum()) / span));
+    },
+
+    /**
+     * Rounds a value to the nearest step within the range of the slider
+     * @param value {Number} The value
+     * @return {Number} The rounded value
+     */
+    __snap : function(value) {
+      let min = this.getMinimum();
+      let step = this.getStep() > 0 ? this.getStep() : 1;
+      value = min + Math.round((value - min) / step) * step;
+      value = Math.max(min, Math.min(this.getMaximum(), value));
+      // avoid floating point artifacts such as 0.30000000000000004
+      let decimals = (String(step).split(".")[1] || "").length;
+      return parseFloat(value.toFixed(Math.max(decimals,
+        (String(min).split(".")[1] || "").length)));
+    },
+
+    /**
+     * Positions the knobs, the range bar and the tick marks, and updates
+     * the label
+     */
+    __update : function() {
+      if (!this.__knobs) {
+        return;
+      }
+      let metrics = this.__getTrackMetrics();
+      let usable = Math.max(0, metrics.width - metrics.knob);
+      let values = this.__getKnobValues();
+      let lefts = values.map(function(value) {
+        return Math.round(this.__toFraction(value) * usable);
+      }, this);
+      this.__knobs.forEach(function(knob, index) {
+        knob.setLayoutProperties({ left : lefts[index] });
+      });
+      if (this.__range) {
+        this.getChildControl("bar").setLayoutProperties({
+          left : lefts[0] + Math.round(metrics.knob / 2),
+          width : Math.max(0, lefts[1] - lefts[0])
+        });
+      }
+
+      // tick marks
+      let ticks = this.getTicks();
+      if (ticks && usable > 0) {
+        let interval = ticks === true ? this.getStep() : ticks;
+        let offset = this.getChildControl("track").getInsets().left +
+          Math.round(metrics.knob / 2);
+        let html = "";
+        let count = Math.floor((this.getMaximum() - this.getMinimum()) / interval);
+        for (let i = 0; i <= count && i <= 200; i++) {
+          let left = offset + Math.round(
+            this.__toFraction(this.getMinimum() + i * interval) * usable);
+          html += "<div style='position:absolute;top:0;width:1px;height:5px;" +
+            "background:#808080;left:" + left + "px'></div>";
+        }
+        this.getChildControl("ticks").setHtml(html);
+      }
+
+      // label
+      let format = function(value) {
+        let numberFormat = this.getNumberFormat();
+        return numberFormat ? numberFormat.format(value) : String(value);
+      }.bind(this);
+      let value = this.getValue();
+      let text = "";
+      if (this.__range) {
+        if (value) {
+          text = format(values[0]) + " – " + format(values[1]);
+        }
+      } else if (typeof value == "number") {
+        text = format(value);
+      }
+      this.getChildControl("label").setValue(text);
+    },
+
+    /**
+     * Sets the value shown by a knob
+     * @param index {Integer} The index of the knob
+     * @param value {Number} The value of the knob
+     */
+    __setKnobValue : function(index, value) {
+      value = this.__snap(value);
+      if (!this.__range) {
+        this.setValue(value);
+        return;
+      }
+      let values = this.__getKnobValues();
+      if (index === 0) {
+        values[0] = Math.min(value, values[1]);
+      } else {
+        values[1] = Math.max(value, values[0]);
+      }
+      let old = this.getValue();
+      if (!old || old.min !== values[0] || old.max !== values[1]) {
+        this.setValue({ min : values[0], max : values[1] });
+      }
+    },
+
+    /**
+     * Returns the value at the position of a pointer event
+     * @param e {qx.event.type.Pointer} The pointer event
+     * @return {Number} The value
+     */
+    __valueAt : function(e) {
+      let track = this.getChildControl("track");
+      let metrics = this.__getTrackMetrics();
+      let usable = Math.max(1, metrics.width - metrics.knob);
+      let left = track.getContentLocation().left + track.getInsets().left;
+      let fraction = (e.getDocumentLeft() - left - metrics.knob / 2) / usable;
+      fraction = Math.max(0, Math.min(1, fraction));
+      return this.getMinimum() + fraction * (this.getMaximum() - this.getMinimum());
+    },
+
+    /**
+     * Starts dragging the knob nearest to the pointer, moving it to the
+     * pointer position if the track was hit
+     * @param e {qx.event.type.Pointer} The pointer event
+     */
+    __onTrackPointerDown : function(e) {
+      if (!this.isEnabled() || !e.isPrimary()) {
+        return;
+      }
+      let value = this.__valueAt(e);
+      let index = this.__knobs.indexOf(e.getTarget());
+      if (index === -1) {
+        index = 0;
+        if (this.__range) {
+          let values = this.__getKnobValues();
+          index = Math.abs(value - values[0]) <= Math.abs(value - values[1]) ? 0 : 1;
+          // move the upper knob if both are at the upper end
+          if (values[0] === values[1] && value > values[1]) {
+            index = 1;
+          }
+        }
+        this.__setKnobValue(index, value);
+      }
+      this.__dragKnob = this.__knobs[index];
+      this.__dragKnob.capture();
+      this.__dragKnob.focus();
+      e.stopPropagation();
+    },
+
+    /**
+     * Moves the dragged knob
+     * @param e {qx.event.type.Pointer} The pointer event
+     */
+    __onPointerMove : function(e) {
+      if (this.__dragKnob && this.__dragKnob === e.getTarget()) {
+        this.__setKnobValue(this.__knobs.indexOf(this.__dragKnob), this.__valueAt(e));
+      }
+    },
+
+    /**
+     * Stops dragging
+     * @param e {qx.event.type.Pointer} The pointer event
+     */
+    __onPointerUp : function(e) {
+      if (this.__dragKnob) {
+        let knob = this.__dragKnob;
+        this.__dragKnob = null;
+        knob.releaseCapture();
+      }
+    },
+
+    /**
+     * Moves a knob with the keyboard
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKnobKeyPress : function(e) {
+      let index = this.__knobs.indexOf(e.getTarget());
+      let value = this.__getKnobValues()[index];
+      let step = this.getStep();
+      switch (e.getKeyIdentifier()) {
+      case "Left":
+      case "Down":
+        value -= step;
+        break;
+
+      case "Right":
+      case "Up":
+        value += step;
+        break;
+
+      case "PageDown":
+        value -= step * 10;
+        break;
+
+      case "PageUp":
+        value += step * 10;
+        break;
+
+      case "Home":
+        value = this.getMinimum();
+        break;
+
+      case "End":
+        value = this.getMaximum();
+        break;
+
+      default:
+        return;
+      }
+      this.__setKnobValue(index, value);
+      e.preventDefault();
+    }
+  }
+});
@@ -0,0 +1,387 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for entering a time of day, with spinners for the hours
+ * and minutes and, in 12-hour mode, a selection of AM or PM. The value is
+ * a string in the ISO 8601 format "HH:mm" (24 hours), or null.
+ *
+ * In form data, `use12Hours` shows the hours from 1 to 12 with AM or PM,
+ * `minuteStep` is the step of the minutes spinner, and `min` and `max` are
+ * the earliest and latest valid times, given as strings "HH:mm".
+ * <pre>
+ *   "opening" : {
+ *     'type'       : "TimeField",
+ *     'label'      : "Opens at",
+ *     'minuteStep' : 15,
+ *     'min'        : "06:00",
+ *     'max'        : "12:00"
+ *   }
+ * </pre>
+ */
+qx.Class.define("qxl.dialog.formElement.TimeField",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IStringForm ],
+  include : [ qx.ui.form.MForm ],
+
+  construct : function() {
+    this.base(arguments);
+    this._setLayout(new qx.ui.layout.HBox(2).set({
+      alignY : "middle"
+    }));
+    this.getChildControl("hours");
+    this.getChildControl("separator");
+    this.getChildControl("minutes");
+    this._applyUse12Hours(false);
+  },
+
+  properties :
+  {
+    /**
+     * The time as "HH:mm", or null
+     */
+    value :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * Whether the hours are shown from 1 to 12 with AM or PM
+     */
+    use12Hours :
+    {
+      check : "Boolean",
+      init : false,
+      apply : "_applyUse12Hours"
+    },
+
+    /**
+     * The step of the minutes spinner
+     */
+    minuteStep :
+    {
+      check : "Integer",
+      init : 1,
+      apply : "_applyMinuteStep"
+    },
+
+    /**
+     * The earliest valid time as "HH:mm", or null
+     */
+    minimum :
+    {
+      check : "String",
+      nullable : true,
+      init : null
+    },
+
+    /**
+     * The latest valid time as "HH:mm", or null
+     */
+    maximum :
+    {
+      check : "String",
+      nullable : true,
+      init : null
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "timefield", this._registration);
+    },
+
+    /**
+     * Parses a time
+     * @param value {String|null} The time as "HH:mm" or "HH:mm:ss"
+     * @return {Map|null} Map with the `hours` and `minutes`, or null if the
+     *   value is not a valid time
+     */
+    parse : function(value) {
+      let match = /^(\d{1,2}):(\d{2})(:\d{2}(\.\d+)?)?$/.exec(value || "");
+      if (!match) {
+        return null;
+      }
+      let hours = Number(match[1]);
+      let minutes = Number(match[2]);
+      if (hours > 23 || minutes > 59) {
+        return null;
+      }
+      return { hours : hours, minutes : minutes };
+    },
+
+    /**
+     * Formats a time
+     * @param hours {Integer} The hours (0-23)
+     * @param minutes {Integer} The minutes
+     * @return {String} The time as "HH:mm"
+     */
+    format : function(hours, minutes) {
+      return (hours < 10 ? "0" : "") + hours + ":" + (minutes < 10 ? "0" : "") + minutes;
+    },
+
+    /**
+     * Applies the field data members `use12Hours`, `minuteStep`, `min` and
+     * `max` to a time or date-time field
+     * @param formElement {qxl.dialog.formElement.TimeField|qxl.dialog.formElement.DateTimeField}
+     * @param fieldData {Map} The field data
+     */
+    applyFieldData : function(formElement, fieldData) {
+      if (fieldData.use12Hours !== undefined) {
+        formElement.setUse12Hours(Boolean(fieldData.use12Hours));
+      }
+      if (fieldData.minuteStep) {
+        formElement.setMinuteStep(fieldData.minuteStep);
+      }
+      if (fieldData.min) {
+        formElement.setMinimum(fieldData.min);
+      }
+      if (fieldData.max) {
+        formElement.setMaximum(fieldData.max);
+      }
+    },
+
+    /**
+     * Creates a validator which checks the bounds of a time, date-time or
+     * date range field before calling the validator of the field data
+     * @param formElement {qx.ui.core.Widget} The form element, which must
+     *   have a `validateBounds()` method
+     * @param validator {Function|null} The validator of the field data
+     * @return {Function} The validator
+     */
+    createBoundsValidator : function(formElement, validator) {
+      return function(value, item) {
+        formElement.validateBounds();
+        if (validator) {
+          return validator.call(this, value, item);
+        }
+        return true;
+      };
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.TimeField();
+        qxl.dialog.formElement.TimeField.applyFieldData(formElement, fieldData);
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, null, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            return value;
+          }.bind(this)
+        });
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        return this._formatValue(formElement.formatTime(formElement.getValue()), null);
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        return qxl.dialog.formElement.TimeField.createBoundsValidator(formElement, validator);
+      }
+    }
+  },
+
+  members :
+  {
+    __updating : false,
+
+    // overridden
+    focus : function() {
+      this.getChildControl("hours").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("hours").tabFocus();
+    },
+
+    /**
+     * Checks whether the time lies between the minimum and the maximum
+     * @throws {qx.core.ValidationError} If it does not
+     */
+    validateBounds : function() {
+      let value = this.getValue();
+      if (value === null) {
+        return;
+      }
+      if (this.getMinimum() && value < this.getMinimum()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The time must not be earlier than %1.", this.formatTime(this.getMinimum())));
+      }
+      if (this.getMaximum() && value > this.getMaximum()) {
+        throw new qx.core.ValidationError("Validation Error",
+          this.tr("The time must not be later than %1.", this.formatTime(this.getMaximum())));
+      }
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "hours":
+      case "minutes":
+        control = new qx.ui.form.Spinner(0, null, id === "hours" ? 23 : 59);
+        control.set({
+          wrap : true,
+          width : 60
+        });
+        control.addListener("changeValue", this.__onPartChange, this);
+        this._add(control);
+        break;
+
+      case "separator":
+        control = new qx.ui.basic.Label(":");
+        this._add(control);
+        break;
+
+      case "ampm":
+        control = new qx.ui.form.SelectBox();
+        control.add(new qx.ui.form.ListItem(this.tr("AM"), null, "am"));
+        control.add(new qx.ui.form.ListItem(this.tr("PM"), null, "pm"));
+        control.setWidth(60);
+        control.addListener("changeSelection", this.__onPartChange, this);
+        this._add(control);
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      let time = qxl.dialog.formElement.TimeField.parse(value);
+      let hours = this.getChildControl("hours");
+      let minutes = this.getChildControl("minutes");
+      this.__updating = true;
+      if (time === null) {
+        hours.setValue(null);
+        minutes.setValue(null);
+      } else if (this.getUse12Hours()) {
+        hours.setValue(time.hours % 12 || 12);
+        minutes.setValue(time.minutes);
+        let ampm = this.getChildControl("ampm");
+        ampm.setModelSelection([ time.hours < 12 ? "am" : "pm" ]);
+      } else {
+        hours.setValue(time.hours);
+        minutes.setValue(time.minutes);
+      }
+      this.__updating = false;
+    },
+
+    // property apply
+    _applyUse12Hours : function(value, old) {
+      let hours = this.getChildControl("hours");
+      let time = qxl.dialog.formElement.TimeField.parse(this.getValue());
+      this.__updating = true;
+      if (value) {
+        hours.set({
+          minimum : 1,
+          maximum : 12
+        });
+        this.getChildControl("ampm").show();
+      } else {
+        hours.set({
+          minimum : 0,
+          maximum : 23
+        });
+        if (this.hasChildControl("ampm")) {
+          this.getChildControl("ampm").exclude();
+        }
+      }
+      hours.setValue(null);
+      hours.setNumberFormat(value ? null : this.__createNumberFormat());
+      this.getChildControl("minutes").setNumberFormat(this.__createNumberFormat());
+      this.__updating = false;
+      if (time !== null) {
+        this._applyValue(this.getValue(), null);
+      }
+    },
+
+    // property apply
+    _applyMinuteStep : function(value, old) {
+      this.getChildControl("minutes").setSingleStep(value);
+    },
+
+    /**
+     * Creates the number format which shows two digits
+     * @return {qx.util.format.NumberFormat}
+     */
+    __createNumberFormat : function() {
+      let nf = new qx.util.format.NumberFormat();
+      nf.set({
+        minimumIntegerDigits : 2,
+        maximumFractionDigits : 0,
+        groupingUsed : false
+      });
+      return nf;
+    },
+
+    /**
+     * Formats a time in the display mode of the field
+     * @param value {String|null} The time as "HH:mm"
+     * @return {String|null} The formatted time
+     */
+    formatTime : function(value) {
+      let time = qxl.dialog.formElement.TimeField.parse(value);
+      if (time === null || !this.getUse12Hours()) {
+        return value;
+      }
+      return (time.hours % 12 || 12) + ":" + value.substring(value.indexOf(":") + 1) +
+        " " + (time.hours < 12 ? this.tr("AM") : this.tr("PM"));
+    },
+
+    /**
+     * Updates the value when the hours, minutes or AM/PM change
+     * @param e {qx.event.type.Data} The change event
+     */
+    __onPartChange : function(e) {
+      if (this.__updating) {
+        return;
+      }
+      let hours = this.getChildControl("hours").getValue();
+      let minutes = this.getChildControl("minutes").getValue();
+      if (hours === null && minutes === null) {
+        this.setValue(null);
+        return;
+      }
+      // complete a partially entered time
+      if (hours === null) {
+        hours = this.getUse12Hours() ? 12 : 0;
+      }
+      if (minutes === null) {
+        minutes = 0;
+      }
+      if (this.getUse12Hours()) {
+        let selection = this.getChildControl("ampm").getModelSelection();
+        hours = hours % 12 + (selection.getItem(0) === "pm" ? 12 : 0);
+      }
+      this.setValue(qxl.dialog.formElement.TimeField.format(hours, minutes));
+    }
+  }
+});
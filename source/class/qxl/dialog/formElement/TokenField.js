@@ -0,0 +1,631 @@
+/* ************************************************************************
+
+   qooxdoo dialog library
+   https://github.com/qooxdoo/qxl.dialog
+
+   Copyright:
+     2020 Christian Boulanger, Derrell Lipman
+
+   License:
+     LGPL: http://www.gnu.org/licenses/lgpl.html
+     EPL: http://www.eclipse.org/org/documents/epl-v10.php
+     See the LICENSE file in the project's top-level directory for details.
+
+   Authors:
+     *  Christian Boulanger (cboulanger)
+     *  Derrell Lipman (derrell)
+
+************************************************************************ */
+
+/**
+ * A form element for entering a list of tokens, e.g. keywords. Typed text
+ * is turned into removable chips when pressing Enter or typing a comma.
+ * Suggestions are offered from a static list or a function returning a
+ * Promise. The value is an array of strings, or of the values of the
+ * chosen suggestions.
+ *
+ * In form data, `suggestions` is an array of strings or of maps with
+ * `label` and `value`, or a function which receives the typed text and an
+ * `AbortSignal` and returns a Promise resolving to such an array. With
+ * `allowFreeText: false`, only suggestions can be entered; `max` limits the
+ * number of tokens.
+ * <pre>
+ *   "keywords" : {
+ *     'type'        : "TokenField",
+ *     'label'       : "Keywords",
+ *     'max'         : 5,
+ *     'suggestions' : [ "qooxdoo", "javascript", "dialog" ]
+ *   }
+ * </pre>
+ *
+ * @ignore(AbortController)
+ */
+qx.Class.define("qxl.dialog.formElement.TokenField",
+{
+  extend : qx.ui.core.Widget,
+  implement : [ qx.ui.form.IForm, qx.ui.form.IArrayForm ],
+  include : [ qx.ui.form.MForm ],
+
+  construct : function() {
+    this.base(arguments);
+    this.__labels = new Map();
+    this.__chips = [];
+    this._setLayout(new qx.ui.layout.Flow(4, 4));
+    this.set({
+      decorator : "input",
+      padding : 2
+    });
+    this._createChildControl("textfield");
+    this.addListener("tap", function() {
+      this.focus();
+    }, this);
+  },
+
+  properties :
+  {
+    /**
+     * The tokens, an array of strings or suggestion values
+     */
+    value :
+    {
+      check : "Array",
+      nullable : true,
+      init : null,
+      event : "changeValue",
+      apply : "_applyValue"
+    },
+
+    /**
+     * The suggestions, either an array of strings or of maps with `label`
+     * and `value`, or a function which is called with the typed text and
+     * an `AbortSignal` (if supported by the browser), and returns a Promise
+     * resolving to such an array
+     */
+    suggestions :
+    {
+      nullable : true,
+      init : null,
+      apply : "_applySuggestions"
+    },
+
+    /**
+     * Whether text which is not one of the suggestions can be entered
+     */
+    allowFreeText :
+    {
+      check : "Boolean",
+      init : true
+    },
+
+    /**
+     * The maximum number of tokens, or null for no limit
+     */
+    maxTokens :
+    {
+      check : "Integer",
+      nullable : true,
+      init : null,
+      apply : "_updateTextField"
+    },
+
+    /**
+     * The maximum number of suggestions shown
+     */
+    maxSuggestions :
+    {
+      check : "Integer",
+      init : 10
+    },
+
+    /**
+     * The delay in milliseconds before a suggestion function is called
+     */
+    suggestionDelay :
+    {
+      check : "Integer",
+      init : 200
+    },
+
+    /**
+     * The placeholder of the text field
+     */
+    placeholder :
+    {
+      check : "String",
+      nullable : true,
+      init : null,
+      apply : "_applyPlaceholder"
+    }
+  },
+
+  statics :
+  {
+    register : function() {
+      qxl.dialog.Dialog.registerFormElementHandlers(
+        "tokenfield", this._registration);
+    },
+
+    _registration : {
+      initElement : function(fieldType, fieldData, key) {
+        let formElement = new qxl.dialog.formElement.TokenField();
+        if (fieldData.suggestions) {
+          let suggestions = fieldData.suggestions;
+          if (typeof suggestions == "function") {
+            // call the function in the context of the form
+            suggestions = suggestions.bind(this.getContext());
+          }
+          formElement.setSuggestions(suggestions);
+        }
+        if (fieldData.allowFreeText !== undefined) {
+          formElement.setAllowFreeText(fieldData.allowFreeText);
+        }
+        if (typeof fieldData.max == "number") {
+          formElement.setMaxTokens(fieldData.max);
+        }
+        return formElement;
+      },
+
+      addToFormController : function(fieldType, fieldData, key, formElement) {
+        this._formController.addTarget(formElement, "value", key, true, {
+          converter: function (value) {
+            // the initial value has been marshaled into a qx.data.Array
+            if (value instanceof qx.core.Object) {
+              value = qx.util.Serializer.toNativeObject(value);
+            }
+            return value || [];
+          }
+        }, {
+          converter: function (value) {
+            this._form.getValidationManager().validate();
+            return value;
+          }.bind(this)
+        });
+      },
+
+      createValidator : function(fieldType, fieldData, key, formElement, validator) {
+        let self = this;
+        return function(value, item) {
+          self._validateRequiredItems(formElement, value);
+          if (validator) {
+            return validator.call(this, value, item);
+          }
+          return true;
+        };
+      },
+
+      formatValue : function(fieldType, fieldData, key, formElement, value) {
+        return this._formatValue((formElement.getValue() || []).map(function(token) {
+          return formElement.getTokenLabel(token);
+        }), null);
+      }
+    }
+  },
+
+  members :
+  {
+    __labels : null,
+    __chips : null,
+    __timer : null,
+    __abortController : null,
+    __requestId : 0,
+    __escapePressed : false,
+
+    /**
+     * Adds a token, unless it is already present or the maximum number of
+     * tokens has been reached
+     * @param value {var} The value of the token
+     * @param label {String?} The label of the chip, defaults to the value
+     * @return {Boolean} Whether the token has been added
+     */
+    addToken : function(value, label) {
+      let tokens = this.getValue() || [];
+      let maxTokens = this.getMaxTokens();
+      if (tokens.indexOf(value) !== -1 ||
+          (maxTokens !== null && tokens.length >= maxTokens)) {
+        return false;
+      }
+      if (label !== undefined) {
+        this.__labels.set(value, label);
+      }
+      this.setValue(tokens.concat([value]));
+      return true;
+    },
+
+    /**
+     * Returns the label of a token
+     * @param value {var} The value of the token
+     * @return {String} The label of its chip
+     */
+    getTokenLabel : function(value) {
+      return this.__labels.has(value) ? this.__labels.get(value) : String(value);
+    },
+
+    /**
+     * Removes a token
+     * @param value {var} The value of the token
+     */
+    removeToken : function(value) {
+      let tokens = this.getValue() || [];
+      if (tokens.indexOf(value) !== -1) {
+        this.setValue(tokens.filter(function(token) {
+          return token !== value;
+        }));
+      }
+    },
+
+    // overridden
+    focus : function() {
+      this.getChildControl("textfield").focus();
+    },
+
+    // overridden
+    tabFocus : function() {
+      this.getChildControl("textfield").tabFocus();
+    },
+
+    // overridden
+    _createChildControlImpl : function(id, hash) {
+      let control;
+      switch (id) {
+      case "textfield":
+        control = new qx.ui.form.TextField();
+        control.set({
+          liveUpdate : true,
+          decorator : null,
+          minWidth : 80,
+          allowGrowX : true
+        });
+        control.addListener("input", this.__onInput, this);
+        control.addListener("keypress", this.__onKeyPress, this);
+        control.addListener("keyup", this.__onKeyUp, this);
+        control.addListener("blur", this.__onBlur, this);
+        this._add(control);
+        break;
+
+      case "popup":
+        control = new qx.ui.popup.Popup(new qx.ui.layout.Grow());
+        control.setAutoHide(false);
+        control.add(this.getChildControl("list"));
+        break;
+
+      case "list":
+        control = new qx.ui.form.List();
+        control.set({
+          focusable : false,
+          keepFocus : true,
+          maxHeight : 200
+        });
+        control.addListener("tap", this.__onListTap, this);
+        break;
+      }
+      return control || this.base(arguments, id);
+    },
+
+    // property apply
+    _applyValue : function(value, old) {
+      this.__chips.forEach(function(chip) {
+        chip.destroy();
+      });
+      this.__chips = (value || []).map(function(token, index) {
+        let chip = this.__createChip(token);
+        this._addAt(chip, index);
+        return chip;
+      }, this);
+      this._updateTextField();
+    },
+
+    // property apply
+    _applySuggestions : function(value, old) {
+      // chips of static suggestions show their labels
+      if (qx.lang.Type.isArray(value)) {
+        value.forEach(function(suggestion) {
+          if (typeof suggestion != "string" && suggestion.value !== undefined) {
+            this.__labels.set(suggestion.value, String(suggestion.label));
+          }
+        }, this);
+        this._applyValue(this.getValue(), null);
+      }
+    },
+
+    // property apply
+    _applyPlaceholder : function(value, old) {
+      this.getChildControl("textfield").setPlaceholder(value);
+    },
+
+    /**
+     * Disables the text field when the maximum number of tokens has been
+     * reached
+     */
+    _updateTextField : function() {
+      let maxTokens = this.getMaxTokens();
+      let full = maxTokens !== null && (this.getValue() || []).length >= maxTokens;
+      this.getChildControl("textfield").setReadOnly(full);
+      if (full) {
+        this.__hideSuggestions();
+      }
+    },
+
+    /**
+     * Creates the chip of a token
+     * @param token {var} The value of the token
+     * @return {qx.ui.core.Widget} The chip
+     */
+    __createChip : function(token) {
+      let chip = new qx.ui.container.Composite(new qx.ui.layout.HBox(2).set({
+        alignY : "middle"
+      }));
+      chip.set({
+        decorator : "main",
+        backgroundColor : "background-light",
+        padding : [0, 0, 0, 4]
+      });
+      chip.add(new qx.ui.basic.Label(this.getTokenLabel(token)));
+      let button = new qx.ui.form.Button("✕");
+      button.set({
+        toolTipText : this.tr("Remove"),
+        padding : [0, 4],
+        decorator : null,
+        focusable : false
+      });
+      button.addListener("execute", function() {
+        this.removeToken(token);
+      }, this);
+      chip.add(button);
+      return chip;
+    },
+
+    /**
+     * Adds the typed text as a token, or the selected suggestion if the
+     * suggestion list is open
+     */
+    __commit : function() {
+      let textField = this.getChildControl("textfield");
+      let text = (textField.getValue() || "").trim();
+      let list = this.getChildControl("list");
+      let selected = this.getChildControl("popup").isVisible() ?
+        list.getSelection()[0] : null;
+      let added = false;
+      if (selected) {
+        let suggestion = selected.getModel();
+        added = this.addToken(suggestion.value, suggestion.label);
+      } else if (text) {
+        // the typed text may be the label of a suggestion
+        let match = list.getChildren().map(function(item) {
+          return item.getModel();
+        }).find(function(suggestion) {
+          return suggestion.label.toLowerCase() === text.toLowerCase();
+        });
+        if (match) {
+          added = this.addToken(match.value, match.label);
+        } else if (this.getAllowFreeText()) {
+          added = this.addToken(text);
+        }
+      }
+      if (added || !text) {
+        textField.setValue("");
+        this.__hideSuggestions();
+      }
+    },
+
+    /**
+     * Queries the suggestions for the typed text
+     * @param e {qx.event.type.Data} The input event
+     */
+    __onInput : function(e) {
+      let text = e.getData() || "";
+      // a comma finishes the token
+      if (text.indexOf(",") !== -1) {
+        let textField = this.getChildControl("textfield");
+        let parts = text.split(",");
+        text = parts.pop();
+        parts.forEach(function(part) {
+          textField.setValue(part);
+          this.__hideSuggestions();
+          this.__commit();
+        }, this);
+        textField.setValue(text);
+      }
+      this.__querySuggestions(text.trim());
+    },
+
+    /**
+     * Loads the suggestions matching the given text and shows them
+     * @param text {String} The typed text
+     */
+    __querySuggestions : function(text) {
+      let suggestions = this.getSuggestions();
+      this.__requestId++;
+      if (this.__timer) {
+        this.__timer.stop();
+        this.__timer.dispose();
+        this.__timer = null;
+      }
+      if (this.__abortController) {
+        this.__abortController.abort();
+        this.__abortController = null;
+      }
+      if (!suggestions || !text) {
+        this.__hideSuggestions();
+        return;
+      }
+      if (typeof suggestions != "function") {
+        this.__showSuggestions(suggestions.filter(function(suggestion) {
+          let label = typeof suggestion == "string" ? suggestion : suggestion.label;
+          return String(label).toLowerCase().indexOf(text.toLowerCase()) !== -1;
+        }));
+        return;
+      }
+      let requestId = this.__requestId;
+      this.__timer = qx.event.Timer.once(function() {
+        this.__timer = null;
+        this.__abortController =
+          typeof AbortController == "function" ? new AbortController() : null;
+        Promise.resolve()
+          .then(function() {
+            return suggestions(text,
+              this.__abortController ? this.__abortController.signal : null);
+          }.bind(this))
+          .then(function(result) {
+            if (requestId === this.__requestId && !this.isDisposed()) {
+              this.__abortController = null;
+              this.__showSuggestions(result || []);
+            }
+          }.bind(this), function(error) {
+            if (requestId === this.__requestId && !this.isDisposed()) {
+              this.__abortController = null;
+              this.warn("Could not load suggestions: " + error);
+              this.__hideSuggestions();
+            }
+          }.bind(this));
+      }, this, this.getSuggestionDelay());
+    },
+
+    /**
+     * Shows the suggestions which are not yet tokens
+     * @param suggestions {Array} Array of strings or of maps with `label` and
+     *   `value`
+     */
+    __showSuggestions : function(suggestions) {
+      let tokens = this.getValue() || [];
+      let list = this.getChildControl("list");
+      list.removeAll().forEach(function(item) {
+        item.destroy();
+      });
+      suggestions
+        .map(function(suggestion) {
+          if (typeof suggestion == "string") {
+            return { label : suggestion, value : suggestion };
+          }
+          return {
+            label : String(suggestion.label),
+            value : suggestion.value !== undefined ? suggestion.value : suggestion.label
+          };
+        })
+        .filter(function(suggestion) {
+          return tokens.indexOf(suggestion.value) === -1;
+        })
+        .slice(0, this.getMaxSuggestions())
+        .forEach(function(suggestion) {
+          let item = new qx.ui.form.ListItem(suggestion.label);
+          item.setModel(suggestion);
+          list.add(item);
+        });
+      if (list.getChildren().length === 0) {
+        this.__hideSuggestions();
+        return;
+      }
+      // without free text, Enter takes the first suggestion
+      if (!this.getAllowFreeText()) {
+        list.setSelection([list.getChildren()[0]]);
+      } else {
+        list.resetSelection();
+      }
+      let popup = this.getChildControl("popup");
+      popup.setMinWidth(this.getBounds() ? this.getBounds().width : 0);
+      popup.show();
+      popup.placeToWidget(this, true);
+    },
+
+    /**
+     * Hides the suggestion list
+     */
+    __hideSuggestions : function() {
+      if (this.hasChildControl("popup")) {
+        this.getChildControl("popup").hide();
+      }
+    },
+
+    /**
+     * Handles Enter, Backspace and the navigation in the suggestion list
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKeyPress : function(e) {
+      let textField = this.getChildControl("textfield");
+      let popupVisible = this.hasChildControl("popup") &&
+        this.getChildControl("popup").isVisible();
+      switch (e.getKeyIdentifier()) {
+      case "Enter":
+        if (textField.getValue() || popupVisible) {
+          this.__commit();
+          e.stop();
+        }
+        break;
+
+      case "Backspace": {
+        let tokens = this.getValue() || [];
+        if (!textField.getValue() && tokens.length > 0) {
+          this.removeToken(tokens[tokens.length - 1]);
+        }
+        break;
+      }
+
+      case "Down":
+      case "Up":
+        if (popupVisible) {
+          let items = this.getChildControl("list").getChildren();
+          let index = items.indexOf(this.getChildControl("list").getSelection()[0]);
+          index += e.getKeyIdentifier() === "Down" ? 1 : -1;
+          index = Math.max(0, Math.min(items.length - 1, index));
+          this.getChildControl("list").setSelection([items[index]]);
+          e.preventDefault();
+        }
+        break;
+
+      case "Escape":
+        if (popupVisible) {
+          this.__hideSuggestions();
+          this.__escapePressed = true;
+          e.stop();
+        }
+        break;
+      }
+    },
+
+    /**
+     * Prevents the dialog from being cancelled by the Escape key which
+     * closed the suggestion list
+     * @param e {qx.event.type.KeySequence} The key event
+     */
+    __onKeyUp : function(e) {
+      if (e.getKeyIdentifier() === "Escape" && this.__escapePressed) {
+        this.__escapePressed = false;
+        e.stopPropagation();
+      }
+    },
+
+    /**
+     * Turns the remaining text into a token when leaving the field
+     * @param e {qx.event.type.Focus} The blur event
+     */
+    __onBlur : function(e) {
+      this.__hideSuggestions();
+      let textField = this.getChildControl("textfield");
+      if (textField.getValue()) {
+        this.__commit();
+        if (!this.getAllowFreeText()) {
+          textField.setValue("");
+        }
+      }
+    },
+
+    /**
+     * Adds the tapped suggestion as a token
+     * @param e {qx.event.type.Tap} The tap event
+     */
+    __onListTap : function(e) {
+      this.__commit();
+    }
+  },
+
+  destruct : function() {
+    // neither load suggestions nor wait for them after disposal
+    if (this.__timer) {
+      this.__timer.stop();
+      this.__timer.dispose();
+    }
+    if (this.__abortController) {
+      this.__abortController.abort();
+    }
+    this.__timer = this.__abortController = this.__labels = this.__chips = null;
+  }
+});
@@ -23,6 +23,15 @@ export const QxSelector = (selector) => {
      */
     getQxProperty: function(domNode, key){
       return qx.ui.core.Widget.getWidgetByElement(domNode).get(key);
+    },
+    /**
+     * Returns whether the widget that is connected with the DOM node has the state
+     * @param domNode
+     * @param state
+     * @returns {Boolean}
+     */
+    hasQxState: function(domNode, state){
+      return qx.ui.core.Widget.getWidgetByElement(domNode).hasState(state);
     }
   });
   // NodeJS-side methods
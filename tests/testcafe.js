@@ -1,5 +1,11 @@
+import { Selector } from 'testcafe';
 import {IdSelector, QxSelector} from "./adapters/TestCafe";
 
+// the item of an open list, e.g. of a select box, with the given label
+const listItem = text => Selector("div[qxclass='qx.ui.form.ListItem']").filterVisible().withText(text);
+// a button of a dialog which has no object id, e.g. of a confirmation
+const visibleButton = text => Selector("div[qxclass='qx.ui.form.Button']").filterVisible().withText(text);
+
 fixture `Testing dialog widgets`
   .page `http://127.0.0.1:8080`;
 
@@ -100,3 +106,643 @@ test('Fill out form', async t => {
     .click(IdSelector(formId + '/buttons/ok'));
 });
 
+test('Conditional fields', async t => {
+  let buttonId = 'buttons/conditions';
+  let formId = buttonId + "/dialog";
+  const companyField = IdSelector(formId + '/form/company');
+  const emailField = QxSelector(IdSelector(formId + '/form/email'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(companyField.visible).notOk()
+    .click(IdSelector(formId + '/form/domain'))
+    .click(listItem('Company'))
+    .expect(companyField.visible).ok()
+    .expect(emailField.getQxProperty('enabled')).notOk()
+    .click(IdSelector(formId + '/form/newsletter'))
+    .expect(emailField.getQxProperty('enabled')).ok()
+    .expect(emailField.getQxProperty('required')).ok()
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Asynchronous validation', async t => {
+  let buttonId = 'buttons/asyncValidation';
+  let formId = buttonId + "/dialog";
+  const usernameField = QxSelector(IdSelector(formId + '/form/username'));
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .typeText(usernameField, 'admin')
+    .expect(usernameField.getQxProperty('valid')).notOk()
+    .expect(usernameField.getQxProperty('invalidMessage')).eql('This user name is already taken')
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .typeText(usernameField, 'John', {replace: true})
+    .expect(usernameField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Cross-field validation', async t => {
+  let buttonId = 'buttons/crossValidation';
+  let formId = buttonId + "/dialog";
+  const passwordField = IdSelector(formId + '/form/password');
+  const password2Field = QxSelector(IdSelector(formId + '/form/password2'));
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .typeText(passwordField, 'secret')
+    .typeText(password2Field, 'secrets')
+    .expect(password2Field.getQxProperty('valid')).notOk()
+    .expect(password2Field.getQxProperty('invalidMessage')).eql('The passwords do not match')
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .pressKey('backspace')
+    .expect(password2Field.getQxProperty('valid')).ok()
+    .typeText(IdSelector(formId + '/form/minPrice'), '20')
+    .typeText(IdSelector(formId + '/form/maxPrice'), '10')
+    .pressKey('tab')
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Groups of fields', async t => {
+  let buttonId = 'buttons/group';
+  let formId = buttonId + "/dialog";
+  const cityField = QxSelector(IdSelector(formId + '/form/address.city'));
+  const resultDialog = QxSelector(IdSelector(buttonId + '/dialog2'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(cityField.getQxProperty('value')).eql('Berlin')
+    .typeText(IdSelector(formId + '/form/address.street'), 'Unter den Linden 1')
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(IdSelector(formId).visible).notOk()
+    .expect(resultDialog.visible).ok()
+    .expect(resultDialog.innerText).contains('The street is Unter den Linden 1')
+    .click(resultDialog.findButtonLabelWithText('OK'))
+    .expect(resultDialog.visible).notOk();
+});
+
+test('Repeater', async t => {
+  let buttonId = 'buttons/repeater';
+  let formId = buttonId + "/dialog";
+  const repeater = QxSelector(IdSelector(formId + '/form/phones'));
+  const entries = repeater.find("div[qxclass='qxl.dialog.SubForm']");
+  const removeButtons = repeater.findButtonLabelWithText('✕');
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(entries.count).eql(1)
+    .click(repeater.findButtonLabelWithText('Add'))
+    .expect(entries.count).eql(2)
+    .typeText(entries.nth(0).find('input'), '555-1234')
+    .click(removeButtons.nth(1))
+    .expect(entries.count).eql(1)
+    .expect(repeater.getQxProperty('valid')).ok()
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Adding and removing fields', async t => {
+  let buttonId = 'buttons/incrementalUpdate';
+  let formId = buttonId + "/dialog";
+  const nameField = QxSelector(IdSelector(formId + '/form/name'));
+  const commentField = IdSelector(formId + '/form/comment');
+  const form = QxSelector(IdSelector(formId));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .typeText(nameField, 'John Doe')
+    .expect(commentField.exists).notOk()
+    // the caption is bound to the name in the model
+    .expect(form.getQxProperty('caption')).eql('Feedback from John Doe')
+    .click(IdSelector(formId + '/form/withComment'))
+    .expect(commentField.visible).ok()
+    .typeText(commentField, 'Hello')
+    .expect(nameField.getQxProperty('value')).eql('John Doe')
+    // the binding follows the new model
+    .typeText(nameField, 'Jane Doe', {replace: true})
+    .expect(form.getQxProperty('caption')).eql('Feedback from Jane Doe')
+    .click(IdSelector(formId + '/form/withComment'))
+    .expect(commentField.exists).notOk()
+    .expect(nameField.getQxProperty('value')).eql('Jane Doe')
+    .typeText(nameField, 'John Doe', {replace: true})
+    .expect(form.getQxProperty('caption')).eql('Feedback from John Doe')
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Options loaded asynchronously', async t => {
+  let buttonId = 'buttons/asyncOptions';
+  let formId = buttonId + "/dialog";
+  const regionField = QxSelector(IdSelector(formId + '/form/region'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(regionField.innerText).contains('Bavaria')
+    .click(IdSelector(formId + '/form/country'))
+    .click(listItem('France'))
+    .expect(regionField.innerText).contains('Brittany')
+    .click(regionField)
+    .click(listItem('Provence'))
+    .expect(regionField.innerText).contains('Provence')
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Searchable select box', async t => {
+  let buttonId = 'buttons/searchSelect';
+  let formId = buttonId + "/dialog";
+  const customerField = QxSelector(IdSelector(formId + '/form/customer'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .typeText(customerField.find('input'), '0420')
+    .expect(listItem('Customer 0420').exists).ok()
+    .expect(listItem('Customer 0421').exists).notOk()
+    .pressKey('enter')
+    .expect(customerField.getQxProperty('value')).eql(420)
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Token field', async t => {
+  let buttonId = 'buttons/tokenField';
+  let formId = buttonId + "/dialog";
+  const keywordsField = QxSelector(IdSelector(formId + '/form/keywords'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(keywordsField.getQxProperty('value')).eql(['qooxdoo'])
+    .typeText(keywordsField.find('input'), 'forms,')
+    .typeText(keywordsField.find('input'), 'tests')
+    .pressKey('enter')
+    .expect(keywordsField.getQxProperty('value')).eql(['qooxdoo', 'forms', 'tests'])
+    .click(keywordsField.findButtonLabelWithText('✕').nth(0))
+    .expect(keywordsField.getQxProperty('value')).eql(['forms', 'tests'])
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('File field', async t => {
+  let buttonId = 'buttons/file';
+  let formId = buttonId + "/dialog";
+  const fileField = QxSelector(IdSelector(formId + '/form/attachments'));
+  const fileInput = fileField.find('input[type=file]');
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .setFilesToUpload(fileInput, ['./testcafe.js'])
+    .expect(fileField.innerText).contains('testcafe.js')
+    .expect(fileField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .click(fileField.findButtonLabelWithText('✕'))
+    .setFilesToUpload(fileInput, ['../source/resource/qxl/dialog/logo.gif'])
+    .expect(fileField.innerText).contains('logo.gif')
+    .expect(fileField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Sliders', async t => {
+  let buttonId = 'buttons/slider';
+  let formId = buttonId + "/dialog";
+  const volumeField = IdSelector(formId + '/form/volume');
+  const priceField = IdSelector(formId + '/form/price');
+  // the knobs are the only focusable elements of a slider
+  const knob = (field, index) => field.find('div[tabindex]').nth(index);
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(volumeField.innerText).contains('5')
+    .click(knob(volumeField, 0))
+    .pressKey('right right')
+    .expect(volumeField.innerText).contains('7')
+    .expect(priceField.innerText).contains('100 – 300')
+    .click(knob(priceField, 1))
+    .pressKey('end')
+    .expect(priceField.innerText).contains('100 – 500')
+    .click(knob(priceField, 0))
+    .pressKey('right')
+    .expect(priceField.innerText).contains('110 – 500')
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Time, date-time and date range fields', async t => {
+  let buttonId = 'buttons/dateTime';
+  let formId = buttonId + "/dialog";
+  const openingField = QxSelector(IdSelector(formId + '/form/opening'));
+  const hoursInput = openingField.find('input').nth(0);
+  const vacationField = IdSelector(formId + '/form/vacation');
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(openingField.getQxProperty('value')).eql('09:00')
+    .expect(vacationField.find('input').nth(0).value).contains('2020')
+    .expect(vacationField.find('input').nth(1).value).contains('2020')
+    // later than the maximum
+    .typeText(hoursInput, '13', {replace: true})
+    .pressKey('tab')
+    .expect(openingField.getQxProperty('value')).eql('13:00')
+    .expect(openingField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .typeText(hoursInput, '10', {replace: true})
+    .pressKey('tab')
+    .expect(openingField.getQxProperty('value')).eql('10:00')
+    .expect(openingField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Check box group', async t => {
+  let buttonId = 'buttons/checkBoxGroup';
+  let formId = buttonId + "/dialog";
+  const toppingsField = QxSelector(IdSelector(formId + '/form/toppings'));
+  const checkBox = label => toppingsField.find("div[qxclass='qx.ui.form.CheckBox']").withText(label);
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(toppingsField.getQxProperty('value')).eql(['cheese'])
+    .click(checkBox('Olives'))
+    .expect(toppingsField.getQxProperty('value')).eql(['cheese', 'olives'])
+    // more than the maximum
+    .click(toppingsField.findButtonLabelWithText('Select all'))
+    .expect(toppingsField.getQxProperty('value')).eql(['cheese', 'mushrooms', 'olives', 'peppers', 'onions'])
+    .expect(toppingsField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .click(toppingsField.findButtonLabelWithText('Select none'))
+    .expect(toppingsField.getQxProperty('value')).eql([])
+    // less than the minimum
+    .click(checkBox('Mushrooms'))
+    .expect(toppingsField.getQxProperty('valid')).notOk()
+    .click(checkBox('Onions'))
+    .expect(toppingsField.getQxProperty('value')).eql(['mushrooms', 'onions'])
+    .expect(toppingsField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Dual list', async t => {
+  let buttonId = 'buttons/dualList';
+  let formId = buttonId + "/dialog";
+  const columnsField = QxSelector(IdSelector(formId + '/form/columns'));
+  const item = label => columnsField.find("div[qxclass='qx.ui.form.ListItem']").withText(label);
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(columnsField.getQxProperty('value')).eql(['name', 'email'])
+    .doubleClick(item('Phone'))
+    .expect(columnsField.getQxProperty('value')).eql(['name', 'email', 'phone'])
+    // search the available options
+    .typeText(columnsField.find('input').nth(0), 'cit')
+    .expect(item('Street').exists).notOk()
+    .click(item('City'))
+    .click(columnsField.findButtonLabelWithText('›'))
+    .expect(columnsField.getQxProperty('value')).eql(['name', 'email', 'phone', 'city'])
+    .selectText(columnsField.find('input').nth(0))
+    .pressKey('delete')
+    .expect(item('Street').exists).ok()
+    // reorder the selected options
+    .click(item('City'))
+    .click(columnsField.findButtonLabelWithText('▲'))
+    .expect(columnsField.getQxProperty('value')).eql(['name', 'email', 'city', 'phone'])
+    .click(columnsField.findButtonLabelWithText('«'))
+    .expect(columnsField.getQxProperty('value')).eql([])
+    // less than the minimum
+    .doubleClick(item('Name'))
+    .expect(columnsField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .doubleClick(item('Phone'))
+    .expect(columnsField.getQxProperty('value')).eql(['name', 'phone'])
+    .expect(columnsField.getQxProperty('valid')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Masked, number and currency fields', async t => {
+  let buttonId = 'buttons/masked';
+  let formId = buttonId + "/dialog";
+  const phoneField = QxSelector(IdSelector(formId + '/form/phone'));
+  const ibanField = QxSelector(IdSelector(formId + '/form/iban'));
+  const quantityField = QxSelector(IdSelector(formId + '/form/quantity'));
+  const priceField = QxSelector(IdSelector(formId + '/form/price'));
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(quantityField.getQxProperty('value')).eql('1,000')
+    // the literal characters of the mask are inserted while typing
+    .typeText(phoneField, '491701234567')
+    .pressKey('tab')
+    .expect(phoneField.getQxProperty('value')).eql('+49 (170) 123-4567')
+    // letters are converted to upper case, incomplete input is invalid
+    .typeText(ibanField, 'de89370400440532')
+    .pressKey('tab')
+    .expect(ibanField.getQxProperty('value')).eql('DE89 3704 0044 0532')
+    .expect(ibanField.getQxProperty('valid')).notOk()
+    .typeText(ibanField, '013000', {caret: 19})
+    .pressKey('tab')
+    .expect(ibanField.getQxProperty('value')).eql('DE89 3704 0044 0532 0130 00')
+    .expect(ibanField.getQxProperty('valid')).ok()
+    // numbers are formatted when the field loses the focus
+    .typeText(priceField, '-5')
+    .pressKey('tab')
+    .expect(priceField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .typeText(priceField, '1234.5', {replace: true})
+    .pressKey('tab')
+    .expect(priceField.getQxProperty('value')).contains('1,234.50')
+    .expect(priceField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Password field', async t => {
+  let buttonId = 'buttons/password';
+  let formId = buttonId + "/dialog";
+  const passwordField = QxSelector(IdSelector(formId + '/form/password'));
+  const passwordInput = passwordField.find('input').nth(0);
+  const confirmInput = passwordField.find('input').nth(1);
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .typeText(passwordInput, 'abc')
+    .expect(passwordField.innerText).contains('Very weak')
+    .typeText(passwordInput, 'Correct-Horse-42', {replace: true})
+    .expect(passwordField.innerText).contains('Strong')
+    .expect(passwordField.getQxProperty('value')).eql('Correct-Horse-42')
+    // the passwords must match
+    .typeText(confirmInput, 'Correct-Horse-41')
+    .pressKey('tab')
+    .expect(passwordField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .typeText(confirmInput, 'Correct-Horse-42', {replace: true})
+    .pressKey('tab')
+    .expect(passwordField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    // show the passwords
+    .expect(passwordInput.getAttribute('type')).eql('password')
+    .click(passwordField.findButtonLabelWithText('Show'))
+    .expect(passwordInput.getAttribute('type')).eql('text')
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Read-only form', async t => {
+  let buttonId = 'buttons/readOnly';
+  let formId = buttonId + "/dialog";
+  const form = IdSelector(formId);
+  const okButton = IdSelector(formId + '/buttons/ok');
+  await t
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    // the values are shown as text instead of the form elements
+    .expect(IdSelector(formId + '/form/domain').visible).notOk()
+    .expect(form.innerText).contains('C-0815')
+    .expect(form.innerText).contains('Company')
+    .expect(form.innerText).notContains('secret')
+    .expect(okButton.innerText).contains('Close')
+    .expect(IdSelector(formId + '/buttons/cancel').visible).notOk()
+    .click(okButton)
+    .expect(form.visible).notOk();
+});
+
+test('Confirmation of discarding changes', async t => {
+  let buttonId = 'buttons/dirty';
+  let formId = buttonId + "/dialog";
+  const form = IdSelector(formId);
+  const nameInput = IdSelector(formId + '/form/name').find('input');
+  const cancelButton = IdSelector(formId + '/buttons/cancel');
+  await t
+    // an unchanged form is closed at once
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    .click(cancelButton)
+    .expect(form.visible).notOk()
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    .typeText(nameInput, 'Janet Doe', {replace: true})
+    .click(cancelButton)
+    .expect(Selector('div').withExactText('Discard unsaved changes?').visible).ok()
+    .click(visibleButton('No'))
+    .expect(form.visible).ok()
+    .expect(nameInput.value).eql('Janet Doe')
+    .click(cancelButton)
+    .click(visibleButton('Yes'))
+    .expect(form.visible).notOk();
+});
+
+test('Drafts of the input', async t => {
+  let buttonId = 'buttons/draft';
+  let formId = buttonId + "/dialog";
+  const form = IdSelector(formId);
+  const subjectInput = IdSelector(formId + '/form/subject').find('input');
+  const restoreQuestion = Selector('div').withExactText('Do you want to restore the input which has not been submitted?');
+  await t
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    .expect(restoreQuestion.visible).notOk()
+    .typeText(subjectInput, 'Hello')
+    // the draft is stored when the form is closed
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(form.visible).notOk()
+    .click(IdSelector(buttonId))
+    .expect(restoreQuestion.visible).ok()
+    .click(visibleButton('Yes'))
+    .expect(subjectInput.value).eql('Hello')
+    // submitting the form removes the draft
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(form.visible).notOk()
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    .expect(restoreQuestion.visible).notOk()
+    .expect(subjectInput.value).eql('')
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(form.visible).notOk();
+});
+
+test('Form created from a JSON Schema', async t => {
+  let buttonId = 'buttons/jsonSchema';
+  let formId = buttonId + "/dialog";
+  const nameField = QxSelector(IdSelector(formId + '/form/name'));
+  const emailField = QxSelector(IdSelector(formId + '/form/email'));
+  const ageField = QxSelector(IdSelector(formId + '/form/age'));
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(nameField.getQxProperty('placeholder')).eql('First and last name')
+    .expect(IdSelector(formId + '/form/newsletter').exists).ok()
+    .typeText(nameField, 'Jane Doe')
+    // the format and the constraints of the schema are checked
+    .typeText(emailField, 'jane')
+    .pressKey('tab')
+    .expect(emailField.getQxProperty('valid')).notOk()
+    .typeText(emailField, 'jane@example.com', {replace: true})
+    .pressKey('tab')
+    .expect(emailField.getQxProperty('valid')).ok()
+    .typeText(ageField, '16')
+    .pressKey('tab')
+    .expect(ageField.getQxProperty('valid')).notOk()
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .typeText(ageField, '18', {replace: true})
+    .pressKey('tab')
+    .expect(ageField.getQxProperty('valid')).ok()
+    .expect(okButton.getQxProperty('enabled')).ok()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('JSON Schema of a form', async t => {
+  let buttonId = 'buttons/jsonSchemaExport';
+  let formId = buttonId + "/dialog";
+  const schemaDialog = IdSelector(buttonId + '/schema');
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .typeText(IdSelector(formId + '/form/name').find('input'), 'Jane Doe')
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(schemaDialog.visible).ok()
+    .expect(schemaDialog.innerText).contains('"required": [\n      "name"\n    ]')
+    .expect(schemaDialog.innerText).contains('"maximum": 20')
+    // the map condition becomes an if/then clause
+    .expect(schemaDialog.innerText).contains('"if"')
+    // the expression cannot be exported
+    .expect(schemaDialog.innerText).contains('"discount.visibleWhen"')
+    .click(IdSelector(buttonId + '/schema/buttons/ok'))
+    .expect(schemaDialog.visible).notOk();
+});
+
+test('Expressions', async t => {
+  let buttonId = 'buttons/expressions';
+  let formId = buttonId + "/dialog";
+  const quantityField = QxSelector(IdSelector(formId + '/form/quantity'));
+  const totalField = QxSelector(IdSelector(formId + '/form/total'));
+  const expressField = IdSelector(formId + '/form/express');
+  const okButton = QxSelector(IdSelector(formId + '/buttons/ok'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    // the event handler sets the total
+    .typeText(quantityField.find('input'), '4', {replace: true})
+    .pressKey('tab')
+    .expect(totalField.getQxProperty('value')).eql('50')
+    .expect(expressField.visible).notOk()
+    .click(IdSelector(formId + '/form/country'))
+    .click(listItem('Germany'))
+    .expect(expressField.visible).ok()
+    // the validator
+    .typeText(quantityField.find('input'), '11', {replace: true})
+    .pressKey('tab')
+    .expect(quantityField.getQxProperty('valid')).notOk()
+    .expect(quantityField.getQxProperty('invalidMessage')).eql('Only 10 in stock')
+    .expect(okButton.getQxProperty('enabled')).notOk()
+    .typeText(quantityField.find('input'), '2', {replace: true})
+    .pressKey('tab')
+    .expect(quantityField.getQxProperty('valid')).ok()
+    .expect(expressField.visible).notOk()
+    .click(okButton)
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Computed fields', async t => {
+  let buttonId = 'buttons/computed';
+  let formId = buttonId + "/dialog";
+  const quantityInput = IdSelector(formId + '/form/quantity').find('input');
+  const priceInput = IdSelector(formId + '/form/price').find('input');
+  const totalField = QxSelector(IdSelector(formId + '/form/total'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(totalField.getQxProperty('value')).eql('2.5')
+    .expect(IdSelector(formId).innerText).contains('1 pieces at 2.5')
+    .typeText(quantityInput, '3', {replace: true})
+    .pressKey('tab')
+    .expect(totalField.getQxProperty('value')).eql('7.5')
+    .typeText(priceInput, '4', {replace: true})
+    .pressKey('tab')
+    .expect(totalField.getQxProperty('value')).eql('12')
+    .expect(IdSelector(formId).innerText).contains('3 pieces at 4')
+    // a computed field can be changed if it is not read-only
+    .typeText(totalField, '10', {replace: true})
+    .pressKey('tab')
+    .expect(totalField.getQxProperty('value')).eql('10')
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(IdSelector(formId).visible).notOk();
+});
+
+test('Submitting a form to a server', async t => {
+  let buttonId = 'buttons/submit';
+  let formId = buttonId + "/dialog";
+  const form = IdSelector(formId);
+  const usernameField = QxSelector(IdSelector(formId + '/form/username'));
+  const okButton = IdSelector(formId + '/buttons/ok');
+  await t
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    // the error of a field is shown on the field
+    .typeText(usernameField, 'admin')
+    .click(okButton)
+    .expect(usernameField.getQxProperty('valid')).notOk()
+    .expect(usernameField.getQxProperty('invalidMessage')).eql('This name is already taken')
+    .expect(form.visible).ok()
+    // other errors are shown in the banner
+    .typeText(usernameField, 'offline', {replace: true})
+    .expect(usernameField.getQxProperty('valid')).ok()
+    .click(okButton)
+    .expect(form.innerText).contains('The server is not available')
+    .expect(form.visible).ok()
+    .typeText(usernameField, 'jane', {replace: true})
+    .click(okButton)
+    .expect(form.visible).notOk();
+});
+
+test('Closing a read-only form with a submit function', async t => {
+  let buttonId = 'buttons/readOnlySubmit';
+  let formId = buttonId + "/dialog";
+  const form = IdSelector(formId);
+  const okButton = IdSelector(formId + '/buttons/ok');
+  await t
+    .click(IdSelector(buttonId))
+    .expect(form.visible).ok()
+    .expect(okButton.innerText).contains('Close')
+    .click(okButton)
+    .expect(form.visible).notOk()
+    // the submit function has not been called
+    .expect(IdSelector(buttonId + '/submitted').exists).notOk();
+});
+
+test('Error summary and focus of the first invalid field', async t => {
+  let buttonId = 'buttons/errorSummary';
+  let formId = buttonId + "/dialog";
+  const summary = IdSelector(formId + '/errorSummary');
+  const nameField = QxSelector(IdSelector(formId + '/form/name'));
+  await t
+    .click(IdSelector(buttonId))
+    .expect(IdSelector(formId).visible).ok()
+    .click(IdSelector(formId + '/buttons/ok'))
+    .expect(IdSelector(formId).visible).ok()
+    .expect(summary.visible).ok()
+    .expect(summary.innerText).contains('Name')
+    .expect(summary.innerText).contains('Size')
+    .expect(nameField.hasQxState('focused')).ok()
+    .typeText(nameField, 'John Doe')
+    .click(summary.find("div[qxclass='qx.ui.basic.Label']").withText('Size'))
+    .expect(summary.innerText).notContains('Name')
+    .click(IdSelector(formId + '/buttons/cancel'))
+    .expect(IdSelector(formId).visible).notOk();
+});